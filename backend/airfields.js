@@ -0,0 +1,203 @@
+import fs from "fs";
+
+// ---- Airfield profiles ----
+// Each deployment serves one or more airfields described in AIRFIELDS_FILE
+// (default ./airfields.json). Requests pick one with ?airfield=ICAO and fall
+// back to the file's "default". The file holds read-only defaults; inventory
+// edits made from the dashboard are kept in INVENTORY_FILE (default
+// ./inventory.json) and laid over the profiles at startup.
+
+/**
+ * @typedef {Object} AirfieldProfile
+ * @property {string} icao
+ * @property {string} name
+ * @property {string} unit
+ * @property {string} timezone - IANA zone for local time
+ * @property {string} logo - URL of the header logo
+ * @property {{ lat: number, lon: number }} location
+ * @property {Array<{ id: string, magneticHeading: number, trueHeading: number, reciprocal: string, ils: string|null, departureBarrier: string|null }>} runways
+ * @property {InventoryItem[]} navaids
+ * @property {InventoryItem[]} barriers
+ * @property {InventoryItem[]} bashAreas
+ * @property {Array<Object>} approaches - published minimums, see Approach in src/lib/alternate.js
+ * @property {Array<{ icao: string, approach: string }>} alternates
+ *
+ * @typedef {Object} InventoryItem
+ * @property {string} id - state key, fixed once created
+ * @property {string} name - display name
+ * @property {string} type - e.g. "TACAN", "BAK-12", "MOA"
+ * @property {string[]} statuses - allowed values; the first is the default
+ *   and status buttons cycle in this order
+ */
+
+// Defaults for items that leave out type or statuses
+export const INVENTORY_KINDS = {
+  navaids: { type: "NAVAID", statuses: ["IN", "OUT"] },
+  barriers: { type: "BAK-12", statuses: ["DOWN", "UP", "UNSERVICEABLE"] },
+  bashAreas: { type: "AREA", statuses: ["LOW", "MODERATE", "SEVERE", "N/A"] },
+};
+
+let profiles = {};
+let defaultIcao = null;
+let inventoryFile = null;
+let overrides = {}; // icao -> { navaids, barriers, bashAreas }
+
+function withInventoryDefaults(profile) {
+  const filled = { ...profile };
+  for (const [kind, defaults] of Object.entries(INVENTORY_KINDS)) {
+    filled[kind] = profile[kind].map((item) => ({ ...defaults, ...item }));
+  }
+  return filled;
+}
+
+const REQUIRED = ["icao", "name", "runways", "navaids", "barriers", "bashAreas"];
+
+// Called once env is loaded; a broken config is fatal since every route needs it
+export function initAirfields() {
+  const configFile = process.env.AIRFIELDS_FILE || "./airfields.json";
+  const config = JSON.parse(fs.readFileSync(configFile));
+  inventoryFile = process.env.INVENTORY_FILE || "./inventory.json";
+  overrides = {};
+  if (fs.existsSync(inventoryFile)) {
+    try {
+      overrides = JSON.parse(fs.readFileSync(inventoryFile));
+    } catch {
+      console.warn("⚠ Failed to parse inventory edits, using airfield defaults");
+    }
+  }
+
+  profiles = {};
+  for (const profile of config.airfields || []) {
+    const missing = REQUIRED.filter((key) => !profile[key]);
+    if (missing.length > 0) {
+      throw new Error(`Airfield ${profile.icao || "?"} is missing ${missing.join(", ")}`);
+    }
+    profiles[profile.icao.toUpperCase()] = withInventoryDefaults({
+      unit: "",
+      timezone: "UTC",
+      logo: null,
+      location: null,
+      approaches: [],
+      alternates: [],
+      ...profile,
+      ...overrides[profile.icao.toUpperCase()],
+      icao: profile.icao.toUpperCase(),
+    });
+  }
+
+  defaultIcao = (config.default || Object.keys(profiles)[0] || "").toUpperCase();
+  if (!profiles[defaultIcao]) throw new Error(`No airfield profile for default "${defaultIcao}"`);
+  console.log(`✅ Loaded airfields: ${Object.keys(profiles).join(", ")} (default ${defaultIcao})`);
+}
+
+export function listAirfields() {
+  return Object.values(profiles).map(({ icao, name }) => ({
+    icao,
+    name,
+    default: icao === defaultIcao,
+  }));
+}
+
+export function getAirfield(icao) {
+  return profiles[String(icao || defaultIcao).toUpperCase()] || null;
+}
+
+export function defaultAirfield() {
+  return profiles[defaultIcao];
+}
+
+// Resolves ?airfield= (or the older ?icao=) to req.airfield; 404 when unknown
+export function resolveAirfield(req, res, next) {
+  const icao = req.query.airfield || req.query.icao;
+  const profile = getAirfield(icao);
+  if (!profile) return res.status(404).json({ error: `Unknown airfield ${icao}` });
+  req.airfield = profile;
+  next();
+}
+
+// ---- Inventory editing ----
+const ID_PATTERN = /^[A-Za-z0-9_]{1,32}$/;
+
+// Inventory ids the rest of a profile points at: runway ILS and
+// departure-end barriers, and the NAVAIDs each approach requires
+function inventoryReferences(profile) {
+  const refs = { navaids: [], barriers: [], bashAreas: [] };
+  (profile?.runways || []).forEach((rwy) => {
+    if (rwy.ils) refs.navaids.push({ id: rwy.ils, by: `runway ${rwy.id} (ILS)` });
+    if (rwy.departureBarrier) {
+      refs.barriers.push({ id: rwy.departureBarrier, by: `runway ${rwy.id} (departure-end barrier)` });
+    }
+  });
+  (profile?.approaches || []).forEach((approach) =>
+    (approach.requires || []).forEach((id) => refs.navaids.push({ id, by: `approach ${approach.name}` }))
+  );
+  return refs;
+}
+
+/**
+ * Checks a replacement inventory for `profile`. Items the profile still
+ * references cannot be removed or given another id.
+ * @returns {Array<{ field: string, message: string }>} empty when valid
+ */
+export function validateInventory(inventory, profile = null) {
+  const errors = [];
+  const refs = inventoryReferences(profile);
+  for (const kind of Object.keys(INVENTORY_KINDS)) {
+    const items = inventory?.[kind];
+    if (!Array.isArray(items)) {
+      errors.push({ field: kind, message: "must be a list" });
+      continue;
+    }
+    const seen = new Set();
+    items.forEach((item, i) => {
+      const field = `${kind}[${i}]`;
+      if (!ID_PATTERN.test(item?.id || "")) {
+        errors.push({ field, message: "id must be 1-32 letters, digits or _" });
+      } else if (seen.has(item.id)) {
+        errors.push({ field, message: `duplicate id ${item.id}` });
+      }
+      seen.add(item?.id);
+      if (typeof item?.name !== "string" || !item.name.trim()) {
+        errors.push({ field, message: "name is required" });
+      }
+      if (item?.type !== undefined && typeof item.type !== "string") {
+        errors.push({ field, message: "type must be text" });
+      }
+      const statuses = item?.statuses;
+      if (
+        !Array.isArray(statuses) ||
+        statuses.length === 0 ||
+        statuses.some((v) => typeof v !== "string" || !v.trim()) ||
+        new Set(statuses.map((v) => v.trim())).size !== statuses.length
+      ) {
+        errors.push({ field, message: "statuses must be a list of distinct values" });
+      }
+    });
+    refs[kind].forEach(({ id, by }) => {
+      if (!seen.has(id)) errors.push({ field: kind, message: `${id} is still used by ${by}` });
+    });
+  }
+  return errors;
+}
+
+/**
+ * Replace an airfield's NAVAIDs, barriers and BASH areas, saving them to
+ * the inventory file. Call validateInventory first.
+ * @returns {AirfieldProfile}
+ */
+export function updateInventory(icao, inventory) {
+  const entry = {};
+  for (const kind of Object.keys(INVENTORY_KINDS)) {
+    entry[kind] = inventory[kind].map(({ id, name, type, statuses }) => ({
+      id,
+      name: name.trim(),
+      type: (type || INVENTORY_KINDS[kind].type).trim(),
+      statuses: statuses.map((v) => v.trim()),
+    }));
+  }
+  overrides[icao] = entry;
+  fs.writeFileSync(inventoryFile, JSON.stringify(overrides, null, 2));
+
+  profiles[icao] = withInventoryDefaults({ ...profiles[icao], ...entry, icao });
+  return profiles[icao];
+}
@@ -0,0 +1,150 @@
+import crypto from "crypto";
+import fs from "fs";
+
+// ---- Operator accounts + role permissions ----
+const USERS_FILE = "./users.json";
+const TOKEN_TTL_MS = 12 * 60 * 60 * 1000; // one shift
+let secret = null;
+
+// Writable state paths per role; a path also covers everything below it.
+// "annotations" is the slide markup, "slides" the slide library (upload,
+// rename, reorder, delete), "users" is account management and "inventory" is
+// the NAVAID/barrier/BASH item list of an airfield profile.
+export const ROLE_PERMISSIONS = {
+  AMOPS: ["airfield", "navaids", "bash", "annotations", "slides", "users", "inventory"],
+  Tower: ["airfield.activeRunway", "airfield.barriers", "airfield.arff"],
+  SOF: ["airfield.rsc", "airfield.rscNotes", "bash"],
+  Viewer: [],
+};
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+export function hasPermission(permissions, field) {
+  return permissions.some((p) => field === p || field.startsWith(`${p}.`));
+}
+
+// ---- User store ----
+let users = {};
+
+function saveUsers() {
+  fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2));
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `${salt}:${hash}`;
+}
+
+function checkPassword(password, stored) {
+  const [salt, hash] = stored.split(":");
+  const candidate = crypto.scryptSync(password, salt, 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, "hex"));
+}
+
+// Called once env is loaded: reads accounts and seeds an AMOPS admin if none.
+// Without ADMIN_PASSWORD the admin gets a random password, printed only here.
+export function initAuth() {
+  secret = process.env.AUTH_SECRET || crypto.randomBytes(32).toString("hex");
+  if (!process.env.AUTH_SECRET) {
+    console.warn("⚠ AUTH_SECRET not set, logins will not survive a restart");
+  }
+
+  if (fs.existsSync(USERS_FILE)) {
+    try {
+      users = JSON.parse(fs.readFileSync(USERS_FILE));
+    } catch {
+      console.warn("⚠ Failed to parse users file, no accounts loaded");
+    }
+  }
+  if (Object.keys(users).length === 0) {
+    const username = process.env.ADMIN_USERNAME || "admin";
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString("base64url");
+    users[username] = { role: "AMOPS", password: hashPassword(password) };
+    saveUsers();
+    if (process.env.ADMIN_PASSWORD) {
+      console.warn(`⚠ Created initial AMOPS account "${username}", change its password`);
+    } else {
+      console.warn(`⚠ Created initial AMOPS account "${username}" with password ${password}, change it`);
+    }
+  }
+}
+
+export function publicUser(username) {
+  const role = users[username]?.role || "Viewer";
+  return { username, role, permissions: ROLE_PERMISSIONS[role] || [] };
+}
+
+export function listUsers() {
+  return Object.keys(users).map(publicUser);
+}
+
+// Role may be left out to change only an existing user's password
+export function upsertUser(username, { role, password }) {
+  const existing = users[username];
+  role = role ?? existing?.role;
+  if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+  if (!existing && !password) throw new Error("Password required for new user");
+  users[username] = {
+    role,
+    password: password ? hashPassword(password) : existing.password,
+  };
+  saveUsers();
+  return publicUser(username);
+}
+
+export function deleteUser(username) {
+  if (!users[username]) return false;
+  delete users[username];
+  saveUsers();
+  return true;
+}
+
+// ---- Tokens (HMAC-signed, stateless) ----
+function sign(data) {
+  return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+export function login(username, password) {
+  const user = users[username];
+  if (!user || !password || !checkPassword(password, user.password)) return null;
+  const payload = Buffer.from(
+    JSON.stringify({ username, exp: Date.now() + TOKEN_TTL_MS })
+  ).toString("base64url");
+  return { token: `${payload}.${sign(payload)}`, user: publicUser(username) };
+}
+
+function verifyToken(token) {
+  const [payload, sig] = (token || "").split(".");
+  if (!payload || !sig) return null;
+  const expected = sign(payload);
+  if (sig.length !== expected.length) return null;
+  if (!crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+  try {
+    const { username, exp } = JSON.parse(Buffer.from(payload, "base64url").toString());
+    if (exp < Date.now() || !users[username]) return null;
+    return publicUser(username);
+  } catch {
+    return null;
+  }
+}
+
+// Attaches req.user when a valid bearer token is present
+export function authenticate(req, res, next) {
+  const header = req.get("Authorization") || "";
+  req.user = header.startsWith("Bearer ") ? verifyToken(header.slice(7)) : null;
+  next();
+}
+
+export function requireLogin(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: "Login required" });
+  next();
+}
+
+export function requirePermission(field) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: "Login required" });
+    if (!hasPermission(req.user.permissions, field)) {
+      return res.status(403).json({ error: `Role ${req.user.role} cannot change ${field}` });
+    }
+    next();
+  };
+}
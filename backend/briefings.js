@@ -0,0 +1,73 @@
+import fs from "fs";
+import crypto from "crypto";
+
+// ---- NOTAM acknowledgments + shift briefings ----
+// Each operator acknowledges NOTAMs per airfield as they review them. A
+// sign-off at shift change records which NOTAMs were active and which of them
+// that operator had acknowledged; the operator's last sign-off is what "new
+// since your last shift" is measured against.
+
+const BRIEFINGS_FILE = "./briefings.json";
+let acks = {}; // icao -> username -> { notamId -> ISO time }
+let signoffs = []; // oldest first
+
+function save() {
+  fs.writeFileSync(BRIEFINGS_FILE, JSON.stringify({ acks, signoffs }, null, 2));
+}
+
+export function initBriefings() {
+  if (!fs.existsSync(BRIEFINGS_FILE)) return;
+  try {
+    ({ acks = {}, signoffs = [] } = JSON.parse(fs.readFileSync(BRIEFINGS_FILE)));
+  } catch {
+    console.warn("⚠ Failed to parse NOTAM briefings, starting empty");
+  }
+}
+
+/** A user's acknowledgments at an airfield as { notamId: ISO time }. */
+export function userAcks(icao, username) {
+  return acks[icao]?.[username] || {};
+}
+
+export function acknowledge(icao, username, notamId, acknowledged = true) {
+  const mine = ((acks[icao] = acks[icao] || {})[username] = userAcks(icao, username));
+  if (acknowledged) mine[notamId] = mine[notamId] || new Date().toISOString();
+  else delete mine[notamId];
+  save();
+  return mine;
+}
+
+export function lastSignoff(icao, username) {
+  return signoffs.findLast((s) => s.airfield === icao && s.username === username) || null;
+}
+
+/**
+ * Record a shift briefing sign-off over the NOTAMs active now. Acks for
+ * NOTAMs that are no longer active are dropped at the same time.
+ * @param {Array<{ id: string }>} notams
+ */
+export function signOff(icao, username, notams, note = "") {
+  const mine = userAcks(icao, username);
+  const record = {
+    id: crypto.randomUUID(),
+    airfield: icao,
+    username,
+    at: new Date().toISOString(),
+    note,
+    notams: notams.map(({ id }) => ({ id, acknowledgedAt: mine[id] || null })),
+  };
+  signoffs.push(record);
+
+  const activeIds = new Set(notams.map((n) => n.id));
+  for (const id of Object.keys(mine)) if (!activeIds.has(id)) delete mine[id];
+  save();
+  return record;
+}
+
+/** Sign-offs for an airfield, newest first. */
+export function listSignoffs(icao, { limit = 50 } = {}) {
+  return signoffs
+    .filter((s) => s.airfield === icao)
+    .slice(-limit)
+    .reverse();
+}
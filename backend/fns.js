@@ -0,0 +1,160 @@
+import xml2js from "xml2js";
+
+// ---- FNS (AIXM 5.1) NOTAM messages ----
+// SWIM FNS publishes each NOTAM as an AIXM Event whose time slice carries a
+// textNOTAM (series/number/year, type N/R/C, Q-line fields, effective times,
+// item E text) and an FAA extension with the ICAO location. Older feeds only
+// carry a bare <notamText>; both come out as the same record.
+
+/**
+ * @typedef {Object} FnsNotam
+ * @property {string} number - "09/012" for domestic, "A0123/24" for ICAO series
+ * @property {"N"|"R"|"C"} action
+ * @property {string|null} replaces - number replaced (R) or cancelled (C)
+ * @property {string|null} location - ICAO location
+ * @property {string|null} issued - ISO time
+ * @property {string|null} start - ISO time, null when unknown
+ * @property {string|null} end - ISO time, null when PERM or unknown
+ * @property {boolean} permanent
+ * @property {boolean} estimated
+ * @property {string} text - domestic or ICAO text as published
+ */
+
+const PARSER_OPTIONS = {
+  explicitArray: false,
+  tagNameProcessors: [xml2js.processors.stripPrefix],
+  attrNameProcessors: [xml2js.processors.stripPrefix],
+};
+
+// Element text whether or not it carries attributes
+const textOf = (node) => {
+  if (node === undefined || node === null) return null;
+  if (typeof node === "string") return node.trim();
+  return typeof node._ === "string" ? node._.trim() : null;
+};
+
+const asArray = (v) => (v === undefined || v === null ? [] : Array.isArray(v) ? v : [v]);
+
+// Every value stored under `key` anywhere in the tree
+function findAll(node, key, found = []) {
+  if (!node || typeof node !== "object") return found;
+  for (const [k, v] of Object.entries(node)) {
+    if (k === key) found.push(...asArray(v));
+    asArray(v).forEach((child) => findAll(child, key, found));
+  }
+  return found;
+}
+
+// "202409151200" or "2409151200", optionally followed by EST
+function parseFnsTime(value) {
+  const m = /^(\d{2})?(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})/.exec(value || "");
+  if (!m) return null;
+  const year = Number(m[1] || "20") * 100 + Number(m[2]);
+  return new Date(Date.UTC(year, m[3] - 1, m[4], m[5], m[6])).toISOString();
+}
+
+const tenDigit = (iso) =>
+  iso ? iso.slice(2, 16).replace(/[-T:]/g, "").slice(0, 10) : null;
+
+// Domestic text starts "!ACC MM/NNN"; ICAO text "A0123/24 NOTAMx"
+const DOMESTIC_NUMBER = /^!(?:FDC\s+)?[A-Z0-9]{3,4}\s+(\d{1,2}\/\d{1,4})/;
+const ICAO_HEADER = /\b([A-Z]\d{4}\/\d{2})\s+NOTAM([NRC])(?:\s+([A-Z]\d{4}\/\d{2}))?/;
+
+function fromTimeSlice(slice) {
+  const notam = findAll(slice, "NOTAM")[0];
+  if (!notam) return null;
+  const extension = findAll(slice, "EventExtension")[0] || {};
+
+  const translations = findAll(notam, "NOTAMTranslation");
+  const localText = translations
+    .map((t) => textOf(t.simpleText) || textOf(t.formattedText))
+    .find((t) => t && t.startsWith("!"));
+  const icaoText = translations
+    .map((t) => textOf(t.simpleText) || textOf(t.formattedText))
+    .find((t) => t && ICAO_HEADER.test(t));
+
+  const series = textOf(notam.series) || "";
+  const year = textOf(notam.year) || "";
+  const icaoNumber = `${series}${(textOf(notam.number) || "").padStart(4, "0")}/${year.slice(-2)}`;
+  const number = localText?.match(DOMESTIC_NUMBER)?.[1] || icaoNumber;
+
+  const rawEnd = textOf(notam.effectiveEnd) || "";
+  const issued = textOf(notam.issued);
+  const start = parseFnsTime(textOf(notam.effectiveStart));
+  const end = parseFnsTime(rawEnd);
+  const icaoLocation = textOf(extension.icaoLocation);
+  const location = icaoLocation || textOf(notam.location);
+  const action = (textOf(notam.type) || "N").toUpperCase();
+
+  // Compose ICAO text when the message has no ready-made translation
+  const composed = [
+    `${icaoNumber} NOTAM${action}`,
+    `Q) ${[
+      textOf(notam.affectedFIR),
+      textOf(notam.selectionCode),
+      textOf(notam.traffic),
+      textOf(notam.purpose),
+      textOf(notam.scope),
+      textOf(notam.minimumFL),
+      textOf(notam.maximumFL),
+      textOf(notam.coordinates),
+    ]
+      .map((v) => v || "")
+      .join("/")}`,
+    `A) ${location || ""} B) ${tenDigit(start) || "WIE"} C) ${
+      /PERM/i.test(rawEnd) ? "PERM" : `${tenDigit(end) || "UFN"}${/EST/i.test(rawEnd) ? " EST" : ""}`
+    }`,
+    textOf(notam.schedule) ? `D) ${textOf(notam.schedule)}` : null,
+    `E) ${textOf(notam.text) || ""}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return {
+    number,
+    action: ["N", "R", "C"].includes(action) ? action : "N",
+    replaces:
+      (icaoText && icaoText.match(ICAO_HEADER)?.[3]) ||
+      textOf(extension.xovernotamID) ||
+      null,
+    location: location && location.length === 3 ? `K${location}` : location,
+    issued: issued ? new Date(issued).toISOString() : null,
+    start,
+    end,
+    permanent: /PERM/i.test(rawEnd),
+    estimated: /EST/i.test(rawEnd),
+    text: localText || icaoText || composed,
+  };
+}
+
+// Bare text NOTAMs: number and action come from the text itself
+function fromText(text) {
+  const icao = text.match(ICAO_HEADER);
+  return {
+    number: text.match(DOMESTIC_NUMBER)?.[1] || icao?.[1] || null,
+    action: icao?.[2] || "N",
+    replaces: icao?.[3] || null,
+    location: null,
+    issued: null,
+    start: null,
+    end: null,
+    permanent: false,
+    estimated: false,
+    text,
+  };
+}
+
+/**
+ * All NOTAMs in one FNS message.
+ * @param {string} xml
+ * @returns {Promise<FnsNotam[]>}
+ */
+export async function parseFnsMessage(xml) {
+  const doc = await xml2js.parseStringPromise(xml, PARSER_OPTIONS);
+  const slices = findAll(doc, "EventTimeSlice");
+  if (slices.length > 0) return slices.map(fromTimeSlice).filter(Boolean);
+  return findAll(doc, "notamText")
+    .map(textOf)
+    .filter(Boolean)
+    .map(fromText);
+}
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { parseFnsMessage } from "./fns.js";
+
+// Recorded KMGM messages: three new NOTAMs, a replacement and a cancellation
+const sample = fs
+  .readFileSync(new URL("./replay/kmgm-sample.jsonl", import.meta.url), "utf8")
+  .trim()
+  .split("\n")
+  .map((line) => JSON.parse(line).xml);
+
+test("AIXM event with a domestic translation", async () => {
+  const [notam] = await parseFnsMessage(sample[0]);
+  assert.deepEqual(notam, {
+    number: "10/101",
+    action: "N",
+    replaces: null,
+    location: "KMGM",
+    issued: "2026-10-19T12:00:00.000Z",
+    start: "2026-10-19T12:00:00.000Z",
+    end: "2026-12-31T23:59:00.000Z",
+    permanent: false,
+    estimated: false,
+    text: "!MGM 10/101 MGM RWY 10/28 CLSD 2610191200-2612312359",
+  });
+});
+
+test("permanent and estimated end times", async () => {
+  const [perm] = await parseFnsMessage(sample[1]);
+  assert.equal(perm.permanent, true);
+  assert.equal(perm.end, null);
+  const [est] = await parseFnsMessage(sample[2]);
+  assert.equal(est.estimated, true);
+  assert.equal(est.end, "2026-11-30T23:59:00.000Z");
+});
+
+test("replacements and cancellations name the NOTAM they act on", async () => {
+  const [replacement] = await parseFnsMessage(sample[3]);
+  assert.equal(replacement.action, "R");
+  assert.equal(replacement.replaces, "10/101");
+  const [cancellation] = await parseFnsMessage(sample[4]);
+  assert.equal(cancellation.action, "C");
+  assert.equal(cancellation.replaces, "10/102");
+});
+
+test("bare notamText from older feeds", async () => {
+  const notams = await parseFnsMessage(
+    "<notams><notamText>!MGM 10/012 MGM RWY 10/28 CLSD 2610191200-2610252000</notamText></notams>"
+  );
+  assert.equal(notams.length, 1);
+  assert.equal(notams[0].number, "10/012");
+  assert.equal(notams[0].action, "N");
+  assert.equal(notams[0].location, null);
+});
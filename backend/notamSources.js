@@ -0,0 +1,273 @@
+import fs from "fs";
+import https from "https";
+import axios from "axios";
+import * as cheerio from "cheerio";
+import solclientjs from "solclientjs";
+
+// ---- NOTAM sources ----
+// A source feeds the NOTAM pipeline from somewhere. Streaming sources (SWIM
+// over Solace, or a replay of recorded SWIM traffic) deliver FNS XML
+// messages; polling sources (the OurAirports scrape) deliver a full list per
+// airfield. NOTAM_SOURCE picks the streaming source: "solace" (default),
+// "replay" or "none". Every source reports its health through status().
+
+/**
+ * @typedef {Object} NotamSourceHandlers
+ * @property {(xml: string) => void} [onMessage] - one FNS XML message
+ * @property {() => void} [onConnected] - (re)connected; time to run an initial load
+ * @property {(icao: string, notams: Array<{ id: string, text: string }>) => void} [onSnapshot]
+ *
+ * @typedef {Object} NotamSourceStatus
+ * @property {string} name
+ * @property {string} state - "connecting", "up", "reconnecting", "down", "failed", "replaying", "finished", "polling"
+ * @property {string|null} lastMessageAt - ISO time of the last message or successful scrape
+ * @property {{ at: string, message: string }|null} lastError
+ *
+ * @typedef {Object} NotamSource
+ * @property {string} name
+ * @property {(handlers: NotamSourceHandlers) => void} start
+ * @property {() => void} stop
+ * @property {() => NotamSourceStatus} status
+ */
+
+const errorAt = (message) => ({ at: new Date().toISOString(), message });
+
+// ---- Solace (FAA SWIM FNS) ----
+// NOTAM_RECORD_FILE appends every received message as { at, xml } JSON lines,
+// the format the replay source reads.
+export function createSolaceSource({
+  url = process.env.SOLACE_HOST,
+  vpnName = process.env.SOLACE_VPN,
+  userName = process.env.SOLACE_USERNAME,
+  password = process.env.SOLACE_PASSWORD,
+  queue = process.env.SWIM_QUEUE,
+  recordFile = process.env.NOTAM_RECORD_FILE,
+} = {}) {
+  let session = null;
+  const health = { state: "connecting", connectedAt: null, lastMessageAt: null, lastError: null };
+
+  const record = (xml) => {
+    if (!recordFile) return;
+    fs.appendFile(recordFile, `${JSON.stringify({ at: new Date().toISOString(), xml })}\n`, (err) => {
+      if (err) console.error("❌ Failed to record SWIM message:", err.message);
+    });
+  };
+
+  return {
+    name: "solace",
+    start({ onMessage = () => {}, onConnected = () => {} }) {
+      console.log("🌐 Initializing SWIM Solace listener...");
+      const factoryProps = new solclientjs.SolclientFactoryProperties();
+      factoryProps.profile = solclientjs.SolclientFactoryProfiles.version10;
+      solclientjs.SolclientFactory.init(factoryProps);
+
+      session = solclientjs.SolclientFactory.createSession({
+        url,
+        vpnName,
+        userName,
+        password,
+        reconnectRetries: 5,
+      });
+
+      session.on(solclientjs.SessionEventCode.UP_NOTICE, () => {
+        console.log("✅ Connected to FAA SWIM via Solace");
+        health.state = "up";
+        health.connectedAt = new Date().toISOString();
+        onConnected();
+
+        const flowProps = new solclientjs.FlowProperties();
+        flowProps.endpoint = { type: solclientjs.EndpointType.QUEUE, name: queue };
+        flowProps.bind = true;
+
+        const messageConsumer = session.createMessageConsumer(flowProps);
+        messageConsumer.on(solclientjs.MessageConsumerEventName.MESSAGE, (msg) => {
+          // FNS XML arrives as XML content, a string SDT container or a binary attachment
+          const xml =
+            msg.getXmlContentDecoded() ||
+            msg.getSdtContainer()?.getValue() ||
+            msg.getBinaryAttachment();
+          if (!xml) return;
+          health.lastMessageAt = new Date().toISOString();
+          record(String(xml));
+          onMessage(String(xml));
+        });
+
+        messageConsumer.on(solclientjs.MessageConsumerEventName.DOWN, () => {
+          console.warn("⚠ SWIM consumer down");
+          health.state = "down";
+          health.lastError = errorAt("Queue consumer down");
+        });
+        messageConsumer.connect();
+        console.log(`✅ Bound to SWIM queue: ${queue}`);
+      });
+
+      session.on(solclientjs.SessionEventCode.CONNECT_FAILED_ERROR, (event) => {
+        console.error("❌ SWIM connection failed");
+        health.state = "failed";
+        health.lastError = errorAt(event?.infoStr || "Connection failed");
+      });
+      session.on(solclientjs.SessionEventCode.RECONNECTING_NOTICE, () => {
+        console.warn("⚠ SWIM reconnecting");
+        health.state = "reconnecting";
+      });
+      session.on(solclientjs.SessionEventCode.RECONNECTED_NOTICE, () => {
+        console.log("✅ SWIM reconnected");
+        health.state = "up";
+        onConnected();
+      });
+      session.on(solclientjs.SessionEventCode.DISCONNECTED, () => {
+        console.warn("⚠ SWIM disconnected");
+        health.state = "down";
+        health.lastError = errorAt("Disconnected");
+      });
+      session.connect();
+    },
+    stop() {
+      session?.disconnect();
+    },
+    status: () => ({ name: "solace", ...health }),
+  };
+}
+
+// ---- Replay ----
+// Feeds recorded FNS messages from NOTAM_REPLAY_FILE: JSON lines of
+// { at, xml } (as written by NOTAM_RECORD_FILE) played back with their
+// original spacing divided by NOTAM_REPLAY_SPEED (0 = no delay), or a
+// directory of .xml files, one message each, sent a second apart at speed 1.
+// NOTAM_REPLAY_LOOP=true starts over at the end.
+function readRecording(file) {
+  if (fs.statSync(file).isDirectory()) {
+    return fs
+      .readdirSync(file)
+      .filter((f) => f.toLowerCase().endsWith(".xml"))
+      .sort()
+      .map((f, i) => ({ at: i * 1000, xml: fs.readFileSync(`${file}/${f}`, "utf8") }));
+  }
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .map(({ at, xml }) => ({ at: new Date(at).getTime(), xml }));
+}
+
+export function createReplaySource({
+  file = process.env.NOTAM_REPLAY_FILE,
+  speed = Number(process.env.NOTAM_REPLAY_SPEED ?? 1),
+  loop = process.env.NOTAM_REPLAY_LOOP === "true",
+} = {}) {
+  let timer = null;
+  const health = { state: "replaying", lastMessageAt: null, lastError: null };
+
+  return {
+    name: "replay",
+    start({ onMessage = () => {} }) {
+      let messages;
+      try {
+        messages = readRecording(file);
+      } catch (err) {
+        console.error(`❌ NOTAM replay file ${file} unreadable:`, err.message);
+        health.state = "failed";
+        health.lastError = errorAt(err.message);
+        return;
+      }
+      console.log(`▶ Replaying ${messages.length} FNS messages from ${file} at ${speed}x`);
+
+      let i = 0;
+      const next = () => {
+        if (i >= messages.length) {
+          if (!loop || messages.length === 0) {
+            health.state = "finished";
+            return console.log("⏹ NOTAM replay finished");
+          }
+          i = 0;
+        }
+        health.lastMessageAt = new Date().toISOString();
+        onMessage(messages[i].xml);
+        const gap = i + 1 < messages.length ? messages[i + 1].at - messages[i].at : 1000;
+        i += 1;
+        timer = setTimeout(next, speed > 0 ? Math.max(0, gap) / speed : 0);
+      };
+      next();
+    },
+    stop() {
+      clearTimeout(timer);
+    },
+    status: () => ({ name: "replay", ...health }),
+  };
+}
+
+// ---- OurAirports scrape ----
+// Polls each airfield's OurAirports NOTAM page. A failed scrape keeps the
+// last good list and is reported in status() rather than emptying it.
+export function createOurAirportsSource({ airfields, intervalMs = 15 * 60 * 1000 }) {
+  let timer = null;
+  const scrapes = {}; // icao -> { lastScrapeAt, lastMessageAt, count, lastError }
+
+  async function scrape(icao) {
+    const health = (scrapes[icao] = scrapes[icao] || { lastMessageAt: null, count: 0, lastError: null });
+    health.lastScrapeAt = new Date().toISOString();
+    try {
+      console.log(`🌐 Scraping OurAirports for ${icao}...`);
+      const httpsAgent = new https.Agent({ rejectUnauthorized: false });
+      const { data: html } = await axios.get(
+        `https://ourairports.com/airports/${icao}/notams.html`,
+        { httpsAgent }
+      );
+      const $ = cheerio.load(html);
+      const notams = [];
+      $("section[id^=notam-]").each((_, el) => {
+        const header = $(el).find("h3").text().trim();
+        const body = $(el).find("p.notam").text().trim();
+        if (!header || !body) return;
+        const match = header.match(/(M?\d{3,4}\/\d{2}|!\w{3}\s+\d{2}\/\d{3,4}|FDC\s*\d{1,4}\/\d{2})/);
+        const id = match ? match[0] : header.slice(0, 20);
+        const lines = body.split("\n").map((l) => l.trim()).filter(Boolean);
+        notams.push({
+          id,
+          text: `${id}\n${lines.join("\n")}`,
+          source: "ourairports",
+          retrievedAt: health.lastScrapeAt,
+        });
+      });
+      console.log(`✅ Retrieved ${notams.length} NOTAMs from OurAirports for ${icao}`);
+      health.lastMessageAt = health.lastScrapeAt;
+      health.count = notams.length;
+      return notams;
+    } catch (err) {
+      console.error(`❌ OurAirports NOTAM fetch failed for ${icao}:`, err.message);
+      health.lastError = errorAt(err.message);
+      return null;
+    }
+  }
+
+  return {
+    name: "ourairports",
+    start({ onSnapshot = () => {} }) {
+      const poll = () =>
+        airfields().forEach((icao) =>
+          scrape(icao).then((notams) => notams && onSnapshot(icao, notams))
+        );
+      poll();
+      timer = setInterval(poll, intervalMs);
+    },
+    stop() {
+      clearInterval(timer);
+    },
+    status: () => ({ name: "ourairports", state: "polling", intervalMs, airfields: scrapes }),
+  };
+}
+
+/** The streaming source named by NOTAM_SOURCE, or null for "none". */
+export function createNotamSource(name = process.env.NOTAM_SOURCE || "solace") {
+  switch (name) {
+    case "solace":
+      return createSolaceSource();
+    case "replay":
+      return createReplaySource();
+    case "none":
+      return null;
+    default:
+      throw new Error(`Unknown NOTAM_SOURCE "${name}"`);
+  }
+}
@@ -0,0 +1,96 @@
+import fs from "fs";
+
+// ---- Active NOTAM set ----
+// NOTAMs per airfield keyed by number. New NOTAMs are added, replacements
+// drop the NOTAM they replace and cancellations remove theirs. The set is
+// written to NOTAM_FILE on every change so it survives a restart.
+
+const NOTAM_FILE = "./notams.json";
+let active = {}; // icao -> { number -> FnsNotam }
+
+function save() {
+  fs.writeFileSync(NOTAM_FILE, JSON.stringify(active, null, 2));
+}
+
+export function initNotamStore() {
+  if (!fs.existsSync(NOTAM_FILE)) return;
+  try {
+    active = JSON.parse(fs.readFileSync(NOTAM_FILE));
+    const counts = Object.entries(active).map(([icao, set]) => `${icao} ${Object.keys(set).length}`);
+    console.log(`✅ Loaded saved NOTAMs: ${counts.join(", ") || "none"}`);
+  } catch {
+    console.warn("⚠ Failed to parse saved NOTAMs, starting empty");
+    active = {};
+  }
+}
+
+// Whether a NOTAM is for `icao`; text-only NOTAMs are matched on the ICAO
+// code or the domestic three-letter account
+export function isForAirfield(notam, icao) {
+  if (notam.location) return notam.location === icao;
+  return new RegExp(`(\\b${icao}\\b|^!${icao.slice(1)}\\s)`).test(notam.text);
+}
+
+/**
+ * Apply a new (N), replacement (R) or cancellation (C) NOTAM to an
+ * airfield's set. A cancellation without a reference cancels its own number.
+ * @returns {boolean} whether the set changed
+ */
+export function applyNotam(icao, notam, { persist = true } = {}) {
+  if (!notam.number) return false;
+  const set = (active[icao] = active[icao] || {});
+  let changed = false;
+
+  if (notam.action === "C") {
+    const target = notam.replaces || notam.number;
+    changed = target in set;
+    delete set[target];
+  } else {
+    if (notam.action === "R" && notam.replaces && set[notam.replaces]) {
+      delete set[notam.replaces];
+    }
+    set[notam.number] = notam;
+    changed = true;
+  }
+
+  if (changed && persist) save();
+  return changed;
+}
+
+// Drops NOTAMs whose end time has passed
+export function pruneExpired(now = new Date()) {
+  let changed = false;
+  for (const set of Object.values(active)) {
+    for (const [number, notam] of Object.entries(set)) {
+      if (notam.end && new Date(notam.end) <= now) {
+        delete set[number];
+        changed = true;
+      }
+    }
+  }
+  if (changed) save();
+  return changed;
+}
+
+export function hasNotams(icao) {
+  return Object.keys(active[icao] || {}).length > 0;
+}
+
+/** Active NOTAMs as { id, text, source, retrievedAt }, newest first. */
+export function activeNotams(icao) {
+  return Object.values(active[icao] || {})
+    .sort((a, b) => (b.issued || "").localeCompare(a.issued || ""))
+    .map((n) => ({
+      id: n.number,
+      text: n.text,
+      source: n.source || null,
+      retrievedAt: n.retrievedAt || null,
+    }));
+}
+
+/** Replace an airfield's whole set, e.g. from an initial load. */
+export function replaceNotams(icao, notams) {
+  active[icao] = {};
+  notams.forEach((n) => applyNotam(icao, n, { persist: false }));
+  save();
+}
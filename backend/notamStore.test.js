@@ -0,0 +1,72 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  initNotamStore,
+  isForAirfield,
+  applyNotam,
+  pruneExpired,
+  hasNotams,
+  activeNotams,
+  replaceNotams,
+} from "./notamStore.js";
+
+// The store writes ./notams.json, so run from a scratch directory
+const cwd = process.cwd();
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "notam-store-"));
+  process.chdir(dir);
+});
+after(() => {
+  process.chdir(cwd);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const notam = (number, fields = {}) => ({
+  number,
+  action: "N",
+  replaces: null,
+  location: "KMGM",
+  issued: "2026-10-19T12:00:00.000Z",
+  end: null,
+  text: `!MGM ${number} MGM RWY 10/28 CLSD`,
+  ...fields,
+});
+
+test("new, replacement and cancellation", () => {
+  replaceNotams("KMGM", [notam("10/101"), notam("10/102")]);
+  assert.equal(applyNotam("KMGM", notam("10/104", { action: "R", replaces: "10/101" })), true);
+  assert.equal(applyNotam("KMGM", notam("10/105", { action: "C", replaces: "10/102" })), true);
+  assert.deepEqual(activeNotams("KMGM").map((n) => n.id), ["10/104"]);
+  assert.equal(applyNotam("KMGM", notam("10/106", { action: "C", replaces: "10/999" })), false);
+});
+
+test("newest first", () => {
+  replaceNotams("KMGM", [notam("10/101"), notam("10/102", { issued: "2026-10-19T13:00:00.000Z" })]);
+  assert.deepEqual(activeNotams("KMGM").map((n) => n.id), ["10/102", "10/101"]);
+});
+
+test("expired NOTAMs are pruned", () => {
+  replaceNotams("KMGM", [notam("10/101", { end: "2026-10-19T14:00:00.000Z" }), notam("10/102")]);
+  assert.equal(pruneExpired(new Date("2026-10-19T15:00:00Z")), true);
+  assert.deepEqual(activeNotams("KMGM").map((n) => n.id), ["10/102"]);
+  assert.equal(pruneExpired(new Date("2026-10-19T15:00:00Z")), false);
+});
+
+test("the set survives a restart", () => {
+  replaceNotams("KMGM", [notam("10/101")]);
+  replaceNotams("KBHM", []);
+  initNotamStore();
+  assert.equal(hasNotams("KMGM"), true);
+  assert.equal(hasNotams("KBHM"), false);
+  assert.ok(fs.existsSync(path.join(dir, "notams.json")));
+});
+
+test("text-only NOTAMs match on ICAO or domestic account", () => {
+  assert.equal(isForAirfield({ location: null, text: "!MGM 10/012 MGM RWY 10/28 CLSD" }, "KMGM"), true);
+  assert.equal(isForAirfield({ location: null, text: "A0101/26 NOTAMN A) KMGM" }, "KMGM"), true);
+  assert.equal(isForAirfield({ location: "KBHM", text: "KMGM" }, "KMGM"), false);
+});
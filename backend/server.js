@@ -1,166 +1,462 @@
 import express from "express";
 import axios from "axios";
-import * as cheerio from "cheerio";
 import cors from "cors";
-import https from "https";
 import fs from "fs";
-import path from "path";
-import solclientjs from "solclientjs";
+import http from "http";
+import { WebSocketServer, WebSocket } from "ws";
 import dotenv from "dotenv";
+import {
+  initAuth,
+  authenticate,
+  requireLogin,
+  requirePermission,
+  hasPermission,
+  login,
+  listUsers,
+  upsertUser,
+  deleteUser,
+} from "./auth.js";
+import {
+  defaultState,
+  validateState,
+  deepMerge,
+  migrateState,
+  conformState,
+} from "./stateSchema.js";
+import {
+  initAirfields,
+  listAirfields,
+  getAirfield,
+  defaultAirfield,
+  resolveAirfield,
+  validateInventory,
+  updateInventory,
+} from "./airfields.js";
+import { parseFnsMessage } from "./fns.js";
+import { createNotamSource, createOurAirportsSource } from "./notamSources.js";
+import {
+  initNotamStore,
+  isForAirfield,
+  applyNotam,
+  pruneExpired,
+  hasNotams,
+  activeNotams,
+  replaceNotams,
+} from "./notamStore.js";
+import {
+  initBriefings,
+  userAcks,
+  acknowledge,
+  lastSignoff,
+  signOff,
+  listSignoffs,
+} from "./briefings.js";
+import {
+  SLIDES_ROOT,
+  listSlides,
+  uploadSlides,
+  addSlides,
+  deleteSlide,
+  renameSlide,
+  scheduleSlide,
+  reorderSlides,
+  readAnnotations,
+  writeAnnotations,
+  listAnnotationVersions,
+  readAnnotationVersion,
+  restoreAnnotations,
+} from "./slides.js";
 
 dotenv.config();
+initAuth();
+initAirfields();
+initNotamStore();
+initBriefings();
 
 const app = express();
 const PORT = process.env.PORT || 10000;
 
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: "2mb" })); // annotations carry freehand strokes
+app.use(authenticate);
+
+const server = http.createServer(app);
 
 // ---- Persistent State ----
+// One state per airfield, stored together as { KMGM: {...}, ... }
 const STATE_FILE = "./state.json";
-let savedState = {
-  navaids: { mgm: "IN", mxf: "IN", ils10: "IN", ils28: "IN" },
-  bash: {
-    KMGM: "LOW",
-    KMXF: "LOW",
-    PHCR_MOA: "LOW",
-    BHM_MOA: "LOW",
-    VR060: "LOW",
-    VR1056: "LOW",
-    ShelbyRange: "LOW",
-  },
-  airfield: {
-    activeRunway: "10",
-    rsc: "DRY",
-    rscNotes: "",
-    barriers: { east: "DOWN", west: "DOWN" },
-    arff: "GREEN",
-  },
-};
-if (fs.existsSync(STATE_FILE)) {
+const states = {};
+
+function loadStates() {
+  let stored = {};
+  if (fs.existsSync(STATE_FILE)) {
+    try {
+      stored = JSON.parse(fs.readFileSync(STATE_FILE));
+      // Files from before airfield profiles hold the default field's state
+      if ("navaids" in stored || "schemaVersion" in stored) {
+        stored = { [defaultAirfield().icao]: stored };
+      }
+    } catch {
+      console.warn("⚠ Failed to parse saved state, using defaults");
+      stored = {};
+    }
+  }
+  for (const { icao } of listAirfields()) {
+    const profile = getAirfield(icao);
+    states[icao] = defaultState(profile);
+    if (!stored[icao]) continue;
+    const loaded = migrateState(stored[icao], profile);
+    const errors = validateState(loaded, profile);
+    if (errors.length > 0) {
+      console.warn(`⚠ Saved state for ${icao} failed validation, using defaults:`, errors);
+    } else {
+      states[icao] = loaded;
+    }
+  }
+}
+loadStates();
+
+function saveState() {
+  fs.writeFileSync(STATE_FILE, JSON.stringify(states, null, 2));
+}
+
+// ---- Change History (append-only) ----
+const HISTORY_FILE = "./history.jsonl";
+let history = [];
+if (fs.existsSync(HISTORY_FILE)) {
   try {
-    savedState = JSON.parse(fs.readFileSync(STATE_FILE));
+    history = fs
+      .readFileSync(HISTORY_FILE, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
   } catch {
-    console.warn("⚠ Failed to parse saved state, using defaults");
+    console.warn("⚠ Failed to parse state history, starting fresh");
   }
 }
-function saveState() {
-  fs.writeFileSync(STATE_FILE, JSON.stringify(savedState, null, 2));
+
+// Flatten two state trees into leaf-level { field, oldValue, newValue } changes
+function diffState(prev, next, prefix = "") {
+  const changes = [];
+  const keys = new Set([...Object.keys(prev || {}), ...Object.keys(next || {})]);
+  for (const key of keys) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    const a = prev?.[key];
+    const b = next?.[key];
+    const isObj = (v) => v && typeof v === "object" && !Array.isArray(v);
+    if (isObj(a) || isObj(b)) {
+      changes.push(...diffState(isObj(a) ? a : {}, isObj(b) ? b : {}, field));
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push({ field, oldValue: a ?? null, newValue: b ?? null });
+    }
+  }
+  return changes;
+}
+
+function recordHistory(prev, next, operator, airfield) {
+  const timestamp = new Date().toISOString();
+  const events = diffState(prev, next).map((c) => ({ timestamp, airfield, ...c, operator }));
+  if (events.length === 0) return events;
+  history.push(...events);
+  fs.appendFileSync(HISTORY_FILE, events.map((e) => JSON.stringify(e)).join("\n") + "\n");
+  return events;
 }
 
-// ---- Slides / Annotations ----
-const SLIDES_DIR = path.join(process.cwd(), "../data/slides");
-const ANNOT_FILE = path.join(SLIDES_DIR, "annotations.json");
+// ---- Live Updates (WebSocket) ----
+// Clients subscribe to one airfield with /ws?airfield=ICAO
+const wss = new WebSocketServer({ server, path: "/ws" });
 
-// ---- NOTAM Caches ----
-let swimNotams = [];
-let fallbackNotams = [];
+function broadcast(type, payload, origin = null, airfield = defaultAirfield().icao) {
+  const message = JSON.stringify({ type, payload, origin });
+  wss.clients.forEach((client) => {
+    if (client.readyState === WebSocket.OPEN && client.airfield === airfield) client.send(message);
+  });
+}
 
-// ---- SWIM (Solace) Setup ----
-console.log("🌐 Initializing SWIM Solace listener...");
-const factoryProps = new solclientjs.SolclientFactoryProperties();
-factoryProps.profile = solclientjs.SolclientFactoryProfiles.version10;
-solclientjs.SolclientFactory.init(factoryProps);
+wss.on("connection", (ws, req) => {
+  const requested = new URL(req.url, "http://localhost").searchParams.get("airfield");
+  const profile = getAirfield(requested);
+  if (!profile) return ws.close(4004, `Unknown airfield ${requested}`);
 
-const session = solclientjs.SolclientFactory.createSession({
-  url: process.env.SOLACE_HOST,
-  vpnName: process.env.SOLACE_VPN,
-  userName: process.env.SOLACE_USERNAME,
-  password: process.env.SOLACE_PASSWORD,
-  reconnectRetries: 5,
+  ws.airfield = profile.icao;
+  ws.isAlive = true;
+  ws.on("pong", () => (ws.isAlive = true));
+  ws.send(JSON.stringify({ type: "state", payload: states[profile.icao], origin: null }));
 });
 
-session.on(solclientjs.SessionEventCode.UP_NOTICE, () => {
-  console.log("✅ Connected to FAA SWIM via Solace");
+// Drop clients that stopped answering pings (sleeping kiosks, dead proxies)
+const heartbeat = setInterval(() => {
+  wss.clients.forEach((ws) => {
+    if (!ws.isAlive) return ws.terminate();
+    ws.isAlive = false;
+    ws.ping();
+  });
+}, 30 * 1000);
+wss.on("close", () => clearInterval(heartbeat));
 
-  const flowProps = new solclientjs.FlowProperties();
-  flowProps.endpoint = { type: solclientjs.EndpointType.QUEUE, name: process.env.SWIM_QUEUE };
-  flowProps.bind = true;
+// ---- NOTAM Caches (per airfield) ----
+// SWIM NOTAMs live in notamStore; the OurAirports scrape is only a fallback.
+// Every NOTAM carries the source it came from and when it was retrieved.
+const fallbackNotams = {};
+const initialLoadAt = {}; // icao -> ISO time of the last FNS initial load
+const NOTAM_STALE_MS = 30 * 60 * 1000;
 
-  const messageConsumer = session.createMessageConsumer(flowProps);
-  messageConsumer.on(solclientjs.MessageConsumerEventName.MESSAGE, (msg) => {
-    try {
-      const text = msg.getSdtContainer().getXml();
-      if (!text) return;
-
-      const match = text.match(/<notamText>([\s\S]*?)<\/notamText>/i);
-      if (match) {
-        const rawText = match[1].trim();
-        if (/KMGM/i.test(rawText)) {
-          const idMatch = rawText.match(/!KMGM\s+(\d{2}\/\d{3,4})/);
-          const id = idMatch ? idMatch[1] : `KMGM-${Date.now()}`;
-          const notam = { id, text: rawText };
-          swimNotams = [notam, ...swimNotams].slice(0, 50);
-          console.log(`✅ SWIM NOTAM added for KMGM: ${id}`);
-        }
+// Route each NOTAM in an FNS message to the airfields it is for
+async function handleFnsMessage(xml) {
+  const retrievedAt = new Date().toISOString();
+  for (const parsed of await parseFnsMessage(xml)) {
+    const notam = { ...parsed, source: notamSource.name, retrievedAt };
+    for (const { icao } of listAirfields()) {
+      if (!isForAirfield(notam, icao)) continue;
+      if (applyNotam(icao, notam)) {
+        console.log(`✅ SWIM NOTAM${notam.action} for ${icao}: ${notam.number}`);
       }
+    }
+  }
+}
+
+// FNS initial load: the full active set per airfield, fetched on start and
+// after every reconnect so NOTAMs missed while down are picked up.
+// FNS_INITIAL_LOAD_URL is a template with {icao}; without it the saved set
+// from the last run is used as is.
+async function loadInitialNotams() {
+  const template = process.env.FNS_INITIAL_LOAD_URL;
+  if (!template) return;
+  for (const { icao } of listAirfields()) {
+    try {
+      const { data } = await axios.get(template.replace("{icao}", icao), { responseType: "text" });
+      const retrievedAt = new Date().toISOString();
+      const notams = (await parseFnsMessage(data))
+        .filter((n) => isForAirfield(n, icao))
+        .map((n) => ({ ...n, source: "fns-initial-load", retrievedAt }));
+      replaceNotams(icao, notams);
+      initialLoadAt[icao] = retrievedAt;
+      console.log(`✅ FNS initial load for ${icao}: ${notams.length} NOTAMs`);
     } catch (err) {
-      console.error("❌ Failed to parse SWIM message:", err.message);
+      console.error(`❌ FNS initial load failed for ${icao}:`, err.message);
     }
-  });
+  }
+}
+loadInitialNotams();
+setInterval(pruneExpired, 5 * 60 * 1000);
 
-  messageConsumer.on(solclientjs.MessageConsumerEventName.DOWN, () =>
-    console.warn("⚠ SWIM consumer down")
-  );
-  messageConsumer.connect();
-  console.log(`✅ Bound to SWIM queue: ${process.env.SWIM_QUEUE}`);
+// ---- NOTAM Sources ----
+// NOTAM_SOURCE picks the FNS feed (Solace or a recorded replay); the
+// OurAirports scrape always runs as the fallback
+const notamSource = createNotamSource();
+notamSource?.start({
+  onMessage: (xml) =>
+    handleFnsMessage(xml).catch((err) =>
+      console.error("❌ Failed to parse SWIM message:", err.message)
+    ),
+  onConnected: loadInitialNotams,
 });
 
-session.on(solclientjs.SessionEventCode.CONNECT_FAILED_ERROR, () =>
-  console.error("❌ SWIM connection failed")
-);
-session.on(solclientjs.SessionEventCode.DISCONNECTED, () =>
-  console.warn("⚠ SWIM disconnected")
-);
-session.connect();
+const fallbackSource = createOurAirportsSource({
+  airfields: () => listAirfields().map(({ icao }) => icao),
+});
+fallbackSource.start({
+  onSnapshot: (icao, notams) => {
+    fallbackNotams[icao] = notams;
+  },
+});
 
-// ---- OurAirports Fallback ----
-async function fetchFallbackNotams(icao = "KMGM") {
-  try {
-    console.log(`🌐 Scraping OurAirports for ${icao}...`);
-    const httpsAgent = new https.Agent({ rejectUnauthorized: false });
-    const { data: html } = await axios.get(
-      `https://ourairports.com/airports/${icao}/notams.html`,
-      { httpsAgent }
-    );
-    const $ = cheerio.load(html);
-    const notams = [];
-    $("section[id^=notam-]").each((_, el) => {
-      const header = $(el).find("h3").text().trim();
-      const body = $(el).find("p.notam").text().trim();
-      if (!header || !body) return;
-      const match = header.match(/(M?\d{3,4}\/\d{2}|!\w{3}\s+\d{2}\/\d{3,4}|FDC\s*\d{1,4}\/\d{2})/);
-      const id = match ? match[0] : header.slice(0, 20);
-      const lines = body.split("\n").map((l) => l.trim()).filter(Boolean);
-      notams.push({ id, text: `${id}\n${lines.join("\n")}` });
+// Which feed an airfield's NOTAMs come from and whether it can be trusted.
+// SWIM is stale while its session is not up (a quiet feed is normal); the
+// scrape is stale when its last good result is older than NOTAM_STALE_MS.
+const LIVE_STATES = ["up", "replaying", "finished"];
+
+function notamFeed(icao) {
+  const swim = notamSource?.status();
+  const scrape = fallbackSource.status().airfields[icao] || {};
+  const checkedAt = new Date().toISOString();
+
+  if (swim && (hasNotams(icao) || LIVE_STATES.includes(swim.state))) {
+    const updatedAt = [swim.lastMessageAt, initialLoadAt[icao]].filter(Boolean).sort().pop() || null;
+    return {
+      source: swim.name,
+      state: swim.state,
+      updatedAt,
+      stale: !LIVE_STATES.includes(swim.state),
+      error: swim.lastError,
+      checkedAt,
+    };
+  }
+
+  const age = scrape.lastMessageAt ? Date.now() - new Date(scrape.lastMessageAt) : Infinity;
+  return {
+    source: "ourairports",
+    state: swim ? `swim ${swim.state}` : "polling",
+    updatedAt: scrape.lastMessageAt || null,
+    stale: age > NOTAM_STALE_MS || Boolean(scrape.lastError && scrape.lastError.at > scrape.lastMessageAt),
+    error: scrape.lastError || swim?.lastError || null,
+    checkedAt,
+  };
+}
+
+// ---- Alternate Candidates ----
+// Each profile lists its candidates in order of preference; the approach
+// type picks which alternate minimums apply to that field.
+const ALTERNATE_CACHE_MS = 5 * 60 * 1000;
+const alternateCache = new Map(); // ids -> { at, reports }
+
+// One request per product for all stations; a report starts on the line
+// carrying the station and issue time, indented lines continue it
+function splitReports(text, ids) {
+  const reports = {};
+  let current = null;
+  for (const line of text.split("\n")) {
+    const m = line.match(/^(?:(?:METAR|SPECI|TAF)\s+)?(?:(?:AMD|COR)\s+)*([A-Z0-9]{4})\s+\d{6}Z/);
+    if (m && ids.includes(m[1])) {
+      current = m[1];
+      if (reports[current]) current = null; // keep only the latest report
+      else reports[current] = line.trim();
+    } else if (current && line.trim()) {
+      reports[current] += `\n${line.trim()}`;
+    } else {
+      current = null;
+    }
+  }
+  return reports;
+}
+
+async function fetchReports(ids) {
+  const key = ids.join(",");
+  const cached = alternateCache.get(key);
+  if (cached && Date.now() - cached.at < ALTERNATE_CACHE_MS) return cached.reports;
+
+  const [metars, tafs] = await Promise.all([
+    axios.get(`https://aviationweather.gov/api/data/metar?ids=${key}&format=raw&taf=false`),
+    axios.get(`https://aviationweather.gov/api/data/taf?ids=${key}&format=raw`),
+  ]);
+  const metarById = splitReports(metars.data, ids);
+  const tafById = splitReports(tafs.data, ids);
+  const reports = Object.fromEntries(
+    ids.map((icao) => [
+      icao,
+      { metar: metarById[icao] || `${icao} NIL`, taf: tafById[icao] || `${icao} NIL` },
+    ])
+  );
+  alternateCache.set(key, { at: Date.now(), reports });
+  return reports;
+}
+
+// ---- Hourly Forecast (NWS) ----
+// Feeds the FITS projection; each airfield's gridpoint URL is resolved once
+// from its profile location
+const FORECAST_CACHE_MS = 30 * 60 * 1000;
+const NWS_HEADERS = { "User-Agent": "airfield-dashboard", Accept: "application/geo+json" };
+const forecastHourlyUrls = {};
+const forecastCache = {}; // icao -> { at, periods }
+
+async function fetchHourlyForecast(profile) {
+  const cached = forecastCache[profile.icao];
+  if (cached && Date.now() - cached.at < FORECAST_CACHE_MS) return cached.periods;
+  if (!profile.location) return [];
+
+  if (!forecastHourlyUrls[profile.icao]) {
+    const { lat, lon } = profile.location;
+    const { data } = await axios.get(`https://api.weather.gov/points/${lat},${lon}`, {
+      headers: NWS_HEADERS,
     });
-    fallbackNotams = notams;
-    console.log(`✅ Retrieved ${notams.length} NOTAMs from OurAirports`);
-  } catch (err) {
-    console.error("❌ OurAirports NOTAM fetch failed:", err.message);
-    fallbackNotams = [];
+    forecastHourlyUrls[profile.icao] = data.properties.forecastHourly;
   }
+  const { data } = await axios.get(forecastHourlyUrls[profile.icao], { headers: NWS_HEADERS });
+  const periods = data.properties.periods.map((p) => ({
+    time: p.startTime,
+    temperatureF:
+      p.temperatureUnit === "C" ? Math.round((p.temperature * 9) / 5 + 32) : p.temperature,
+    dewpointF:
+      p.dewpoint?.value === null || p.dewpoint?.value === undefined
+        ? null
+        : Math.round((p.dewpoint.value * 9) / 5 + 32),
+  }));
+  forecastCache[profile.icao] = { at: Date.now(), periods };
+  return periods;
 }
-setInterval(() => fetchFallbackNotams("KMGM"), 15 * 60 * 1000);
-fetchFallbackNotams("KMGM");
 
 // ---- Routes ----
 app.get("/", (req, res) => res.send("✅ Airfield Dashboard Backend running"));
 
-// NOTAMs
-app.get("/api/notams", (req, res) => {
-  const icao = req.query.icao || "KMGM";
-  if (icao !== "KMGM") return res.json({ notams: [] });
-  if (swimNotams.length > 0) {
-    res.json({ notams: swimNotams });
-  } else {
-    res.json({ notams: fallbackNotams });
-  }
+// Airfield profiles
+app.get("/api/airfields", (req, res) => res.json({ airfields: listAirfields() }));
+app.get("/api/airfield", resolveAirfield, (req, res) => res.json(req.airfield));
+
+// Replaces the NAVAID/barrier/BASH inventory. State values for removed items
+// are dropped and ones no longer allowed reset to the item's default.
+app.put("/api/airfield/inventory", resolveAirfield, requirePermission("inventory"), (req, res) => {
+  const errors = validateInventory(req.body, req.airfield);
+  if (errors.length > 0) return res.status(400).json({ error: "Invalid inventory", errors });
+
+  const { icao } = req.airfield;
+  const profile = updateInventory(icao, req.body);
+  const prevState = states[icao];
+  states[icao] = { ...conformState(prevState, profile), revision: prevState.revision + 1 };
+  saveState();
+  recordHistory(prevState, states[icao], req.user.username, icao);
+  broadcast("airfield", profile, null, icao);
+  broadcast("state", states[icao], null, icao);
+  res.json({ ok: true, airfield: profile, state: states[icao] });
+});
+
+// NOTAMs, with the feed they came from so the card can show whether an
+// empty list means "no NOTAMs" or "feeds down"
+function currentNotams(icao) {
+  const feed = notamFeed(icao);
+  const notams = feed.source === "ourairports" ? fallbackNotams[icao] || [] : activeNotams(icao);
+  return { notams, feed };
+}
+
+app.get("/api/notams", resolveAirfield, (req, res) => {
+  res.json(currentNotams(req.airfield.icao));
+});
+
+// Briefing: the operator's acknowledgments and last shift sign-off
+app.get("/api/notams/briefing", resolveAirfield, requireLogin, (req, res) => {
+  const { icao } = req.airfield;
+  res.json({
+    acks: userAcks(icao, req.user.username),
+    lastSignoff: lastSignoff(icao, req.user.username),
+  });
+});
+
+// { id, acknowledged } — ids carry a slash ("10/103") so they go in the body
+app.post("/api/notams/ack", resolveAirfield, requireLogin, (req, res) => {
+  const { id, acknowledged = true } = req.body || {};
+  if (typeof id !== "string" || !id) return res.status(400).json({ error: "NOTAM id required" });
+  res.json({ acks: acknowledge(req.airfield.icao, req.user.username, id, Boolean(acknowledged)) });
+});
+
+// Shift change: record the active NOTAMs and which ones were acknowledged
+app.post("/api/notams/signoff", resolveAirfield, requireLogin, (req, res) => {
+  const { icao } = req.airfield;
+  const note = typeof req.body?.note === "string" ? req.body.note.slice(0, 500) : "";
+  const signoff = signOff(icao, req.user.username, currentNotams(icao).notams, note);
+  console.log(`✅ NOTAM briefing signed off by ${req.user.username} for ${icao}`);
+  res.json({ signoff, acks: userAcks(icao, req.user.username) });
+});
+
+app.get("/api/notams/signoffs", resolveAirfield, requireLogin, (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  res.json({ signoffs: listSignoffs(req.airfield.icao, { limit }) });
+});
+
+// Feed health for monitoring: SWIM session, scraper and per-airfield feeds
+app.get("/api/health", (req, res) => {
+  const airfields = Object.fromEntries(listAirfields().map(({ icao }) => [icao, notamFeed(icao)]));
+  const ok = Object.values(airfields).every((feed) => !feed.stale);
+  res.status(ok ? 200 : 503).json({
+    ok,
+    time: new Date().toISOString(),
+    swim: notamSource?.status() || null,
+    scraper: fallbackSource.status(),
+    airfields,
+  });
 });
 
 // ✅ METAR (NOAA plain text)
 app.get("/api/metar", async (req, res) => {
-  const icao = req.query.icao || "KMGM";
+  const icao = String(req.query.icao || req.query.airfield || defaultAirfield().icao).toUpperCase();
   try {
     const { data } = await axios.get(
       `https://aviationweather.gov/api/data/metar?ids=${icao}&format=raw&taf=false`
@@ -175,7 +471,7 @@ app.get("/api/metar", async (req, res) => {
 
 // ✅ TAF (NOAA plain text)
 app.get("/api/taf", async (req, res) => {
-  const icao = req.query.icao || "KMGM";
+  const icao = String(req.query.icao || req.query.airfield || defaultAirfield().icao).toUpperCase();
   try {
     const { data } = await axios.get(
       `https://aviationweather.gov/api/data/taf?ids=${icao}&format=raw`
@@ -188,54 +484,255 @@ app.get("/api/taf", async (req, res) => {
   }
 });
 
+// Hourly temperature/dewpoint forecast (empty when NWS is unreachable)
+app.get("/api/forecast/hourly", resolveAirfield, async (req, res) => {
+  try {
+    res.json({ periods: await fetchHourlyForecast(req.airfield) });
+  } catch (err) {
+    console.error("❌ Hourly forecast fetch failed:", err.message);
+    res.json({ periods: [] });
+  }
+});
+
+// Alternate candidates with their METAR/TAF; ?ids= adds fields to the
+// configured list (up to 10 total)
+app.get("/api/alternates", resolveAirfield, async (req, res) => {
+  const configured = req.airfield.alternates;
+  const extra = String(req.query.ids || "")
+    .toUpperCase()
+    .split(",")
+    .map((id) => id.trim())
+    .filter((id) => /^[A-Z0-9]{4}$/.test(id))
+    .filter((id) => !configured.some((c) => c.icao === id))
+    .map((icao) => ({ icao, approach: "nonprecision" }));
+  const candidates = [...configured, ...extra].slice(0, 10);
+  if (candidates.length === 0) return res.json({ candidates: [] });
+
+  try {
+    const reports = await fetchReports(candidates.map((c) => c.icao));
+    res.json({ candidates: candidates.map((c) => ({ ...c, ...reports[c.icao] })) });
+  } catch (err) {
+    console.error("❌ Alternate weather fetch failed:", err.message);
+    res.status(502).json({ error: "Alternate weather unavailable", candidates });
+  }
+});
+
+// Auth + user management
+app.post("/api/login", (req, res) => {
+  const { username, password } = req.body || {};
+  const session = login(username, password);
+  if (!session) return res.status(401).json({ error: "Invalid username or password" });
+  res.json(session);
+});
+app.get("/api/me", requireLogin, (req, res) => res.json(req.user));
+app.get("/api/users", requirePermission("users"), (req, res) => res.json(listUsers()));
+app.post("/api/users", requirePermission("users"), (req, res) => {
+  const { username, role, password } = req.body || {};
+  if (!username) return res.status(400).json({ error: "Username required" });
+  try {
+    res.json(upsertUser(username, { role, password }));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+app.delete("/api/users/:username", requirePermission("users"), (req, res) => {
+  if (req.params.username === req.user.username) {
+    return res.status(400).json({ error: "Cannot delete your own account" });
+  }
+  if (!deleteUser(req.params.username)) return res.status(404).json({ error: "No such user" });
+  res.json({ ok: true });
+});
+
 // State persistence
-app.get("/api/state", (req, res) => res.json(savedState));
-app.post("/api/state", (req, res) => {
-  savedState = { ...savedState, ...req.body };
+// Writes are conditional on If-Match: "<revision>" from the last GET or push.
+// A missing one gets 428; a stale revision gets 409 with the current state so
+// the client can rebase.
+app.get("/api/state", resolveAirfield, (req, res) => {
+  const state = states[req.airfield.icao];
+  res.set("ETag", `"${state.revision}"`);
+  res.json(state);
+});
+app.post("/api/state", resolveAirfield, requireLogin, (req, res) => {
+  const { icao } = req.airfield;
+  const savedState = states[icao];
+  const ifMatch = req.get("If-Match");
+  if (!ifMatch) {
+    return res.status(428).json({ error: "If-Match with the state revision is required" });
+  }
+  if (ifMatch.replace(/"/g, "") !== String(savedState.revision)) {
+    return res.status(409).json({
+      error: "State was changed by another operator",
+      revision: savedState.revision,
+      state: savedState,
+    });
+  }
+
+  const { schemaVersion, revision, ...patch } = req.body || {};
+  const errors = validateState(patch, req.airfield, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid state update", errors });
+  }
+
+  const nextState = deepMerge(savedState, patch);
+  const forbidden = diffState(savedState, nextState)
+    .map((c) => c.field)
+    .filter((field) => !hasPermission(req.user.permissions, field));
+  if (forbidden.length > 0) {
+    return res.status(403).json({
+      error: `Role ${req.user.role} cannot change ${forbidden.join(", ")}`,
+      fields: forbidden,
+    });
+  }
+
+  states[icao] = { ...nextState, revision: savedState.revision + 1 };
   saveState();
-  res.json({ ok: true, state: savedState });
+  recordHistory(savedState, states[icao], req.user.username, icao);
+  broadcast("state", states[icao], req.get("X-Client-Id"), icao);
+  res.set("ETag", `"${states[icao].revision}"`);
+  res.json({ ok: true, state: states[icao] });
+});
+
+// State history: ?from=&to= (ISO times), ?field= (path prefix), ?limit=
+// Entries written before airfield profiles belong to the default field.
+app.get("/api/state/history", resolveAirfield, (req, res) => {
+  const { from, to, field } = req.query;
+  const limit = parseInt(req.query.limit, 10) || 500;
+  const fromTs = from ? new Date(from).getTime() : -Infinity;
+  const toTs = to ? new Date(to).getTime() : Infinity;
+  if (Number.isNaN(fromTs) || Number.isNaN(toTs)) {
+    return res.status(400).json({ error: "Invalid from/to time" });
+  }
+  const events = history
+    .filter((e) => {
+      if ((e.airfield || defaultAirfield().icao) !== req.airfield.icao) return false;
+      const ts = new Date(e.timestamp).getTime();
+      if (ts < fromTs || ts > toTs) return false;
+      if (field && e.field !== field && !e.field.startsWith(`${field}.`)) return false;
+      return true;
+    })
+    .slice(-limit)
+    .reverse();
+  res.json({ events });
 });
 
 // NAVAIDs + BASH
-app.get("/api/navaids", (req, res) => res.json(savedState.navaids));
-app.get("/api/bash", (req, res) => res.json(savedState.bash));
+app.get("/api/navaids", resolveAirfield, (req, res) => res.json(states[req.airfield.icao].navaids));
+app.get("/api/bash", resolveAirfield, (req, res) => res.json(states[req.airfield.icao].bash));
 
-// Slides + Annotations
-app.use("/slides", express.static(SLIDES_DIR));
-app.get("/api/slides", (req, res) => {
+// Slides + Annotations (images are served from /slides/<ICAO>/<file>)
+app.use("/slides", express.static(SLIDES_ROOT));
+// Slides in display order with their schedules; each client picks what it
+// shows right now
+app.get("/api/slides", resolveAirfield, (req, res) => {
   try {
-    if (!fs.existsSync(SLIDES_DIR)) return res.json([]);
-    const files = fs.readdirSync(SLIDES_DIR);
-    const images = files.filter((f) => /\.(png|jpg|jpeg)$/i.test(f));
-    res.json(images);
+    res.json(listSlides(req.airfield.icao));
   } catch (err) {
     console.error("❌ Failed to read slides:", err.message);
     res.json([]);
   }
 });
-app.get("/api/annotations", (req, res) => {
-  if (fs.existsSync(ANNOT_FILE)) {
-    try {
-      const data = JSON.parse(fs.readFileSync(ANNOT_FILE));
-      res.json(data);
-    } catch {
-      res.json({ slides: {} });
-    }
-  } else {
-    res.json({ slides: {} });
+
+// Slide library changes answer with the new order and push it to every
+// client; rename and delete carry the annotations along
+function slidesChanged(req, res, slides, extra = {}) {
+  const { icao } = req.airfield;
+  const origin = req.get("X-Client-Id");
+  broadcast("slides", slides, origin, icao);
+  if (extra.annotations) broadcast("annotations", readAnnotations(icao), origin, icao);
+  res.json({ slides, ...extra.body });
+}
+
+// multipart/form-data, PNG/JPG/PDF files in the "slides" field
+app.post("/api/slides", resolveAirfield, requirePermission("slides"), (req, res) => {
+  uploadSlides(req, res, (err) => {
+    if (err) return res.status(400).json({ error: err.message });
+    const files = (req.files || []).map((f) => f.filename);
+    if (files.length === 0) return res.status(400).json({ error: "No slide files uploaded" });
+    console.log(`✅ Uploaded slides for ${req.airfield.icao}: ${files.join(", ")}`);
+    slidesChanged(req, res, addSlides(req.airfield.icao, files), { body: { uploaded: files } });
+  });
+});
+
+// { order: [file, ...] } listing every slide once
+app.put("/api/slides/order", resolveAirfield, requirePermission("slides"), (req, res) => {
+  try {
+    slidesChanged(req, res, reorderSlides(req.airfield.icao, req.body?.order));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// { name } renames (the extension is kept); { duration, activeFrom,
+// activeUntil, displays, priority } reschedules
+app.patch("/api/slides/:file", resolveAirfield, requirePermission("slides"), (req, res) => {
+  const { icao } = req.airfield;
+  const { name, ...schedule } = req.body || {};
+  try {
+    let file = req.params.file;
+    let slides = Object.keys(schedule).length > 0 ? scheduleSlide(icao, file, schedule) : null;
+    if (name !== undefined) ({ file, slides } = renameSlide(icao, file, name));
+    if (!slides) return res.status(400).json({ error: "Nothing to change" });
+    slidesChanged(req, res, slides, { annotations: name !== undefined, body: { file } });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
   }
 });
-app.post("/api/annotations", (req, res) => {
+
+app.delete("/api/slides/:file", resolveAirfield, requirePermission("slides"), (req, res) => {
   try {
-    fs.writeFileSync(ANNOT_FILE, JSON.stringify(req.body, null, 2));
-    res.json({ ok: true });
+    const slides = deleteSlide(req.airfield.icao, req.params.file);
+    console.log(`🗑 Deleted slide ${req.params.file} for ${req.airfield.icao}`);
+    slidesChanged(req, res, slides, { annotations: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get("/api/annotations", resolveAirfield, (req, res) => {
+  res.json(readAnnotations(req.airfield.icao));
+});
+app.post("/api/annotations", resolveAirfield, requirePermission("annotations"), (req, res) => {
+  const { icao } = req.airfield;
+  try {
+    const version = writeAnnotations(icao, req.body, req.user.username);
+    broadcast("annotations", req.body, req.get("X-Client-Id"), icao);
+    res.json({ ok: true, version });
   } catch (err) {
     console.error("❌ Failed to save annotations:", err.message);
     res.status(500).json({ ok: false });
   }
 });
 
+// Annotation versions: every save is kept; ?limit= lists the newest
+app.get("/api/annotations/versions", resolveAirfield, (req, res) => {
+  const limit = parseInt(req.query.limit, 10) || 50;
+  res.json({ versions: listAnnotationVersions(req.airfield.icao, limit) });
+});
+app.get("/api/annotations/versions/:version", resolveAirfield, (req, res) => {
+  try {
+    res.json(readAnnotationVersion(req.airfield.icao, req.params.version));
+  } catch (err) {
+    res.status(404).json({ error: err.message });
+  }
+});
+app.post(
+  "/api/annotations/versions/:version/restore",
+  resolveAirfield,
+  requirePermission("annotations"),
+  (req, res) => {
+    const { icao } = req.airfield;
+    try {
+      const { version, annotations } = restoreAnnotations(icao, req.params.version, req.user.username);
+      broadcast("annotations", annotations, req.get("X-Client-Id"), icao);
+      console.log(`✅ Annotations for ${icao} restored to version ${req.params.version} by ${req.user.username}`);
+      res.json({ version, annotations });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  }
+);
+
 // ---- Start ----
-app.listen(PORT, () => {
+server.listen(PORT, () => {
   console.log(`🚀 Backend listening on port ${PORT}`);
 });
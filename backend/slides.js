@@ -0,0 +1,332 @@
+import fs from "fs";
+import path from "path";
+import multer from "multer";
+
+// ---- Slide library ----
+// Each airfield has its own folder, ../data/slides/<ICAO>/, holding the
+// slide files, their annotations (annotations.json) and the slide order
+// (slides.json). Files copied into the folder by hand are picked up and
+// appended to the order. PDFs are rendered page by page in the browser;
+// annotations are keyed by file name for images and "<file>#<page>" for
+// PDF pages.
+//
+// Each manifest entry also schedules its slide: how long it shows, the
+// window it is active in, which displays show it (none listed = all) and
+// its priority. "high" slides lead the rotation; while any "pinned" slide is
+// active a display shows only its pinned slides.
+//
+// Every save of annotations.json also keeps a numbered copy in
+// annotation-versions/ (the newest ANNOTATION_VERSIONS of them) so earlier
+// markup can be restored.
+
+export const SLIDES_ROOT = path.join(process.cwd(), "../data/slides");
+export const slidesDir = (icao) => path.join(SLIDES_ROOT, icao);
+const annotationsFile = (icao) => path.join(slidesDir(icao), "annotations.json");
+const manifestFile = (icao) => path.join(slidesDir(icao), "slides.json");
+const versionsDir = (icao) => path.join(slidesDir(icao), "annotation-versions");
+const versionFile = (icao, version) => path.join(versionsDir(icao), `${version}.json`);
+
+const SLIDE_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".pdf": "application/pdf",
+};
+const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+
+const isSlideFile = (name) => path.extname(name).toLowerCase() in SLIDE_TYPES;
+
+export const SLIDE_PRIORITIES = ["normal", "high", "pinned"];
+const SLIDE_DEFAULTS = {
+  duration: 5, // seconds
+  activeFrom: null,
+  activeUntil: null,
+  displays: [],
+  priority: "normal",
+};
+const MAX_DURATION = 3600;
+const ANNOTATION_VERSIONS = 200;
+
+const withSlideDefaults = (entry) => ({ file: entry.file, ...SLIDE_DEFAULTS, ...entry });
+
+// ---- Annotations ----
+export function readAnnotations(icao) {
+  try {
+    return JSON.parse(fs.readFileSync(annotationsFile(icao)));
+  } catch {
+    return { slides: {} };
+  }
+}
+
+/**
+ * Saves an airfield's annotations and keeps a version of them. `savedBy` is
+ * the user behind the change, null for changes the server makes itself
+ * (moving annotations along with a renamed or deleted slide).
+ * @returns {number} the new version
+ */
+export function writeAnnotations(icao, data, savedBy = null, restoredFrom = null) {
+  fs.mkdirSync(slidesDir(icao), { recursive: true });
+  fs.writeFileSync(annotationsFile(icao), JSON.stringify(data, null, 2));
+  return saveVersion(icao, data, savedBy, restoredFrom);
+}
+
+// ---- Annotation versions ----
+const versionNumbers = (icao) => {
+  if (!fs.existsSync(versionsDir(icao))) return [];
+  return fs
+    .readdirSync(versionsDir(icao))
+    .map((f) => /^(\d+)\.json$/.exec(f)?.[1])
+    .filter(Boolean)
+    .map(Number)
+    .sort((a, b) => a - b);
+};
+
+function saveVersion(icao, data, savedBy, restoredFrom) {
+  fs.mkdirSync(versionsDir(icao), { recursive: true });
+  const existing = versionNumbers(icao);
+  const version = (existing[existing.length - 1] || 0) + 1;
+  const entry = { version, savedAt: new Date().toISOString(), savedBy, restoredFrom, slides: data.slides || {} };
+  fs.writeFileSync(versionFile(icao, version), JSON.stringify(entry));
+  existing
+    .slice(0, Math.max(0, existing.length + 1 - ANNOTATION_VERSIONS))
+    .forEach((old) => fs.unlinkSync(versionFile(icao, old)));
+  return version;
+}
+
+export function readAnnotationVersion(icao, version) {
+  const n = Number(version);
+  if (!Number.isInteger(n) || n < 1 || !fs.existsSync(versionFile(icao, n))) {
+    throw new Error(`Unknown annotation version ${version}`);
+  }
+  return JSON.parse(fs.readFileSync(versionFile(icao, n)));
+}
+
+/** The newest `limit` saved versions, newest first, without their annotations. */
+export function listAnnotationVersions(icao, limit = 50) {
+  return versionNumbers(icao)
+    .slice(-limit)
+    .reverse()
+    .flatMap((n) => {
+      try {
+        const { slides, ...meta } = readAnnotationVersion(icao, n);
+        const counts = Object.values(slides).map((list) => list.length);
+        return [{ ...meta, slideCount: counts.filter(Boolean).length, annotationCount: counts.reduce((a, b) => a + b, 0) }];
+      } catch {
+        return [];
+      }
+    });
+}
+
+/** Makes an earlier version current again, as a new version. */
+export function restoreAnnotations(icao, version, savedBy) {
+  const { slides } = readAnnotationVersion(icao, version);
+  const data = { ...readAnnotations(icao), slides };
+  return { version: writeAnnotations(icao, data, savedBy, Number(version)), annotations: data };
+}
+
+// Moves (or with `to` null, drops) every annotation key of a slide file
+function moveAnnotations(icao, from, to) {
+  const annotations = readAnnotations(icao);
+  const slides = annotations.slides || {};
+  const keys = Object.keys(slides).filter((k) => k === from || k.startsWith(`${from}#`));
+  if (keys.length === 0) return;
+  keys.forEach((key) => {
+    if (to) slides[to + key.slice(from.length)] = slides[key];
+    delete slides[key];
+  });
+  writeAnnotations(icao, { ...annotations, slides });
+}
+
+// ---- Manifest ----
+function readManifest(icao) {
+  try {
+    return JSON.parse(fs.readFileSync(manifestFile(icao))).slides || [];
+  } catch {
+    return [];
+  }
+}
+
+function writeManifest(icao, entries) {
+  fs.writeFileSync(manifestFile(icao), JSON.stringify({ slides: entries }, null, 2));
+}
+
+/** Manifest entries in display order, reconciled with the folder. */
+export function slideEntries(icao) {
+  const dir = slidesDir(icao);
+  if (!fs.existsSync(dir)) return [];
+  const files = new Set(fs.readdirSync(dir).filter(isSlideFile));
+  const entries = readManifest(icao).filter((e) => files.has(e.file));
+  const listed = new Set(entries.map((e) => e.file));
+  [...files]
+    .filter((f) => !listed.has(f))
+    .sort()
+    .forEach((file) => entries.push({ file }));
+  return entries;
+}
+
+/** Slides in display order with their schedule filled in. */
+export const listSlides = (icao) => slideEntries(icao).map(withSlideDefaults);
+
+// "Ramp Construction (wk 32).PNG" -> "Ramp-Construction-wk-32.png"
+function safeName(name, ext) {
+  const base = path
+    .basename(name, path.extname(name))
+    .replace(/[^A-Za-z0-9._-]+/g, "-")
+    .replace(/^[-.]+|-+$/g, "");
+  return `${base || "slide"}${ext.toLowerCase()}`;
+}
+
+// `taken` holds names already given out in the same upload
+function uniqueName(icao, name, taken = new Set()) {
+  const ext = path.extname(name);
+  const base = path.basename(name, ext);
+  const used = (n) => taken.has(n) || fs.existsSync(path.join(slidesDir(icao), n));
+  let candidate = name;
+  for (let i = 1; used(candidate); i += 1) candidate = `${base}-${i}${ext}`;
+  taken.add(candidate);
+  return candidate;
+}
+
+// Resolves a client-supplied file name to one in the airfield's folder
+function existingSlide(icao, file) {
+  const name = path.basename(String(file || ""));
+  if (!name || !isSlideFile(name) || !fs.existsSync(path.join(slidesDir(icao), name))) {
+    throw new Error(`Unknown slide ${file}`);
+  }
+  return name;
+}
+
+// ---- Upload ----
+// Multer middleware for up to 10 files in the "slides" field; runs after
+// resolveAirfield so files land in that airfield's folder
+export const uploadSlides = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dir = slidesDir(req.airfield.icao);
+      fs.mkdirSync(dir, { recursive: true });
+      cb(null, dir);
+    },
+    filename: (req, file, cb) => {
+      const ext = path.extname(file.originalname).toLowerCase();
+      req.slideNames = req.slideNames || new Set();
+      cb(null, uniqueName(req.airfield.icao, safeName(file.originalname, ext), req.slideNames));
+    },
+  }),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 10 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (SLIDE_TYPES[ext] && SLIDE_TYPES[ext] === file.mimetype) return cb(null, true);
+    cb(new Error(`${file.originalname}: only PNG, JPG and PDF slides are accepted`));
+  },
+}).array("slides", 10);
+
+/** Appends uploaded files to the end of the order. */
+export function addSlides(icao, files) {
+  const entries = slideEntries(icao).filter((e) => !files.includes(e.file));
+  writeManifest(icao, [...entries, ...files.map((file) => ({ file }))]);
+  return listSlides(icao);
+}
+
+export function deleteSlide(icao, file) {
+  const name = existingSlide(icao, file);
+  fs.unlinkSync(path.join(slidesDir(icao), name));
+  writeManifest(icao, slideEntries(icao));
+  moveAnnotations(icao, name, null);
+  return listSlides(icao);
+}
+
+/**
+ * Schedule changes for a slide: { duration, activeFrom, activeUntil,
+ * displays, priority }, any subset. Returns a list of problems, empty when
+ * the changes are valid.
+ */
+export function validateSlideSchedule(changes) {
+  const errors = [];
+  const isTime = (v) => v === null || (typeof v === "string" && !Number.isNaN(Date.parse(v)));
+
+  if ("duration" in changes) {
+    const d = changes.duration;
+    if (!Number.isInteger(d) || d < 1 || d > MAX_DURATION) {
+      errors.push(`duration must be a whole number of seconds from 1 to ${MAX_DURATION}`);
+    }
+  }
+  ["activeFrom", "activeUntil"].forEach((key) => {
+    if (key in changes && !isTime(changes[key])) errors.push(`${key} must be a date/time or null`);
+  });
+  if (
+    changes.activeFrom &&
+    changes.activeUntil &&
+    isTime(changes.activeFrom) &&
+    isTime(changes.activeUntil) &&
+    Date.parse(changes.activeUntil) <= Date.parse(changes.activeFrom)
+  ) {
+    errors.push("activeUntil must be after activeFrom");
+  }
+  if (
+    "displays" in changes &&
+    (!Array.isArray(changes.displays) ||
+      !changes.displays.every((d) => typeof d === "string" && /^[a-z0-9-]+$/i.test(d)))
+  ) {
+    errors.push("displays must be a list of display names (letters, digits, dashes)");
+  }
+  if ("priority" in changes && !SLIDE_PRIORITIES.includes(changes.priority)) {
+    errors.push(`priority must be one of ${SLIDE_PRIORITIES.join(", ")}`);
+  }
+  return errors;
+}
+
+/** Updates a slide's schedule, keeping anything not in `changes`. */
+export function scheduleSlide(icao, file, changes) {
+  const name = existingSlide(icao, file);
+  const schedule = {};
+  Object.keys(SLIDE_DEFAULTS).forEach((key) => {
+    if (key in changes) schedule[key] = changes[key];
+  });
+  const merged = { ...withSlideDefaults(slideEntries(icao).find((e) => e.file === name)), ...schedule };
+  const errors = validateSlideSchedule(merged);
+  if (errors.length > 0) throw new Error(errors.join("; "));
+  if (schedule.displays) schedule.displays = [...new Set(schedule.displays.map((d) => d.toLowerCase()))];
+
+  writeManifest(
+    icao,
+    slideEntries(icao).map((e) => (e.file === name ? { ...e, ...schedule } : e))
+  );
+  return listSlides(icao);
+}
+
+/** Renames a slide file, keeping its extension, position and annotations. */
+export function renameSlide(icao, file, newName) {
+  const name = existingSlide(icao, file);
+  const ext = path.extname(name);
+  const target = safeName(String(newName || ""), ext);
+  if (target === name) return { file: name, slides: listSlides(icao) };
+  if (fs.existsSync(path.join(slidesDir(icao), target))) {
+    throw new Error(`A slide named ${target} already exists`);
+  }
+
+  const entries = slideEntries(icao);
+  fs.renameSync(path.join(slidesDir(icao), name), path.join(slidesDir(icao), target));
+  writeManifest(
+    icao,
+    entries.map((e) => (e.file === name ? { ...e, file: target } : e))
+  );
+
+  moveAnnotations(icao, name, target);
+  return { file: target, slides: listSlides(icao) };
+}
+
+/** Sets the order; `order` must list every current slide exactly once. */
+export function reorderSlides(icao, order) {
+  const entries = slideEntries(icao);
+  const byFile = new Map(entries.map((e) => [e.file, e]));
+  if (
+    !Array.isArray(order) ||
+    order.length !== entries.length ||
+    new Set(order).size !== order.length ||
+    !order.every((f) => byFile.has(f))
+  ) {
+    throw new Error("Order must list every slide exactly once");
+  }
+  writeManifest(icao, order.map((f) => byFile.get(f)));
+  return listSlides(icao);
+}
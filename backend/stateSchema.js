@@ -0,0 +1,176 @@
+// ---- Airfield state model ----
+
+// NAVAID, barrier and BASH statuses are whatever the airfield profile allows
+// for each item (see INVENTORY_KINDS in airfields.js); the first listed
+// status is the default.
+
+/**
+ * @typedef {Object} AirfieldStatus
+ * @property {string} activeRunway - a runway id from the airfield profile
+ * @property {"DRY" | "WET" | "N/A"} rsc
+ * @property {string} rscNotes
+ * @property {Object<string, string>} barriers
+ * @property {"GREEN" | "YELLOW" | "RED"} arff
+ *
+ * @typedef {Object} AirfieldState
+ * @property {number} schemaVersion
+ * @property {number} revision - bumped on every accepted write
+ * @property {Object<string, string>} navaids
+ * @property {Object<string, string>} bash
+ * @property {AirfieldStatus} airfield
+ */
+
+export const SCHEMA_VERSION = 1;
+
+const enumOf = (values) => ({ type: "enum", values });
+const objectOf = (fields) => ({ type: "object", fields });
+
+const statusesOf = (items) =>
+  Object.fromEntries(items.map((item) => [item.id, enumOf(item.statuses)]));
+const defaultsOf = (items) => Object.fromEntries(items.map((item) => [item.id, item.statuses[0]]));
+
+// Fields come from the airfield profile: its NAVAIDs, BASH areas, barriers
+// and runway ends
+export function buildSchema(profile) {
+  return objectOf({
+    navaids: objectOf(statusesOf(profile.navaids)),
+    bash: objectOf(statusesOf(profile.bashAreas)),
+    airfield: objectOf({
+      activeRunway: enumOf(profile.runways.map((r) => r.id)),
+      rsc: enumOf(["DRY", "WET", "N/A"]),
+      rscNotes: { type: "string", maxLength: 500 },
+      barriers: objectOf(statusesOf(profile.barriers)),
+      arff: enumOf(["GREEN", "YELLOW", "RED"]),
+    }),
+  });
+}
+
+/** @returns {AirfieldState} */
+export function defaultState(profile) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    revision: 0,
+    navaids: defaultsOf(profile.navaids),
+    bash: defaultsOf(profile.bashAreas),
+    airfield: {
+      activeRunway: profile.runways[0].id,
+      rsc: "DRY",
+      rscNotes: "",
+      barriers: defaultsOf(profile.barriers),
+      arff: "GREEN",
+    },
+  };
+}
+
+// ---- Validation ----
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+function validateNode(schema, value, field, partial, errors) {
+  if (schema.type === "enum") {
+    if (!schema.values.includes(value)) {
+      errors.push({ field, message: `must be one of ${schema.values.join(", ")}` });
+    }
+  } else if (schema.type === "string") {
+    if (typeof value !== "string") errors.push({ field, message: "must be a string" });
+    else if (value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+    }
+  } else if (schema.type === "object") {
+    if (!isPlainObject(value)) {
+      errors.push({ field, message: "must be an object" });
+      return;
+    }
+    // Own keys only, so "toString" or "__proto__" are unknown like any other
+    for (const key of Object.keys(value)) {
+      const child = field ? `${field}.${key}` : key;
+      if (!Object.hasOwn(schema.fields, key)) errors.push({ field: child, message: "is not a known field" });
+      else validateNode(schema.fields[key], value[key], child, partial, errors);
+    }
+    if (!partial) {
+      for (const key of Object.keys(schema.fields)) {
+        if (!Object.hasOwn(value, key)) {
+          errors.push({ field: field ? `${field}.${key}` : key, message: "is required" });
+        }
+      }
+    }
+  }
+}
+
+// Returns a list of { field, message }; empty when valid.
+// With `partial`, missing fields are allowed (a PATCH-style update).
+export function validateState(value, profile, { partial = false } = {}) {
+  const errors = [];
+  const { schemaVersion, revision, ...rest } = isPlainObject(value) ? value : {};
+  if (!isPlainObject(value)) errors.push({ field: "", message: "must be an object" });
+  else validateNode(buildSchema(profile), rest, "", partial, errors);
+  return errors;
+}
+
+// Objects merge key by key, everything else is replaced
+export function deepMerge(target, patch) {
+  if (!isPlainObject(target) || !isPlainObject(patch)) return patch;
+  const out = { ...target };
+  for (const [key, value] of Object.entries(patch)) {
+    out[key] = deepMerge(target[key], value);
+  }
+  return out;
+}
+
+// ---- Migrations ----
+// MIGRATIONS[n] upgrades a state at version n to version n + 1.
+// Files written before versioning are treated as version 0.
+const MIGRATIONS = {
+  0: (state) => {
+    // Early builds stored NAVAIDs as booleans and BASH areas by display name
+    const navaids = {};
+    for (const [key, value] of Object.entries(state.navaids || {})) {
+      navaids[key] = typeof value === "boolean" ? (value ? "IN" : "OUT") : value;
+    }
+    const renamed = {
+      "PH/CR MOA": "PHCR_MOA",
+      "BHM MOA": "BHM_MOA",
+      "Shelby Range": "ShelbyRange",
+      "VR-060": "VR060",
+      "VR-1056": "VR1056",
+    };
+    const bash = {};
+    for (const [key, value] of Object.entries(state.bash || {})) {
+      bash[renamed[key] || key] = value;
+    }
+    return { ...state, navaids, bash };
+  },
+};
+
+export function migrateState(state, profile) {
+  let version = Number.isInteger(state.schemaVersion) ? state.schemaVersion : 0;
+  let migrated = state;
+  while (version < SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version += 1;
+    console.log(`🔧 Migrated saved state to schema v${version}`);
+  }
+  const merged = deepMerge(defaultState(profile), { ...migrated, schemaVersion: SCHEMA_VERSION });
+  return conformState(merged, profile);
+}
+
+// Drops items no longer in the profile and resets values it no longer
+// allows, so an inventory change never leaves the saved state invalid.
+// Runway ends are left alone; they are not part of the inventory.
+export function conformState(state, profile) {
+  const conform = (values = {}, items) =>
+    Object.fromEntries(
+      items.map(({ id, statuses }) => [
+        id,
+        statuses.includes(values[id]) ? values[id] : statuses[0],
+      ])
+    );
+  return {
+    ...state,
+    navaids: conform(state.navaids, profile.navaids),
+    bash: conform(state.bash, profile.bashAreas),
+    airfield: {
+      ...state.airfield,
+      barriers: conform(state.airfield?.barriers, profile.barriers),
+    },
+  };
+}
@@ -0,0 +1,41 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import { initAirfields, getAirfield } from "./airfields.js";
+import { defaultState, validateState, deepMerge } from "./stateSchema.js";
+
+let profile;
+before(() => {
+  process.env.AIRFIELDS_FILE = fileURLToPath(new URL("./airfields.json", import.meta.url));
+  initAirfields();
+  profile = getAirfield("KMGM");
+});
+
+test("the default state is valid", () => {
+  assert.deepEqual(validateState(defaultState(profile), profile), []);
+});
+
+test("partial updates check only the fields sent", () => {
+  assert.deepEqual(validateState({ airfield: { rsc: "WET" } }, profile, { partial: true }), []);
+  assert.deepEqual(validateState({ airfield: { rsc: "ICY" } }, profile, { partial: true }), [
+    { field: "airfield.rsc", message: "must be one of DRY, WET, N/A" },
+  ]);
+});
+
+test("inherited object members are not known fields", () => {
+  const patch = JSON.parse(
+    '{"airfield":{"toString":"x","constructor":{"a":1},"__proto__":{"b":2}},"hasOwnProperty":5}'
+  );
+  assert.deepEqual(
+    validateState(patch, profile, { partial: true }).map((e) => e.field),
+    ["airfield.toString", "airfield.constructor", "airfield.__proto__", "hasOwnProperty"]
+  );
+  assert.ok(validateState({ ...defaultState(profile), airfield: {} }, profile).length > 0);
+});
+
+test("deepMerge merges objects and replaces everything else", () => {
+  const state = defaultState(profile);
+  const merged = deepMerge(state, { airfield: { rsc: "WET" } });
+  assert.equal(merged.airfield.rsc, "WET");
+  assert.equal(merged.airfield.arff, state.airfield.arff);
+});
@@ -1,11 +1,14 @@
 import axios from "axios";
 import https from "https";
+import { parseNotam, NOTAM_FACILITIES } from "../../src/lib/notam";
 
 export default async function handler(req, res) {
   const { icao } = req.query;
   const code = (icao || "KMGM").toUpperCase();
 
-  let notams = [];
+  const notams = [];
+  let error = null;
+  const retrievedAt = new Date().toISOString();
 
   try {
     const url = `https://www.notams.faa.gov/dinsQueryWeb/queryRetrievalMapAction.do?reportType=RAW&retrieveLocId=${code}&actionType=notamRetrievalByICAOs&formatType=DOMESTIC`;
@@ -26,7 +29,6 @@ export default async function handler(req, res) {
       const preBlocks = r.data.match(/<pre[^>]*>([\s\S]*?)<\/pre>/gi);
 
       if (preBlocks) {
-        let i = 0;
         preBlocks.forEach((block) => {
           const text = block.replace(/<[^>]+>/g, "").trim();
 
@@ -35,43 +37,33 @@ export default async function handler(req, res) {
 
           notamBlocks.forEach((ntm) => {
             const clean = ntm.replace(/\s*CREATED:.*$/i, "").trim();
-            if (clean) {
-              // classify severity
-              let severity = "INFO";
-              if (/RWY|RUNWAY|CLSD|CLOSED/.test(clean)) severity = "CRITICAL";
-              else if (/TWY|TAXIWAY|OBST|OBSTRUCTION|RESTR/.test(clean))
-                severity = "HIGH";
-              else if (/ILS|VOR|GPS|LOC|NDB|TACAN|IAP|SID|STAR/.test(clean))
-                severity = "MEDIUM";
-
-              notams.push({
-                id: i++,
-                severity,
-                text: clean,
-              });
-            }
+            if (clean) notams.push(parseNotam(clean));
           });
         });
       }
     }
   } catch (err) {
     console.error("❌ FAA NOTAM scraper failed:", err.message);
+    error = { at: retrievedAt, message: err.message };
   }
 
-  if (notams.length === 0) {
-    console.warn(`⚠ No NOTAMs found for ${code}`);
-    notams = [
-      {
-        id: 0,
-        severity: "INFO",
-        text: `⚠ Could not retrieve NOTAMs for ${code}. Check manually: https://notams.aim.faa.gov/notamSearch/search?designators=${code}`,
-      },
-    ];
-  }
+  // An empty list is reported as is; the feed says whether the scrape failed
+  if (notams.length === 0) console.warn(`⚠ No NOTAMs found for ${code}`);
 
-  // Sort by severity
-  const priority = { CRITICAL: 0, HIGH: 1, MEDIUM: 2, INFO: 3 };
-  notams.sort((a, b) => priority[a.severity] - priority[b.severity]);
+  // Same { id, text } shape as the backend; clients parse the text. Ordered
+  // by facility so the raw response reads the same way as the card.
+  const order = NOTAM_FACILITIES.map((f) => f.facility);
+  notams.sort((a, b) => order.indexOf(a.facility) - order.indexOf(b.facility));
 
-  res.status(200).json({ notams });
+  res.status(200).json({
+    notams: notams.map(({ id, raw }) => ({ id, text: raw, source: "notams.faa.gov", retrievedAt })),
+    feed: {
+      source: "notams.faa.gov",
+      state: error ? "failed" : "up",
+      updatedAt: error ? null : retrievedAt,
+      stale: Boolean(error),
+      error,
+      checkedAt: retrievedAt,
+    },
+  });
 }
@@ -1,87 +1,21 @@
 import { useState, useEffect, useRef } from "react";
 import axios from "axios";
-import fitsTable from "../data/fitsTable.json";
+import { decodeMetar, formatMetar } from "../src/lib/metar";
+import { decodeTaf, highlightTaf } from "../src/lib/taf";
+import { categorize } from "../src/lib/flightCategory";
+import { evaluateAlternate } from "../src/lib/alternate";
+import { computeFits } from "../src/lib/fits";
+import { requestedAirfield, useAirfield, defaultStatus } from "../src/lib/airfield";
+import { statusColor, nextStatus } from "../src/lib/inventory";
+import AirfieldLoading from "../src/AirfieldLoading";
+import TafTimeline from "../src/TafTimeline";
+import AlternatePanel from "../src/AlternatePanel";
+import NotamList from "../src/NotamList";
+import { isPdfSlide, scheduledSlides } from "../src/lib/slides";
 
 // --- Helpers ---
-function highlightTaf(rawTaf) {
-  if (!rawTaf) return "--";
-
-  return rawTaf
-    .replace(/(BKN|OVC)(\d{3})/g, (match, layer, height) => {
-      const h = parseInt(height, 10) * 100;
-      if (h <= 1500) {
-        return `<span class="font-bold text-red-500">${layer}${height}</span>`;
-      }
-      return match;
-    })
-    .replace(/(\d{1,2}(?: \d\/\d)?SM)/g, (m) => {
-      const miles = parseVisibility(m);
-      if (!isNaN(miles) && miles < 3) {
-        return `<span class="font-bold text-red-500">${m}</span>`;
-      }
-      return m;
-    });
-}
-
-function parseMetar(raw) {
-  if (!raw) return {};
-  const wind = raw.match(/(\d{3}|VRB)(\d{2})(G\d{2})?KT/);
-  const vis = raw.match(/(\d{1,2}(?: \d\/\d)?SM)/);
-  const alt = raw.match(/A(\d{4})/);
-  const temp = raw.match(/ (M?\d{2})\/(M?\d{2}) /);
-  const ceiling = raw.match(/ (FEW|SCT|BKN|OVC)(\d{3})/);
-
-  return {
-    wind: wind ? wind[0] : "--",
-    vis: vis ? vis[1] : "--",
-    altimeter: alt ? `A${alt[1]}` : "--",
-    tempdew: temp ? temp[0].trim() : "--",
-    ceiling: ceiling ? `${ceiling[1]}${ceiling[2]}` : "SKC",
-  };
-}
-
-function parseVisibility(visStr) {
-  if (!visStr) return NaN;
-  const parts = visStr.replace("SM", "").trim().split(" ");
-  let total = 0;
-  for (const part of parts) {
-    if (part.includes("/")) {
-      const [num, denom] = part.split("/").map(Number);
-      total += num / denom;
-    } else {
-      total += Number(part);
-    }
-  }
-  return total;
-}
-
-function flightCat(ceiling, vis) {
-  if (ceiling < 500 || vis < 1) return "LIFR";
-  if (ceiling < 1000 || vis < 3) return "IFR";
-  if (ceiling < 3000 || vis < 5) return "MVFR";
-  return "VFR";
-}
-
-// --- FITS Lookup ---
-function lookupFits(tempF, dewF) {
-  const nearestTemp = Math.round(tempF / 2) * 2;
-  const nearestDew = Math.round(dewF / 2) * 2;
-
-  const row = fitsTable[nearestTemp];
-  if (!row) return { level: "NORMAL", f: NaN };
-
-  const value = row[nearestDew];
-  if (value === undefined) return { level: "NORMAL", f: NaN };
-
-  let level = "NORMAL";
-  if (value >= 86 && value < 90) level = "CAUTION";
-  else if (value >= 90 && value < 95) level = "DANGER";
-  else if (value >= 95) level = "CANCEL";
-
-  return { level, f: value };
-}
 // --- SlidesCard ---
-function SlidesCard() {
+function SlidesCard({ airfield }) {
   const [slides, setSlides] = useState([]);
   const [currentSlide, setCurrentSlide] = useState(0);
   const [annotations, setAnnotations] = useState({});
@@ -93,9 +27,20 @@ function SlidesCard() {
   const API = process.env.REACT_APP_API_URL;
 
   useEffect(() => {
-    axios.get(`${API}/api/slides`).then(res => setSlides(res.data));
-    axios.get(`${API}/api/annotations`).then(res => setAnnotations(res.data.slides || {}));
-  }, [API]);
+    // This SVG viewer only shows image slides, as scheduled when loaded
+    axios
+      .get(`${API}/api/slides`, { params: { airfield } })
+      .then(res =>
+        setSlides(
+          scheduledSlides(res.data, "dashboard")
+            .map(e => e.file)
+            .filter(f => !isPdfSlide(f))
+        )
+      );
+    axios
+      .get(`${API}/api/annotations`, { params: { airfield } })
+      .then(res => setAnnotations(res.data.slides || {}));
+  }, [API, airfield]);
 
   useEffect(() => {
     if (isPlaying && slides.length > 0) {
@@ -108,7 +53,7 @@ function SlidesCard() {
 
   const saveAnnotations = (updated) => {
     setAnnotations(updated);
-    axios.post(`${API}/api/annotations`, { slides: updated });
+    axios.post(`${API}/api/annotations`, { slides: updated }, { params: { airfield } });
   };
 
   const prevSlide = () => setCurrentSlide(s => (s - 1 + slides.length) % slides.length);
@@ -186,7 +131,7 @@ function SlidesCard() {
   const viewer = (
     <div className="relative flex-1 bg-slate-900 flex items-center justify-center rounded overflow-hidden h-full">
       <img
-        src={`${API}/slides/${file}`} 
+        src={`${API}/slides/${airfield}/${file}`} 
         alt="Slide"
         className="object-contain max-h-full max-w-full"
       />
@@ -274,7 +219,7 @@ function SlidesCard() {
 
           <div className="relative bg-slate-900 flex items-center justify-center rounded overflow-hidden h-[500px]">
             <img
-              src={`${API}/slides/${file}`} 
+              src={`${API}/slides/${airfield}/${file}`} 
               alt="Slide"
               className="absolute inset-0 w-full h-full object-contain"
             />
@@ -311,61 +256,71 @@ function SlidesCard() {
 }
 // --- Main Dashboard ---
 export default function Dashboard() {
-  const ICAO = "KMGM";
+  const ICAO = requestedAirfield();
 
   const [metar, setMetar] = useState("");
   const [taf, setTaf] = useState("");
   const [parsed, setParsed] = useState({});
+  const [tafDecoded, setTafDecoded] = useState(null);
   const [cat, setCat] = useState("VFR");
-  const [fits, setFits] = useState({ level: "NORMAL", f: NaN });
-  const [altReq, setAltReq] = useState(false);
+  const [fits, setFits] = useState(computeFits(null, null));
+  const [alternate, setAlternate] = useState(null);
+  const [alternates, setAlternates] = useState([]);
   const [altICAO, setAltICAO] = useState("");
   const [notams, setNotams] = useState([]);
-  const [expandedNotams, setExpandedNotams] = useState({});
+  const [notamFeed, setNotamFeed] = useState(null);
   const [lastUpdate, setLastUpdate] = useState(new Date());
 
   // --- Airfield Toggles ---
-  const [activeRunway, setActiveRunway] = useState("10");
+  // Runways, barriers, NAVAIDs and BASH areas come from the profile
+  const [activeRunway, setActiveRunway] = useState("");
   const [rsc, setRsc] = useState("DRY");
   const [rscNotes, setRscNotes] = useState("");
-  const [barriers, setBarriers] = useState({ east: "DOWN", west: "DOWN" });
-  const [navaids, setNavaids] = useState({
-    ils10: true,
-    ils28: true,
-    mgm: true,
-    mxf: true,
-  });
+  const [barriers, setBarriers] = useState({});
+  const [navaids, setNavaids] = useState({});
   const [arff, setArff] = useState("GREEN");
-
-  // --- BASH Forecast ---
-  const [bash, setBash] = useState({
-    KMGM: "LOW",
-    KMXF: "LOW",
-    "PH/CR MOA": "LOW",
-    "BHM MOA": "LOW",
-    "Shelby Range": "LOW",
-    "VR-060": "LOW",
-    "VR-1056": "LOW",
-  });
+  const [bash, setBash] = useState({});
 
   const API = process.env.REACT_APP_API_URL;
+  const { profile, error: profileError } = useAirfield(API, ICAO);
+
+  // Each item starts at its default status once the profile is known
+  useEffect(() => {
+    if (!profile) return;
+    const initial = defaultStatus(profile);
+    setActiveRunway(initial.airfield.activeRunway);
+    setBarriers(initial.airfield.barriers);
+    setNavaids(initial.navaids);
+    setBash(initial.bash);
+  }, [profile]);
 
   async function fetchData() {
   try {
-    const m = await axios.get(`${API}/api/metar?icao=${ICAO}`);
-    const t = await axios.get(`${API}/api/taf?icao=${ICAO}`);
-    const n = await axios.get(`${API}/api/notams?icao=${ICAO}`);
+    const params = { airfield: ICAO };
+    const m = await axios.get(`${API}/api/metar`, { params });
+    const t = await axios.get(`${API}/api/taf`, { params });
+    const n = await axios.get(`${API}/api/notams`, { params });
 
     // ✅ Handle new NOAA schema + old schema fallback
     setMetar(m.data.rawOb || m.data.raw || "");
     setTaf(t.data.rawTAF || t.data.raw || "");
     setNotams(n.data?.notams || []);
+    setNotamFeed(n.data?.feed || null);
     setLastUpdate(new Date());
   } catch (err) {
     console.error("Fetch error:", err);
   }
 }
 
+  // Candidate alternates, plus the one typed in if it is not on the list
+  useEffect(() => {
+    if (altICAO && altICAO.length !== 4) return;
+    axios
+      .get(`${API}/api/alternates`, { params: { airfield: ICAO, ids: altICAO || undefined } })
+      .then((a) => setAlternates(a.data?.candidates || []))
+      .catch((err) => console.error("Fetch alternates error:", err));
+  }, [API, ICAO, altICAO, lastUpdate]);
+
 
 
   useEffect(() => {
@@ -375,103 +330,41 @@ export default function Dashboard() {
   }, []);
 
   useEffect(() => {
-    const p = parseMetar(metar);
+    const obs = decodeMetar(metar);
+    const p = formatMetar(obs);
     setParsed(p);
 
-    const visMiles = parseVisibility(p.vis);
-    const ceilFt =
-      p.ceiling && /^(BKN|OVC)\d{3}/.test(p.ceiling)
-        ? parseInt(p.ceiling.match(/\d{3}/)[0]) * 100
-        : 99999;
-    setCat(flightCat(ceilFt, visMiles));
+    setCat(obs ? categorize(obs) : "VFR");
 
     // FITS
-    const tempMatch = p.tempdew?.match(/(M?\d{2})\/(M?\d{2})/);
-    if (tempMatch) {
-      const tC = parseInt(tempMatch[1].replace("M", "-"));
-      const tdC = parseInt(tempMatch[2].replace("M", "-"));
-      const tF = (tC * 9) / 5 + 32;
-      const tdF = (tdC * 9) / 5 + 32;
-      setFits(lookupFits(tF, tdF));
-    }
+    setFits(computeFits(obs?.temperature ?? null, obs?.dewpoint ?? null));
 
     // --- ALT REQ Logic ---
-    let altNeeded = false;
-
-    // METAR check
-    if (
-      p.ceiling &&
-      /^(BKN|OVC)\d{3}/.test(p.ceiling) &&
-      ceilFt <= 1500 &&
-      visMiles < 3
-    ) {
-      altNeeded = true;
-    }
+    const tafObs = decodeTaf(taf);
+    setAlternate(
+      profile &&
+        evaluateAlternate({
+          taf: tafObs,
+          observation: obs,
+          eta: new Date(),
+          runway: activeRunway,
+          navaids,
+          approaches: profile.approaches,
+        })
+    );
+    setTafDecoded(tafObs);
+  }, [metar, taf, activeRunway, navaids, profile]);
 
-    // TAF check (within 2h)
-    const now = new Date();
-    const twoHours = new Date(now.getTime() + 2 * 60 * 60 * 1000);
-
-    const tafHeader = taf.match(/(\d{6})Z/);
-    if (tafHeader) {
-      const day = parseInt(tafHeader[1].slice(0, 2));
-      const hour = parseInt(tafHeader[1].slice(2, 4));
-      const min = parseInt(tafHeader[1].slice(4, 6));
-
-      const baseDate = new Date(now);
-      baseDate.setUTCDate(day);
-      baseDate.setUTCHours(hour, min, 0, 0);
-
-      const tafSegments = taf.split("\n");
-      for (const seg of tafSegments) {
-        const fmMatch = seg.match(/FM(\d{2})(\d{2})/);
-        const tempoMatch = seg.match(/TEMPO (\d{2})(\d{2})\/(\d{2})(\d{2})/);
-        const becmgMatch = seg.match(/BECMG (\d{2})(\d{2})\/(\d{2})(\d{2})/);
-
-        let segStart = null, segEnd = null;
-
-        if (fmMatch) {
-          segStart = new Date(baseDate);
-          segStart.setUTCHours(parseInt(fmMatch[1]), parseInt(fmMatch[2]), 0, 0);
-          segEnd = new Date(segStart.getTime() + 3 * 60 * 60 * 1000);
-        } else if (tempoMatch) {
-          segStart = new Date(baseDate);
-          segStart.setUTCDate(day);
-          segStart.setUTCHours(parseInt(tempoMatch[1]), parseInt(tempoMatch[2]));
-          segEnd = new Date(baseDate);
-          segEnd.setUTCDate(day);
-          segEnd.setUTCHours(parseInt(tempoMatch[3]), parseInt(tempoMatch[4]));
-        } else if (becmgMatch) {
-          segStart = new Date(baseDate);
-          segStart.setUTCHours(parseInt(becmgMatch[1]), parseInt(becmgMatch[2]));
-          segEnd = new Date(baseDate);
-          segEnd.setUTCHours(parseInt(becmgMatch[3]), parseInt(becmgMatch[4]));
-        }
-
-        if (segStart && segStart <= twoHours && now >= segStart && now <= segEnd) {
-          const cMatch = seg.match(/(BKN|OVC)(\d{3})/);
-          const vMatch = seg.match(/(\d{1,2}(?: \d\/\d)?SM)/);
-
-          if (cMatch && vMatch) {
-            const h = parseInt(cMatch[2], 10) * 100;
-            const miles = parseVisibility(vMatch[1]);
-            if (h <= 1500 && miles < 3) {
-              altNeeded = true;
-              break;
-            }
-          }
-        }
-      }
-    }
+  if (!profile) return <AirfieldLoading icao={ICAO} error={profileError} />;
+
+  const runwayIds = profile.runways.map((r) => r.id);
 
-    setAltReq(altNeeded);
-  }, [metar, taf]);
   return (
     <div className="min-h-screen bg-slate-950 text-slate-100 p-4">
       {/* Header */}
       <header className="flex flex-col items-center mb-4 text-center">
         <h1 className="text-xl font-bold">
-          187th Operations Support Squadron — {ICAO} Dannelly Field
+          {profile.unit} — {ICAO} {profile.name}
         </h1>
         <p className="text-lg font-semibold">Airfield Dashboard</p>
         <div className="text-sm mt-2">
@@ -500,7 +393,9 @@ export default function Dashboard() {
             <p className="font-semibold">Active Runway</p>
             <button
               className="px-3 py-1 rounded bg-green-600"
-              onClick={() => setActiveRunway(activeRunway === "10" ? "28" : "10")}
+              onClick={() =>
+                setActiveRunway(runwayIds[(runwayIds.indexOf(activeRunway) + 1) % runwayIds.length])
+              }
             >
               {activeRunway}
             </button>
@@ -538,27 +433,15 @@ export default function Dashboard() {
           <div className="mb-2">
             <p className="font-semibold">Barriers</p>
             <div className="flex gap-2 flex-wrap">
-              {["east", "west"].map((side) => (
+              {profile.barriers.map((item) => (
                 <button
-                  key={side}
-                  className={`px-2 py-1 rounded ${
-                    barriers[side] === "UNSERVICEABLE"
-                      ? "bg-red-600"
-                      : "bg-green-600"
-                  }`}
+                  key={item.id}
+                  className={`px-2 py-1 rounded ${statusColor(barriers[item.id])}`}
                   onClick={() =>
-                    setBarriers((prev) => ({
-                      ...prev,
-                      [side]:
-                        prev[side] === "DOWN"
-                          ? "UP"
-                          : prev[side] === "UP"
-                          ? "UNSERVICEABLE"
-                          : "DOWN",
-                    }))
+                    setBarriers((prev) => ({ ...prev, [item.id]: nextStatus(item, prev[item.id]) }))
                   }
                 >
-                  {side.toUpperCase()} BAK-12 {barriers[side]}
+                  {item.name.toUpperCase()} {barriers[item.id]}
                 </button>
               ))}
             </div>
@@ -568,21 +451,15 @@ export default function Dashboard() {
           <div className="mb-2">
             <p className="font-semibold">NAVAIDs</p>
             <div className="flex gap-2 flex-wrap">
-              {Object.keys(navaids).map((n) => (
+              {profile.navaids.map((item) => (
                 <button
-                  key={n}
-                  className={`px-2 py-1 rounded ${
-                    navaids[n] ? "bg-green-600" : "bg-red-600"
-                  }`}
+                  key={item.id}
+                  className={`px-2 py-1 rounded ${statusColor(navaids[item.id])}`}
                   onClick={() =>
-                    setNavaids((prev) => ({ ...prev, [n]: !prev[n] }))
+                    setNavaids((prev) => ({ ...prev, [item.id]: nextStatus(item, prev[item.id]) }))
                   }
                 >
-                  {n === "mgm"
-                    ? "MGM TACAN"
-                    : n === "mxf"
-                    ? "MXF TACAN"
-                    : n.toUpperCase()}
+                  {item.name}
                 </button>
               ))}
             </div>
@@ -630,14 +507,21 @@ export default function Dashboard() {
             >
               {cat}
             </span>
-            {altReq && (
+            {alternate?.required && (
               <span className="px-3 py-1 rounded-full text-lg font-bold bg-red-600">
                 ⚠ ALT REQ
               </span>
             )}
           </div>
+          {alternate?.reasons.length > 0 && (
+            <ul className="text-xs text-red-400 mb-2">
+              {alternate.reasons.map((r) => (
+                <li key={r.rule}>⚠ {r.message}</li>
+              ))}
+            </ul>
+          )}
 
-          {altReq && (
+          {alternate?.required && (
             <input
               type="text"
               placeholder="Enter Alternate ICAO"
@@ -646,13 +530,24 @@ export default function Dashboard() {
               className="w-full px-2 py-1 rounded bg-slate-900 border border-slate-600 text-sm font-bold text-red-500 mb-2"
             />
           )}
+          {alternate?.required && (
+            <AlternatePanel
+              candidates={alternates}
+              eta={new Date()}
+              selected={altICAO}
+              onSelect={setAltICAO}
+            />
+          )}
 
           <div className="grid grid-cols-2 gap-2 text-sm mb-2">
             <div>Winds: {parsed.wind}</div>
             <div>Vis: {parsed.vis}</div>
             <div>Ceiling: {parsed.ceiling}</div>
+            <div>Sky: {parsed.sky}</div>
             <div>Altimeter: {parsed.altimeter}</div>
             <div>Temp/Dew: {parsed.tempdew}</div>
+  <div>Wx: {parsed.weather}</div>
+  {parsed.rvr && <div>RVR: {parsed.rvr}</div>}
             <div>
               FITS:{" "}
               <span
@@ -666,12 +561,23 @@ export default function Dashboard() {
                     : "text-red-600"
                 }`}
               >
-                {fits.level}{" "}
-                {Number.isFinite(fits.f) && `(${fits.f} °F)`}
+                {Number.isFinite(fits.value) && `${fits.value} `}{fits.level}
               </span>
+              {Number.isFinite(fits.tempF) && (
+                <span className="ml-1 text-slate-400">
+                  ({fits.tempF}/{fits.dewF ?? "--"} °F)
+                </span>
+              )}
+              {fits.wbgt && (
+                <span className="ml-1">
+                  · WBGT {fits.wbgt.value} {fits.wbgt.flag}
+                </span>
+              )}
             </div>
           </div>
 
+          <TafTimeline taf={tafDecoded} />
+
           <div className="mt-2 flex-1 overflow-y-auto">
             <p className="text-xs text-slate-400">Raw METAR</p>
             <pre className="bg-slate-900 p-2 rounded text-sm whitespace-pre-wrap break-words">
@@ -687,42 +593,8 @@ export default function Dashboard() {
 
         {/* NOTAMs */}
         <section className="border border-slate-700 rounded-lg p-3 flex flex-col h-[500px]">
-          <h2 className="text-lg font-bold underline mb-2">KMGM NOTAMs</h2>
-          {notams.length > 0 ? (
-            <ul className="space-y-2 text-sm flex-1 overflow-y-auto">
-              {notams.map((n) => {
-                const isExpanded = expandedNotams[n.id];
-                const firstLine = n.text.split("\n")[0];
-                return (
-                  <li
-                    key={n.id}
-                    className="p-2 rounded border border-slate-700 bg-slate-900"
-                  >
-                    <span
-                      className="font-mono whitespace-pre-wrap"
-                      dangerouslySetInnerHTML={{
-                        __html: isExpanded ? n.text : firstLine,
-                      }}
-                    />
-                    {n.text.includes("\n") && (
-                      <button
-                        onClick={() =>
-                          setExpandedNotams((prev) => ({
-                            ...prev,
-                            [n.id]: !prev[n.id],
-                          }))}
-                        className="mt-1 text-xs text-blue-400 underline"
-                      >
-                        {isExpanded ? "Show Less" : "Show More"}
-                      </button>
-                    )}
-                  </li>
-                );
-              })}
-            </ul>
-          ) : (
-            <p className="text-sm text-slate-400">No NOTAMs available.</p>
-          )}
+          <h2 className="text-lg font-bold underline mb-2">{ICAO} NOTAMs</h2>
+          <NotamList notams={notams} feed={notamFeed} />
         </section>
       </div>
       {/* Second Row */}
@@ -731,36 +603,22 @@ export default function Dashboard() {
         <section className="border border-slate-700 rounded-lg p-3 flex flex-col h-[500px] md:col-span-1">
           <h2 className="text-lg font-bold underline mb-2">BASH Forecast</h2>
           <div className="flex flex-col gap-2">
-            {Object.keys(bash).map((loc) => (
+            {profile.bashAreas.map((item) => (
               <button
-                key={loc}
-                className={`px-3 py-1 rounded font-bold ${
-                  bash[loc] === "LOW"
-                    ? "bg-green-600"
-                    : bash[loc] === "MODERATE"
-                    ? "bg-yellow-500 text-black"
-                    : "bg-red-600"
-                }`}
+                key={item.id}
+                className={`px-3 py-1 rounded font-bold ${statusColor(bash[item.id])}`}
                 onClick={() =>
-                  setBash((prev) => ({
-                    ...prev,
-                    [loc]:
-                      prev[loc] === "LOW"
-                        ? "MODERATE"
-                        : prev[loc] === "MODERATE"
-                        ? "SEVERE"
-                        : "LOW",
-                  }))
+                  setBash((prev) => ({ ...prev, [item.id]: nextStatus(item, prev[item.id]) }))
                 }
               >
-                {loc}: {bash[loc]}
+                {item.name}: {bash[item.id]}
               </button>
             ))}
           </div>
         </section>
 
         {/* Airfield Slides */}
-        <SlidesCard />
+        <SlidesCard airfield={ICAO} />
       </div>
     </div>
   );
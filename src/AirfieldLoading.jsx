@@ -0,0 +1,18 @@
+// --- Airfield profile placeholder ---
+// Pages need the airfield's runways and inventory before they can render
+// anything useful, so this stands in until /api/airfield answers.
+
+/** @param {{ icao: string, error: string|null }} props */
+export default function AirfieldLoading({ icao, error }) {
+  return (
+    <div className="min-h-screen bg-slate-950 text-slate-100 p-4 flex items-center justify-center">
+      {error ? (
+        <p className="text-red-500">
+          Could not load the {icao} airfield profile: {error}
+        </p>
+      ) : (
+        <p className="text-slate-400">Loading {icao} airfield profile…</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+import { decodeMetar } from "./lib/metar";
+import { decodeTaf } from "./lib/taf";
+import { categorize } from "./lib/flightCategory";
+import { evaluateCandidate, rankCandidates } from "./lib/alternate";
+
+// --- Alternate Suggestions ---
+// Candidate alternates ranked by how well their forecast at ETA ±1h clears
+// alternate minimums. `candidates` is the /api/alternates payload.
+export default function AlternatePanel({ candidates, eta, selected, onSelect }) {
+  if (!candidates?.length || !eta) return null;
+
+  const ranked = rankCandidates(
+    candidates.map((c) => {
+      const observation = decodeMetar(c.metar);
+      return {
+        ...evaluateCandidate({
+          icao: c.icao,
+          approach: c.approach,
+          taf: decodeTaf(c.taf),
+          observation,
+          eta,
+        }),
+        category: observation && !observation.nil ? categorize(observation) : null,
+      };
+    })
+  );
+
+  return (
+    <div className="mb-2">
+      <p className="text-xs text-slate-400">Suggested Alternates</p>
+      <ul className="text-xs space-y-1">
+        {ranked.map((r) => (
+          <li
+            key={r.icao}
+            title={r.reasons.join("\n") || `Meets ${r.minimums.ceiling}-${r.minimums.visibility}`}
+            onClick={onSelect ? () => onSelect(r.icao) : undefined}
+            className={`flex items-center gap-2 px-2 py-1 rounded bg-slate-900 ${
+              onSelect ? "cursor-pointer hover:bg-slate-800" : ""
+            } ${selected === r.icao ? "ring-1 ring-slate-400" : ""}`}
+          >
+            <span className={`font-bold ${r.meets ? "text-green-400" : "text-red-500"}`}>
+              {r.meets ? "✓" : "✗"} {r.icao}
+            </span>
+            {r.category && <span className="text-slate-400">{r.category}</span>}
+            <span className="text-slate-400">
+              {r.approach === "precision" ? "PA" : "NPA"} {r.minimums.ceiling}-{r.minimums.visibility}
+            </span>
+            <span className="ml-auto truncate">
+              {r.meets
+                ? `worst ${r.worst.ceiling === Infinity ? "no ceiling" : `${r.worst.ceiling} ft`}, ${
+                    r.worst.visibility === Infinity ? "--" : `${r.worst.visibility} SM`
+                  }`
+                : r.reasons[0]}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
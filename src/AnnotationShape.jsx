@@ -0,0 +1,96 @@
+import { Rect, Circle, Line, Arrow, Text as KText, Label, Tag } from "react-konva";
+import { ANNOTATION_SYMBOLS, DASH_STYLES, annotationStyle, withAlpha } from "./lib/annotations";
+
+// --- Annotation shape ---
+// Draws one annotation on a Konva layer; the editor and the kiosk share it
+// so a slide looks the same on both. Extra props (id, draggable, event
+// handlers) go to the shape's root node.
+
+/**
+ * @param {{
+ *   annotation: import("./lib/annotations").Annotation,
+ *   view: ReturnType<import("./lib/annotations").annotationView>,
+ * }} props
+ */
+export default function AnnotationShape({ annotation: a, view, ...props }) {
+  const { scale } = view;
+  const style = annotationStyle(a);
+  const width = style.strokeWidth * scale;
+  const outline = {
+    stroke: style.stroke,
+    strokeWidth: width,
+    dash: DASH_STYLES[style.dash]?.map((d) => d * width),
+    lineCap: "round",
+    lineJoin: "round",
+    opacity: style.opacity,
+  };
+  const fill = style.fillOpacity > 0 ? withAlpha(style.fill, style.fillOpacity) : undefined;
+
+  switch (a.type) {
+    case "box":
+      return (
+        <Rect
+          {...props}
+          {...outline}
+          lineCap="butt"
+          x={view.stageX(a.x)}
+          y={view.stageY(a.y)}
+          width={a.w * scale}
+          height={a.h * scale}
+          fill={fill}
+        />
+      );
+    case "circle":
+      return (
+        <Circle {...props} {...outline} x={view.stageX(a.x)} y={view.stageY(a.y)} radius={a.r * scale} fill={fill} />
+      );
+    case "arrow":
+      return (
+        <Arrow
+          {...props}
+          {...outline}
+          points={view.stagePoints([a.x1, a.y1, a.x2, a.y2])}
+          fill={style.stroke}
+          pointerLength={Math.max(10, style.strokeWidth * 2.5) * scale}
+          pointerWidth={Math.max(10, style.strokeWidth * 2.5) * scale}
+        />
+      );
+    case "line":
+    case "freehand":
+      return (
+        <Line {...props} {...outline} points={view.stagePoints(a.points)} tension={a.type === "freehand" ? 0.5 : 0} />
+      );
+    case "polygon":
+      return <Line {...props} {...outline} points={view.stagePoints(a.points)} closed fill={fill} />;
+    case "x":
+    case "text":
+      return (
+        <KText
+          {...props}
+          x={view.stageX(a.x)}
+          y={view.stageY(a.y)}
+          text={a.type === "x" ? "X" : a.text}
+          fontSize={(a.size || (a.type === "x" ? 32 : 16)) * scale}
+          fill={style.stroke}
+          opacity={style.opacity}
+        />
+      );
+    case "symbol": {
+      const symbol = ANNOTATION_SYMBOLS[a.symbol] || ANNOTATION_SYMBOLS.fod;
+      return (
+        <Label {...props} x={view.stageX(a.x)} y={view.stageY(a.y)} opacity={style.opacity}>
+          <Tag fill={symbol.color} stroke="#000000" strokeWidth={scale} cornerRadius={4 * scale} />
+          <KText
+            text={`${symbol.glyph} ${symbol.label}`}
+            fontSize={(a.size || 18) * scale}
+            fontStyle="bold"
+            padding={4 * scale}
+            fill="#000000"
+          />
+        </Label>
+      );
+    }
+    default:
+      return null;
+  }
+}
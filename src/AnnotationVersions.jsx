@@ -0,0 +1,92 @@
+import { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { liveHeaders } from "./lib/liveUpdates";
+
+// --- Annotation versions ---
+// Every save of an airfield's annotations is kept on the server. This lists
+// the recent ones and restores any of them, which becomes a new version
+// itself, so a restore can be undone by restoring the one before it.
+
+/**
+ * @param {{
+ *   API: string,
+ *   airfield: string,
+ *   authHeaders: Object,
+ *   onRestore: (annotations: Object) => void,
+ * }} props
+ */
+export default function AnnotationVersions({ API, airfield, authHeaders, onRestore }) {
+  const [versions, setVersions] = useState([]);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(
+    () =>
+      axios
+        .get(`${API}/api/annotations/versions`, { params: { airfield } })
+        .then((res) => setVersions(res.data.versions || []))
+        .catch((err) => setError(err.response?.data?.error || err.message)),
+    [API, airfield]
+  );
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function restore(v) {
+    const when = new Date(v.savedAt).toLocaleString();
+    if (!window.confirm(`Restore the annotations saved ${when}? Every slide's markup is replaced.`)) return;
+    setBusy(true);
+    setError("");
+    try {
+      const res = await axios.post(
+        `${API}/api/annotations/versions/${v.version}/restore`,
+        {},
+        { params: { airfield }, headers: { ...liveHeaders, ...authHeaders } }
+      );
+      onRestore(res.data.annotations);
+      await load();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="mt-3 border border-slate-700 rounded p-2 text-sm">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold">Annotation History</h3>
+        <button onClick={load} disabled={busy} className="px-2 bg-slate-700 rounded">
+          ⟳
+        </button>
+      </div>
+      {error && <p className="text-red-500 mb-2">{error}</p>}
+      {versions.length === 0 && <p className="text-slate-400">No saved versions yet.</p>}
+      <ul className="space-y-1 max-h-72 overflow-y-auto">
+        {versions.map((v, i) => (
+          <li
+            key={v.version}
+            className="flex items-center gap-2 px-2 py-1 rounded border border-slate-700 bg-slate-900"
+          >
+            <span className="text-slate-400">v{v.version}</span>
+            <span className="flex-1 truncate">
+              {new Date(v.savedAt).toLocaleString()} · {v.savedBy || "server"}
+              {v.restoredFrom && <span className="text-slate-400"> · restored v{v.restoredFrom}</span>}
+            </span>
+            <span className="text-xs text-slate-400">
+              {v.annotationCount} on {v.slideCount} slide{v.slideCount === 1 ? "" : "s"}
+            </span>
+            {i === 0 ? (
+              <span className="px-2 text-xs text-green-400">Current</span>
+            ) : (
+              <button onClick={() => restore(v)} disabled={busy} className="px-2 bg-blue-600 hover:bg-blue-500 rounded">
+                Restore
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
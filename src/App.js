@@ -1,6 +1,7 @@
 import { HashRouter, Routes, Route } from "react-router-dom";
 import Dashboard from "./Dashboard";
 import KioskDashboard from "./KioskDashboard";
+import InventoryAdmin from "./InventoryAdmin";
 
 export default function App() {
   return (
@@ -8,6 +9,7 @@ export default function App() {
       <Routes>
         <Route path="/" element={<Dashboard />} />
         <Route path="/kiosk" element={<KioskDashboard />} />
+        <Route path="/admin/inventory" element={<InventoryAdmin />} />
         <Route path="*" element={<div className="text-center text-white p-4">404 Not Found</div>} />
       </Routes>
     </HashRouter>
@@ -1,122 +1,87 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
 import axios from "axios";
 import { 
   Stage, 
   Layer, 
-  Rect, 
-  Arrow, 
-  Text as KText, 
   Transformer, 
-  Group, 
-  Label, 
-  Tag, 
   Image as KonvaImage 
 } from "react-konva";
 import { v4 as uuidv4 } from "uuid";
-
-// --- Helpers ---
-function highlightTaf(rawTaf) {
-  if (!rawTaf) return "--";
-
-  return rawTaf
-    .replace(/(BKN|OVC)(\d{3})/g, (match, layer, height) => {
-      const h = parseInt(height, 10) * 100;
-      if (h <= 1500) {
-        return `<span class="font-bold text-red-500">${layer}${height}</span>`;
-      }
-      return match;
-    })
-    .replace(/(\d{1,2}(?: \d\/\d)?SM)/g, (m) => {
-      const miles = parseVisibility(m);
-      if (!isNaN(miles) && miles < 3) {
-        return `<span class="font-bold text-red-500">${m}</span>`;
-      }
-      return m;
-    });
-}
-
-function parseMetar(raw) {
-  if (!raw) return {};
-  const wind = raw.match(/(\d{3}|VRB)(\d{2})(G\d{2})?KT/);
-  const vis = raw.match(/(\d{1,2}(?: \d\/\d)?SM)/);
-  const alt = raw.match(/A(\d{4})/);
-  const temp = raw.match(/ (M?\d{2})\/(M?\d{2}) /);
-  const ceiling = raw.match(/ (FEW|SCT|BKN|OVC)(\d{3})/);
-
-  return {
-    wind: wind ? wind[0] : "--",
-    vis: vis ? vis[1] : "--",
-    altimeter: alt ? `A${alt[1]}` : "--",
-    tempdew: temp ? temp[0].trim() : "--",
-    ceiling: ceiling ? `${ceiling[1]}${ceiling[2]}` : "SKC",
-  };
-}
-
-function parseVisibility(visStr) {
-  if (!visStr) return NaN;
-  const parts = visStr.replace("SM", "").trim().split(" ");
-  let total = 0;
-  for (const part of parts) {
-    if (part.includes("/")) {
-      const [num, denom] = part.split("/").map(Number);
-      total += num / denom;
-    } else {
-      total += Number(part);
-    }
-  }
-  return total;
-}
-
-function flightCat(ceiling, vis) {
-  if (ceiling < 500 || vis < 1) return "LIFR";
-  if (ceiling < 1000 || vis < 3) return "IFR";
-  if (ceiling < 3000 || vis < 5) return "MVFR";
-  return "VFR";
-}
-
-function computeFits(tempC) {
-  const tempF = (tempC * 9) / 5 + 32;
-  let level = "NORMAL";
-  if (tempF >= 90 && tempF <= 101) level = "CAUTION";
-  else if (tempF >= 102 && tempF <= 114) level = "DANGER";
-  else if (tempF >= 115) level = "CANCEL";
-
-  return { level, tempF: Math.round(tempF) };
-}
-
-function computeCrosswind(metarWind, activeRunway) {
-  if (!metarWind || metarWind === "--") return null;
-
-  const match = metarWind.match(/(\d{3}|VRB)(\d{2})/);
-  if (!match) return null;
-
-  let dir = match[1] === "VRB" ? null : parseInt(match[1]);
-  const spd = parseInt(match[2]);
-
-  if (!spd) return null;
-
-  const runwayHeading = activeRunway === "10" ? 100 : 280;
-  if (dir === null) return { crosswind: spd, warning: spd >= 25 };
-
-  let rel = dir - runwayHeading;
-  if (rel > 180) rel -= 360;
-  if (rel < -180) rel += 360;
-
-  const cross = Math.round(spd * Math.sin((rel * Math.PI) / 180));
-  return { crosswind: cross, warning: Math.abs(cross) >= 25 };
-}
+import { useLiveUpdates, liveHeaders } from "./lib/liveUpdates";
+import { useAuth } from "./lib/auth";
+import { useBriefing } from "./lib/briefing";
+import { useEditHistory, undoShortcut } from "./lib/editHistory";
+import { diffState, changesToPatch } from "./lib/stateDiff";
+import { decodeMetar, formatMetar } from "./lib/metar";
+import { decodeTaf, highlightTaf } from "./lib/taf";
+import { categorize } from "./lib/flightCategory";
+import {
+  evaluateAlternate,
+  parseEta,
+  ALTERNATE_RULES,
+  DEFAULT_ALTERNATE_RULE,
+} from "./lib/alternate";
+import {
+  getRunway,
+  requestedAirfield,
+  defaultStatus,
+  useAirfield,
+} from "./lib/airfield";
+import { statusColor, nextStatus } from "./lib/inventory";
+import {
+  windComponents,
+  checkWindLimits,
+  rscToRcr,
+  AIRCRAFT_LIMITS,
+  DEFAULT_AIRCRAFT,
+} from "./lib/wind";
+import { recommendRunway } from "./lib/runwayInUse";
+import { computeFits, projectFits } from "./lib/fits";
+import TafTimeline from "./TafTimeline";
+import FitsTimeline from "./FitsTimeline";
+import AlternatePanel from "./AlternatePanel";
+import NotamList from "./NotamList";
+import SlideManager from "./SlideManager";
+import AirfieldLoading from "./AirfieldLoading";
+import AnnotationShape from "./AnnotationShape";
+import AnnotationVersions from "./AnnotationVersions";
+import StyleToolbar from "./StyleToolbar";
+import {
+  slideUrl,
+  useSlidePages,
+  loadSlideImage,
+  scheduledSlides,
+  requestedDisplay,
+} from "./lib/slides";
+import {
+  ANNOTATION_TOOLS,
+  DEFAULT_STYLE,
+  annotationStyle,
+  annotationView,
+  hasPoints,
+  translateAnnotation,
+  simplifyPoints,
+  isCompleteDraft,
+} from "./lib/annotations";
 
 // --- SlidesCard ---
-function SlidesCard() {
+function SlidesCard({ airfield, canAnnotate = false, canManage = false, authHeaders = {} }) {
   const [slides, setSlides] = useState([]);
+  const [showManager, setShowManager] = useState(false);
   const [currentSlide, setCurrentSlide] = useState(0);
   const [annotations, setAnnotations] = useState({});
   const [tool, setTool] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [drawing, setDrawing] = useState(null);
+  const [style, setStyle] = useState(DEFAULT_STYLE); // for new annotations and the selected one
+  const [symbol, setSymbol] = useState("crane");
+  const [showVersions, setShowVersions] = useState(false);
+  const edits = useEditHistory();
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [imageObj, setImageObj] = useState(null);
+  const [loadError, setLoadError] = useState(null);
   const [selectedId, setSelectedId] = useState(null);
+  const [pendingFile, setPendingFile] = useState(null); // uploaded file to show once its pages are known
   const containerRef = useRef();
   const stageRef = useRef();
   const trRef = useRef();
@@ -124,44 +89,95 @@ function SlidesCard() {
 
   const API =
     process.env?.REACT_APP_API_URL || "https://airfield-dashboard.onrender.com";
+  // Editors with the library open see every slide; otherwise this display's
+  // schedule decides, re-checked each minute
+  const [now, setNow] = useState(new Date());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+  const shown = showManager ? slides : scheduledSlides(slides, requestedDisplay("dashboard"), now);
+  const pages = useSlidePages(API, airfield, shown);
+  const slide = pages[currentSlide];
+
+  const fetchAnnotations = useCallback(
+    () =>
+      axios
+        .get(`${API}/api/annotations`, { params: { airfield } })
+        .then((res) => setAnnotations(res.data.slides || {}))
+        .catch((err) => console.error("❌ Failed to fetch annotations:", err.message)),
+    [API, airfield]
+  );
+
+  // live annotation and slide library changes from other editors
+  const live = useLiveUpdates(
+    API,
+    (msg) => {
+      if (msg.type === "annotations") setAnnotations(msg.payload?.slides || {});
+      if (msg.type === "slides") setSlides(msg.payload || []);
+    },
+    airfield
+  );
 
-  // load slides + annotations
+  // load slides + annotations, again whenever the socket reconnects since
+  // changes pushed while it was down are lost
   useEffect(() => {
-    axios.get(`${API}/api/slides`).then((res) => setSlides(res.data));
-    axios.get(`${API}/api/annotations`).then((res) =>
-      setAnnotations(res.data.slides || {})
-    );
-  }, [API]);
+    axios
+      .get(`${API}/api/slides`, { params: { airfield } })
+      .then((res) => setSlides(res.data))
+      .catch((err) => console.error("❌ Failed to fetch slides:", err.message));
+    fetchAnnotations();
+  }, [API, airfield, live, fetchAnnotations]);
+
+  // keep the current slide in range when slides are deleted, and jump to a
+  // freshly uploaded file once it shows up
+  const pendingIndex = pendingFile ? pages.findIndex((p) => p.file === pendingFile) : -1;
+  useEffect(() => {
+    if (pendingIndex >= 0) {
+      setPendingFile(null);
+      setCurrentSlide(pendingIndex);
+    } else {
+      setCurrentSlide((s) => (s >= pages.length ? Math.max(0, pages.length - 1) : s));
+    }
+  }, [pendingIndex, pages.length]);
 
-  // load current image
+  // load current image (or render the current PDF page)
+  const slideFile = slide?.file;
+  const slidePage = slide?.page;
   useEffect(() => {
-    if (!slides[currentSlide]) return;
-    const img = new window.Image();
-    img.src = `${API}/slides/${slides[currentSlide]}`;
-    img.onload = () => {
-      setImageObj(img);
-      setTimeout(() => {
-        if (containerRef.current) {
-          const rect = containerRef.current.getBoundingClientRect();
-          setStageSize({
-            width: rect.width,
-            height: rect.height,
-          });
-        }
-      }, 50);
+    if (!slideFile) return;
+    let cancelled = false;
+    loadSlideImage(API, airfield, { file: slideFile, page: slidePage })
+      .then((img) => {
+        if (cancelled) return;
+        setImageObj(img);
+        setLoadError(null);
+        setTimeout(() => {
+          if (containerRef.current) {
+            const rect = containerRef.current.getBoundingClientRect();
+            setStageSize({
+              width: rect.width,
+              height: rect.height,
+            });
+          }
+        }, 50);
+      })
+      .catch((err) => !cancelled && setLoadError(err.message));
+    return () => {
+      cancelled = true;
     };
-  }, [slides, currentSlide, isFullscreen]);
+  }, [API, airfield, slideFile, slidePage, isFullscreen]);
 
-  // slideshow autoplay
+  // slideshow autoplay, each slide for its own duration
   useEffect(() => {
-    if (isPlaying && slides.length > 0) {
-      const interval = setInterval(
-        () => setCurrentSlide((s) => (s + 1) % slides.length),
-        5000
+    if (isPlaying && pages.length > 0) {
+      const timer = setTimeout(
+        () => setCurrentSlide((s) => (s + 1) % pages.length),
+        (slide?.duration || 5) * 1000
       );
-      return () => clearInterval(interval);
+      return () => clearTimeout(timer);
     }
-  }, [isPlaying, slides.length]);
+  }, [isPlaying, currentSlide, pages.length, slide?.duration]);
 
   // transformer update when selection changes
   useEffect(() => {
@@ -177,66 +193,174 @@ function SlidesCard() {
   // Escape key to exit fullscreen
   useEffect(() => {
     const handleKey = (e) => {
-      if (e.key === "Escape") setIsFullscreen(false);
+      if (e.key !== "Escape") return;
+      setDrawing((d) => {
+        if (!d) setIsFullscreen(false);
+        return null;
+      });
     };
     window.addEventListener("keydown", handleKey);
     return () => window.removeEventListener("keydown", handleKey);
   }, []);
 
+  // resolves to whether the server took the change
   const saveAnnotations = (updated) => {
     setAnnotations(updated);
-    axios.post(`${API}/api/annotations`, { slides: updated });
+    return axios
+      .post(
+        `${API}/api/annotations`,
+        { slides: updated },
+        { params: { airfield }, headers: { ...liveHeaders, ...authHeaders } }
+      )
+      .then(() => true)
+      .catch((err) => {
+        console.error("❌ Failed to save annotations:", err.response?.data?.error || err.message);
+        // Roll back to what the server actually holds
+        fetchAnnotations();
+        return false;
+      });
+  };
+
+  // annotations belong to the current slide: an image or one PDF page.
+  // Each edit replaces the slide's list and goes on the undo stack once saved.
+  const editSlide = (change) => {
+    const key = slide?.key;
+    if (!key) return;
+    const before = annotations[key] || [];
+    const after = change(before);
+    saveAnnotations({ ...annotations, [key]: after }).then((saved) => {
+      if (saved) edits.record({ key, before, after });
+    });
   };
 
   const addAnnotation = (annot) => {
-    const file = slides[currentSlide];
-    if (!file) return;
-    const annots = { ...annotations };
-    if (!annots[file]) annots[file] = [];
-    annots[file].push({ _id: uuidv4(), ...annot });
-    saveAnnotations(annots);
+    editSlide((list) => [...list, { _id: uuidv4(), ...annot }]);
   };
 
   const updateAnnotation = (id, newAttrs) => {
-    const file = slides[currentSlide];
-    if (!file) return;
-    const annots = { ...annotations };
-    annots[file] = annots[file].map((a) =>
-      a._id === id ? { ...a, ...newAttrs } : a
-    );
-    saveAnnotations(annots);
+    editSlide((list) => list.map((a) => (a._id === id ? { ...a, ...newAttrs } : a)));
   };
 
   const deleteAnnotation = (id) => {
-    const file = slides[currentSlide];
-    if (!file) return;
-    const annots = { ...annotations };
-    annots[file] = annots[file].filter((a) => a._id !== id);
-    saveAnnotations(annots);
+    editSlide((list) => list.filter((a) => a._id !== id));
+    setSelectedId(null);
+    trRef.current?.nodes([]);
+  };
+
+  // puts a slide back to one side of an edit, showing that slide; resolves
+  // to whether it was saved
+  const applyEdit = (entry, list) => {
+    setDrawing(null);
     setSelectedId(null);
     trRef.current?.nodes([]);
+    const index = pages.findIndex((p) => p.key === entry.key);
+    if (index >= 0) setCurrentSlide(index);
+    return saveAnnotations({ ...annotations, [entry.key]: list });
+  };
+
+  const undoEdit = () => edits.undo((entry) => applyEdit(entry, entry.before));
+
+  const redoEdit = () => edits.redo((entry) => applyEdit(entry, entry.after));
+
+  // undo/redo shortcuts; re-bound each render to see the current stacks
+  useEffect(() => {
+    if (!canAnnotate) return;
+    const handleKey = (e) => {
+      const action = undoShortcut(e);
+      if (!action) return;
+      e.preventDefault();
+      if (action === "undo") undoEdit();
+      else redoEdit();
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  });
+
+  const selectAnnotation = (a) => {
+    setSelectedId(a._id);
+    setStyle(annotationStyle(a));
+  };
+
+  const deselect = () => {
+    setSelectedId(null);
+    trRef.current?.nodes([]);
+  };
+
+  // the pickers restyle the selected annotation as well as new ones
+  const changeStyle = (changes) => {
+    const next = { ...style, ...changes };
+    setStyle(next);
+    if (selectedId) updateAnnotation(selectedId, { style: next });
+  };
+
+  const finishDrawing = () => {
+    if (!drawing) return;
+    const { cursor, ...annot } = drawing;
+    if (annot.points) annot.points = simplifyPoints(annot.points);
+    if (isCompleteDraft(annot)) addAnnotation(annot);
+    setDrawing(null);
   };
 
   const clearAllAnnotations = () => {
-    const file = slides[currentSlide];
-    if (!file) return;
-    const annots = { ...annotations, [file]: [] };
-    saveAnnotations(annots);
+    const count = annotations[slide?.key]?.length || 0;
+    if (count === 0) return;
+    if (!window.confirm(`Clear all ${count} annotation${count === 1 ? "" : "s"} on this slide? Undo brings them back.`)) {
+      return;
+    }
+    editSlide(() => []);
     setSelectedId(null);
     trRef.current?.nodes([]);
   };
 
-  if (slides.length === 0) {
+  // a restore replaces every slide's markup, so earlier edits no longer apply
+  const restoreVersion = (restored) => {
+    setAnnotations(restored.slides || {});
+    edits.reset();
+    setSelectedId(null);
+    trRef.current?.nodes([]);
+  };
+
+  const undoButtons = canAnnotate && (
+    <>
+      <button onClick={undoEdit} disabled={!edits.canUndo} title="Undo (Ctrl+Z)" className="px-3 py-1 bg-slate-700 rounded disabled:opacity-40">
+        ↶ Undo
+      </button>
+      <button onClick={redoEdit} disabled={!edits.canRedo} title="Redo (Ctrl+Shift+Z)" className="px-3 py-1 bg-slate-700 rounded disabled:opacity-40">
+        ↷ Redo
+      </button>
+    </>
+  );
+
+  const manager = canManage && (
+    <SlideManager
+      API={API}
+      airfield={airfield}
+      slides={slides}
+      current={slide?.file}
+      authHeaders={authHeaders}
+      onChange={setSlides}
+      onSelect={(selected) => {
+        const index = pages.findIndex((p) => p.file === selected);
+        if (index >= 0) setCurrentSlide(index);
+        else setPendingFile(selected);
+      }}
+    />
+  );
+
+  if (pages.length === 0) {
     return (
       <section className="border border-slate-700 rounded-lg p-3 flex flex-col h-[500px] md:col-span-2">
         <h2 className="text-lg font-bold underline mb-2">Airfield Slides</h2>
-        <p className="text-sm text-slate-400">No slides available.</p>
+        <p className="text-sm text-slate-400">
+          {slides.length === 0 ? "No slides available." : "No slides scheduled right now."}
+        </p>
+        {manager}
       </section>
     );
   }
 
-  const file = slides[currentSlide];
-  const slideKey = file || "unknown";
+  const file = slide?.file;
+  const slideKey = slide?.key || "unknown";
 
   let drawW = 0,
     drawH = 0,
@@ -254,171 +378,129 @@ function SlidesCard() {
     offsetY = (stageSize.height - drawH) / 2;
   }
 
-  const migrate = (val, axis = "x") => {
-    if (!imageObj) return val;
-    return val < (axis === "x" ? imageObj.width : imageObj.height)
-      ? val
-      : (val - (axis === "x" ? offsetX : offsetY)) / scale;
-  };
+  const view = imageObj && annotationView(imageObj, offsetX, offsetY, scale);
 
-  const renderStage = () => (
-    <Stage
-      ref={stageRef}
-      width={stageSize.width}
-      height={stageSize.height}
-      onMouseDown={(e) => {
-        if (!tool || e.target !== e.target.getStage()) return;
-        const pos = e.target.getStage().getPointerPosition();
-        if (!pos) return;
-
-        const imgX = (pos.x - offsetX) / scale;
-        const imgY = (pos.y - offsetY) / scale;
-
-        if (tool === "box") {
-          setDrawing({ type: "box", x: imgX, y: imgY, w: 0, h: 0 });
-        } else if (tool === "arrow") {
-          setDrawing({ type: "arrow", x1: imgX, y1: imgY, x2: imgX, y2: imgY });
-        } else if (tool === "x") {
-          addAnnotation({ type: "x", x: imgX, y: imgY });
-        } else if (tool === "text") {
-          const text = prompt("Enter note:");
-          if (text) addAnnotation({ type: "text", x: imgX, y: imgY, text });
-        }
-      }}
-      onMouseMove={(e) => {
-        if (!drawing) return;
-        const pos = e.target.getStage().getPointerPosition();
-        if (!pos) return;
-
-        const imgX = (pos.x - offsetX) / scale;
-        const imgY = (pos.y - offsetY) / scale;
-
-        if (drawing.type === "box") {
-          setDrawing({ ...drawing, w: imgX - drawing.x, h: imgY - drawing.y });
-        } else if (drawing.type === "arrow") {
-          setDrawing({ ...drawing, x2: imgX, y2: imgY });
-        }
-      }}
-      onMouseUp={() => {
-        if (drawing) {
-          addAnnotation(drawing);
-          setDrawing(null);
-        }
-      }}
-    >
-      <Layer>
-        <KonvaImage
-          image={imageObj}
-          x={offsetX}
-          y={offsetY}
-          width={drawW}
-          height={drawH}
-          listening={false}
-        />
+  // the shape being drawn, with lines and areas running to the pointer
+  const draft =
+    drawing?.cursor && drawing.type !== "freehand"
+      ? { ...drawing, points: [...drawing.points, ...drawing.cursor] }
+      : drawing;
 
-        {annotations[slideKey]?.map((a) => {
-          const ax = migrate(a.x, "x");
-          const ay = migrate(a.y, "y");
-
-          const commonProps = {
-            key: a._id,
-            id: a._id,
-            draggable: true,
-            onClick: () => setSelectedId(a._id),
-            onTap: () => setSelectedId(a._id),
-            onContextMenu: (e) => {
-              e.evt.preventDefault();
-              deleteAnnotation(a._id);
-            },
-            onDragEnd: (e) => {
-              const imgX = (e.target.x() - offsetX) / scale;
-              const imgY = (e.target.y() - offsetY) / scale;
-              updateAnnotation(a._id, { x: imgX, y: imgY });
-            },
-          };
-
-          if (a.type === "box")
-            return (
-              <Rect
-                {...commonProps}
-                x={offsetX + ax * scale}
-                y={offsetY + ay * scale}
-                width={a.w * scale}
-                height={a.h * scale}
-                stroke="red"
-              />
-            );
-          if (a.type === "x")
-            return (
-              <KText
-                {...commonProps}
-                x={offsetX + ax * scale}
-                y={offsetY + ay * scale}
-                text="X"
-                fontSize={32 * scale}
-                fill="red"
-              />
-            );
-          if (a.type === "arrow")
-            return (
-              <Arrow
-                {...commonProps}
-                points={[
-                  offsetX + migrate(a.x1, "x") * scale,
-                  offsetY + migrate(a.y1, "y") * scale,
-                  offsetX + migrate(a.x2, "x") * scale,
-                  offsetY + migrate(a.y2, "y") * scale,
-                ]}
-                stroke="green"
-                strokeWidth={4 * scale}
-                pointerLength={10 * scale}
-                pointerWidth={10 * scale}
-              />
-            );
-          if (a.type === "text")
-            return (
-              <KText
-                {...commonProps}
-                x={offsetX + ax * scale}
-                y={offsetY + ay * scale}
-                text={a.text}
-                fontSize={16 * scale}
-                fill="white"
-              />
-            );
-          return null;
-        })}
-
-        {drawing?.type === "box" && (
-          <Rect
-            x={offsetX + drawing.x * scale}
-            y={offsetY + drawing.y * scale}
-            width={drawing.w * scale}
-            height={drawing.h * scale}
-            stroke="red"
-            dash={[4, 4]}
-          />
-        )}
-        {drawing?.type === "arrow" && (
-          <Arrow
-            points={[
-              offsetX + drawing.x1 * scale,
-              offsetY + drawing.y1 * scale,
-              offsetX + drawing.x2 * scale,
-              offsetY + drawing.y2 * scale,
-            ]}
-            stroke="green"
-            strokeWidth={4 * scale}
-            pointerLength={10 * scale}
-            pointerWidth={10 * scale}
-            dash={[4, 4]}
+  const renderStage = () =>
+    loadError ? (
+      <div className="h-full flex items-center justify-center text-slate-400">
+        <a href={slideUrl(API, airfield, file)} target="_blank" rel="noreferrer" className="underline">
+          ⚠ {loadError} — open {file}
+        </a>
+      </div>
+    ) : (
+      <Stage
+        ref={stageRef}
+        width={stageSize.width}
+        height={stageSize.height}
+        onMouseDown={(e) => {
+          if (!canAnnotate || !view || e.target !== e.target.getStage()) return;
+          if (!tool) return deselect();
+          const pos = e.target.getStage().getPointerPosition();
+          if (!pos) return;
+
+          const { x: imgX, y: imgY } = view.toImage(pos);
+
+          if (drawing?.cursor) {
+            setDrawing({ ...drawing, points: [...drawing.points, imgX, imgY] });
+          } else if (tool === "box") {
+            setDrawing({ type: "box", x: imgX, y: imgY, w: 0, h: 0, style });
+          } else if (tool === "circle") {
+            setDrawing({ type: "circle", x: imgX, y: imgY, r: 0, style });
+          } else if (tool === "arrow") {
+            setDrawing({ type: "arrow", x1: imgX, y1: imgY, x2: imgX, y2: imgY, style });
+          } else if (tool === "line" || tool === "polygon") {
+            // click to add points, double-click to finish
+            setDrawing({ type: tool, points: [imgX, imgY], cursor: [imgX, imgY], style });
+          } else if (tool === "freehand") {
+            setDrawing({ type: "freehand", points: [imgX, imgY], style });
+          } else if (tool === "x") {
+            addAnnotation({ type: "x", x: imgX, y: imgY, style });
+          } else if (tool === "symbol") {
+            addAnnotation({ type: "symbol", symbol, x: imgX, y: imgY, style });
+          } else if (tool === "text") {
+            const text = prompt("Enter note:");
+            if (text) addAnnotation({ type: "text", x: imgX, y: imgY, text, style });
+          }
+        }}
+        onMouseMove={(e) => {
+          if (!drawing) return;
+          const pos = e.target.getStage().getPointerPosition();
+          if (!pos) return;
+
+          const { x: imgX, y: imgY } = view.toImage(pos);
+
+          if (drawing.type === "box") {
+            setDrawing({ ...drawing, w: imgX - drawing.x, h: imgY - drawing.y });
+          } else if (drawing.type === "circle") {
+            setDrawing({ ...drawing, r: Math.hypot(imgX - drawing.x, imgY - drawing.y) });
+          } else if (drawing.type === "arrow") {
+            setDrawing({ ...drawing, x2: imgX, y2: imgY });
+          } else if (drawing.type === "freehand") {
+            setDrawing({ ...drawing, points: [...drawing.points, imgX, imgY] });
+          } else if (drawing.cursor) {
+            setDrawing({ ...drawing, cursor: [imgX, imgY] });
+          }
+        }}
+        onMouseUp={() => {
+          if (drawing && !drawing.cursor) finishDrawing();
+        }}
+        onDblClick={() => {
+          if (drawing?.cursor) finishDrawing();
+        }}
+      >
+        <Layer>
+          <KonvaImage
+            image={imageObj}
+            x={offsetX}
+            y={offsetY}
+            width={drawW}
+            height={drawH}
+            listening={false}
           />
-        )}
 
-        <Transformer ref={trRef} rotateEnabled resizeEnabled />
-      </Layer>
-    </Stage>
-  );
+          {view &&
+            annotations[slideKey]?.map((stored) => {
+              const a = view.inImage(stored);
+              return (
+                <AnnotationShape
+                  key={a._id}
+                  id={a._id}
+                  annotation={a}
+                  view={view}
+                  draggable={canAnnotate && !drawing}
+                  onClick={() => canAnnotate && selectAnnotation(a)}
+                  onTap={() => canAnnotate && selectAnnotation(a)}
+                  onContextMenu={(e) => {
+                    e.evt.preventDefault();
+                    if (canAnnotate) deleteAnnotation(a._id);
+                  }}
+                  onDragEnd={(e) => {
+                    const node = e.target;
+                    // point shapes are drawn from their points, so the
+                    // drag offset moves the points instead
+                    if (hasPoints(a) || a.type === "arrow") {
+                      updateAnnotation(a._id, translateAnnotation(a, node.x() / scale, node.y() / scale));
+                      node.position({ x: 0, y: 0 });
+                    } else {
+                      updateAnnotation(a._id, view.toImage(node.position()));
+                    }
+                  }}
+                />
+              );
+            })}
+
+          {view && draft && <AnnotationShape annotation={draft} view={view} listening={false} />}
+
+          <Transformer ref={trRef} rotateEnabled resizeEnabled />
+        </Layer>
+      </Stage>
+    );
 
   return (
     <section className="border border-slate-700 rounded-lg p-3 flex flex-col md:col-span-2 relative">
@@ -433,12 +515,17 @@ function SlidesCard() {
             >
               ✖ Close
             </button>
-            <button
-              onClick={clearAllAnnotations}
-              className="px-3 py-1 bg-yellow-600 rounded"
-            >
-              🧹 Clear All
-            </button>
+            {canAnnotate && (
+              <div className="flex gap-2">
+                {undoButtons}
+                <button
+                  onClick={clearAllAnnotations}
+                  className="px-3 py-1 bg-yellow-600 rounded"
+                >
+                  🧹 Clear All
+                </button>
+              </div>
+            )}
           </div>
           <div ref={containerRef} className="flex-1 flex items-center justify-center overflow-auto">
             {renderStage()}
@@ -453,92 +540,348 @@ function SlidesCard() {
         </div>
       )}
 
+      <p className="text-xs text-slate-400 text-center mt-2">
+        {currentSlide + 1}/{pages.length} · {file}
+        {slide?.page && ` — page ${slide.page}${slide.pages ? ` of ${slide.pages}` : ""}`}
+      </p>
+
       {/* Toolbar */}
       <div className="flex flex-wrap justify-center gap-2 mt-3">
-        <button onClick={() => setCurrentSlide((s) => (s - 1 + slides.length) % slides.length)} className="px-3 py-1 bg-slate-700 rounded">⏮ Prev</button>
-        <button onClick={() => setCurrentSlide((s) => (s + 1) % slides.length)} className="px-3 py-1 bg-slate-700 rounded">⏭ Next</button>
+        <button onClick={() => setCurrentSlide((s) => (s - 1 + pages.length) % pages.length)} className="px-3 py-1 bg-slate-700 rounded">⏮ Prev</button>
+        <button onClick={() => setCurrentSlide((s) => (s + 1) % pages.length)} className="px-3 py-1 bg-slate-700 rounded">⏭ Next</button>
         <button onClick={() => setIsPlaying(!isPlaying)} className="px-3 py-1 bg-slate-700 rounded">{isPlaying ? "⏸ Pause" : "▶ Play"}</button>
         <button onClick={() => setIsFullscreen(true)} className="px-3 py-1 bg-slate-700 rounded">⛶ Enlarge</button>
-        <button onClick={clearAllAnnotations} className="px-3 py-1 bg-yellow-600 rounded">🧹 Clear All</button>
+        {undoButtons}
+        {canAnnotate && <button onClick={clearAllAnnotations} className="px-3 py-1 bg-yellow-600 rounded">🧹 Clear All</button>}
+        {canAnnotate && (
+          <button
+            onClick={() => setShowVersions(!showVersions)}
+            className={`px-3 py-1 rounded ${showVersions ? "bg-blue-600" : "bg-slate-700"}`}
+          >
+            🕘 History
+          </button>
+        )}
+        {canManage && (
+          <button
+            onClick={() => setShowManager(!showManager)}
+            className={`px-3 py-1 rounded ${showManager ? "bg-blue-600" : "bg-slate-700"}`}
+          >
+            🗂 Manage
+          </button>
+        )}
       </div>
 
       {/* Tools */}
-      <div className="flex flex-wrap justify-center gap-2 mt-2">
-        <button onClick={() => setTool("x")} className={`px-3 py-1 rounded ${tool === "x" ? "bg-blue-600" : "bg-slate-700"}`}>❌ X</button>
-        <button onClick={() => setTool("box")} className={`px-3 py-1 rounded ${tool === "box" ? "bg-blue-600" : "bg-slate-700"}`}>⬛ Box</button>
-        <button onClick={() => setTool("arrow")} className={`px-3 py-1 rounded ${tool === "arrow" ? "bg-blue-600" : "bg-slate-700"}`}>➡️ Arrow</button>
-        <button onClick={() => setTool("text")} className={`px-3 py-1 rounded ${tool === "text" ? "bg-blue-600" : "bg-slate-700"}`}>📝 Text</button>
-      </div>
+      {canAnnotate && (
+        <div className="flex flex-wrap justify-center gap-2 mt-2">
+          {ANNOTATION_TOOLS.map((t) => (
+            <button
+              key={t.tool}
+              onClick={() => {
+                setTool(tool === t.tool ? null : t.tool);
+                setDrawing(null);
+              }}
+              className={`px-3 py-1 rounded ${tool === t.tool ? "bg-blue-600" : "bg-slate-700"}`}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+      )}
+      {canAnnotate && (
+        <StyleToolbar
+          style={style}
+          onChange={changeStyle}
+          symbol={tool === "symbol" ? symbol : null}
+          onSymbol={setSymbol}
+        />
+      )}
+      {canAnnotate && (tool === "line" || tool === "polygon") && (
+        <p className="text-xs text-slate-400 text-center mt-1">
+          Click to add points, double-click to finish, Esc to cancel.
+        </p>
+      )}
+
+      {showManager && manager}
+      {canAnnotate && showVersions && (
+        <AnnotationVersions API={API} airfield={airfield} authHeaders={authHeaders} onRestore={restoreVersion} />
+      )}
     </section>
   );
 }
 
-// --- Main Dashboard ---
-function CrosswindVisual({ wind }) {
-  if (!wind || wind === "--") return null;
+// --- Login Modal ---
+function LoginModal({ onLogin, onClose }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    try {
+      await onLogin(username, password);
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.error || "Login failed");
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50" onClick={onClose}>
+      <form
+        onSubmit={handleSubmit}
+        onClick={(e) => e.stopPropagation()}
+        className="w-72 bg-slate-900 border border-slate-700 rounded-lg p-4 flex flex-col gap-2 text-sm"
+      >
+        <h2 className="text-lg font-bold underline">Operator Login</h2>
+        <input
+          type="text"
+          placeholder="Username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          className="px-2 py-1 rounded bg-slate-950 border border-slate-600"
+          autoFocus
+        />
+        <input
+          type="password"
+          placeholder="Password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="px-2 py-1 rounded bg-slate-950 border border-slate-600"
+        />
+        {error && <p className="text-red-500">{error}</p>}
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-3 py-1 bg-slate-700 rounded">
+            Cancel
+          </button>
+          <button type="submit" className="px-3 py-1 bg-blue-600 hover:bg-blue-500 rounded">
+            🔑 Login
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
 
-  const match = wind.match(/(\d{3}|VRB)(\d{2})/);
-  if (!match) return null;
+// --- Conflict Prompt ---
+function formatValue(v) {
+  if (v === null || v === undefined || v === "") return "—";
+  return typeof v === "object" ? JSON.stringify(v) : String(v);
+}
 
-  const dir = match[1] === "VRB" ? 0 : parseInt(match[1], 10);
-  const spd = parseInt(match[2], 10);
-  if (!spd) return null;
+function ConflictModal({ conflict, onReapply, onDiscard }) {
+  const renderChanges = (changes) => (
+    <ul className="font-mono space-y-1">
+      {changes.map((c) => (
+        <li key={c.field}>
+          {c.field}: {formatValue(c.oldValue)} → <span className="font-bold">{formatValue(c.newValue)}</span>
+        </li>
+      ))}
+    </ul>
+  );
 
-  // Runway heading (east-west): RWY 10 = 100°
-  const runwayHeading = 100;
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div className="w-full max-w-lg bg-slate-900 border border-red-600 rounded-lg p-4 flex flex-col gap-3 text-sm">
+        <h2 className="text-lg font-bold underline text-red-500">⚠ Conflicting Change</h2>
+        <p>Another operator updated the airfield status before your change was saved.</p>
+        <div>
+          <p className="font-semibold">Changed by another operator</p>
+          {conflict.theirs.length > 0 ? renderChanges(conflict.theirs) : <p className="text-slate-400">No overlapping fields.</p>}
+        </div>
+        <div>
+          <p className="font-semibold">Your change (not saved)</p>
+          {renderChanges(conflict.mine)}
+        </div>
+        <div className="flex justify-end gap-2">
+          <button onClick={onDiscard} className="px-3 py-1 bg-slate-700 rounded">
+            Discard Mine
+          </button>
+          <button onClick={onReapply} className="px-3 py-1 bg-red-600 rounded">
+            Re-apply Mine
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
 
-  // Wind FROM direction (rotate 180° so arrow points FROM source)
-  const angleRad = ((dir + 180) * Math.PI) / 180;
+// --- History Drawer ---
+const HISTORY_FIELDS = [
+  ["", "All fields"],
+  ["airfield.activeRunway", "Active Runway"],
+  ["airfield.rsc", "RSC"],
+  ["airfield.rscNotes", "RSC Notes"],
+  ["airfield.barriers", "Barriers"],
+  ["airfield.arff", "ARFF"],
+  ["navaids", "NAVAIDs"],
+  ["bash", "BASH"],
+];
+
+function HistoryDrawer({ API, airfield, onClose }) {
+  const [events, setEvents] = useState([]);
+  const [field, setField] = useState("");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      const params = { airfield, field: field || undefined };
+      if (from) params.from = new Date(from).toISOString();
+      if (to) params.to = new Date(to).toISOString();
+      const res = await axios.get(`${API}/api/state/history`, { params });
+      setEvents(res.data?.events || []);
+    } catch (err) {
+      console.error("❌ Failed to fetch history:", err.message);
+    }
+  }, [API, airfield, field, from, to]);
 
-  // Relative angle for cross/headwind calc
-  const rel = ((dir - runwayHeading + 360) % 360) * (Math.PI / 180);
-  const headwind = (spd * Math.cos(rel)).toFixed(0);
-  const crosswind = (spd * Math.sin(rel)).toFixed(0);
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end bg-black bg-opacity-50" onClick={onClose}>
+      <aside
+        className="w-full max-w-md h-full bg-slate-900 border-l border-slate-700 p-3 flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="text-lg font-bold underline">Change History</h2>
+          <button onClick={onClose} className="px-3 py-1 bg-red-600 rounded">
+            ✖ Close
+          </button>
+        </div>
+
+        <div className="flex flex-col gap-2 text-sm mb-2">
+          <select
+            value={field}
+            onChange={(e) => setField(e.target.value)}
+            className="px-2 py-1 rounded bg-slate-950 border border-slate-600"
+          >
+            {HISTORY_FIELDS.map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <div className="flex gap-2 items-center">
+            <input
+              type="datetime-local"
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+              className="flex-1 px-2 py-1 rounded bg-slate-950 border border-slate-600"
+            />
+            <span>→</span>
+            <input
+              type="datetime-local"
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+              className="flex-1 px-2 py-1 rounded bg-slate-950 border border-slate-600"
+            />
+          </div>
+          <button onClick={fetchHistory} className="px-3 py-1 bg-slate-700 rounded">
+            🔄 Refresh
+          </button>
+        </div>
+
+        {events.length > 0 ? (
+          <ul className="space-y-1 text-sm flex-1 overflow-y-auto font-mono">
+            {events.map((e, i) => (
+              <li key={`${e.timestamp}-${e.field}-${i}`} className="p-2 rounded border border-slate-700">
+                <div className="text-slate-400">
+                  {e.timestamp.slice(0, 16).replace("T", " ")}Z — {e.operator}
+                </div>
+                <div>
+                  {e.field}: {formatValue(e.oldValue)} → <span className="font-bold">{formatValue(e.newValue)}</span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-slate-400">No changes recorded.</p>
+        )}
+      </aside>
+    </div>
+  );
+}
+
+// --- Main Dashboard ---
+function CrosswindVisual({ wind, runway, airfield }) {
+  const rwy = getRunway(runway, airfield);
+  if (!wind || !rwy) return null;
+
+  const { steady, gust } = wind;
+  const side = (kt) => (kt > 0 ? "R" : kt < 0 ? "L" : "");
+  const headLabel = steady.headwind < 0 ? "TW" : "HW";
+
+  // Wind arrow flows across the field from the reported direction
+  const fromRad = ((wind.direction ?? 0) * Math.PI) / 180;
 
   return (
     <div className="absolute top-2 right-2 flex flex-col items-center text-xs">
       {/* Labels ABOVE the runway */}
       <div className="flex flex-row gap-4 mb-1 text-white text-xs font-bold">
-        <span>HW: {headwind} KT</span>
-        <span>XW: {crosswind} KT</span>
+        <span className={steady.headwind < 0 ? "text-red-500" : ""}>
+          {headLabel}: {Math.abs(steady.headwind)}
+          {gust ? `G${Math.abs(gust.headwind)}` : ""} KT
+        </span>
+        <span>
+          XW: {Math.abs(steady.crosswind)}
+          {gust ? `G${Math.abs(gust.crosswind)}` : ""} KT {side(steady.crosswind)}
+        </span>
       </div>
 
       <svg width="100" height="100" viewBox="0 0 200 200">
-        {/* Runway rectangle east-west */}
-        <rect x="40" y="90" width="120" height="20" fill="#555" rx="3" />
-
-        {/* Runway numbers */}
-        <text
-          x="45"
-          y="85"
-          fontSize="14"
-          fill="white"
-          textAnchor="middle"
-          fontWeight="bold"
-        >
-          28
-        </text>
-        <text
-          x="155"
-          y="85"
-          fontSize="14"
-          fill="white"
-          textAnchor="middle"
-          fontWeight="bold"
-        >
-          10
-        </text>
-
-        {/* Wind arrow (points FROM wind dir) */}
-        <line
-          x1="100"
-          y1="100"
-          x2={100 + 40 * Math.sin(angleRad)}
-          y2={100 - 40 * Math.cos(angleRad)}
-          stroke="green"
-          strokeWidth="3"
-          markerEnd="url(#arrowhead)"
-        />
+        {/* Runway drawn on its true heading, active end highlighted */}
+        <g transform={`rotate(${rwy.trueHeading - 90} 100 100)`}>
+          <rect x="40" y="90" width="120" height="20" fill="#555" rx="3" />
+          <text
+            x="52"
+            y="104"
+            fontSize="14"
+            fill="#4ade80"
+            textAnchor="middle"
+            fontWeight="bold"
+            transform="rotate(90 52 100)"
+          >
+            {rwy.id}
+          </text>
+          <text
+            x="148"
+            y="104"
+            fontSize="14"
+            fill="white"
+            textAnchor="middle"
+            fontWeight="bold"
+            transform="rotate(-90 148 100)"
+          >
+            {rwy.reciprocal}
+          </text>
+        </g>
+
+        {/* Wind arrow (points downwind); VRB shows a circle */}
+        {wind.direction === null ? (
+          <circle
+            cx="100"
+            cy="100"
+            r="40"
+            fill="none"
+            stroke="green"
+            strokeWidth="3"
+            strokeDasharray="8 6"
+          />
+        ) : (
+          <line
+            x1={100 + 60 * Math.sin(fromRad)}
+            y1={100 - 60 * Math.cos(fromRad)}
+            x2={100 - 30 * Math.sin(fromRad)}
+            y2={100 + 30 * Math.cos(fromRad)}
+            stroke="green"
+            strokeWidth="3"
+            markerEnd="url(#arrowhead)"
+          />
+        )}
 
         <defs>
           <marker
@@ -558,42 +901,43 @@ function CrosswindVisual({ wind }) {
 }
 
 export default function Dashboard() {
-  const ICAO = "KMGM";
+  const ICAO = requestedAirfield();
+  const initial = defaultStatus();
 
   // Weather
   const [metar, setMetar] = useState("");
   const [taf, setTaf] = useState("");
   const [parsed, setParsed] = useState({});
+  const [tafDecoded, setTafDecoded] = useState(null);
   const [cat, setCat] = useState("VFR");
-  const [fits, setFits] = useState({ level: "NORMAL", tempF: NaN });
-  const [altReq, setAltReq] = useState(false);
+  const [fits, setFits] = useState(computeFits(null, null));
+  const [fitsProjection, setFitsProjection] = useState([]);
+  const [hourly, setHourly] = useState([]);
+  const [wbgt, setWbgt] = useState("");
+  const [alternate, setAlternate] = useState(null);
+  const [alternates, setAlternates] = useState([]);
+  const [eta, setEta] = useState("");
+  const [altRule, setAltRule] = useState(DEFAULT_ALTERNATE_RULE);
   const [notams, setNotams] = useState([]);
+  const [notamFeed, setNotamFeed] = useState(null);
   const [lastUpdate, setLastUpdate] = useState(new Date());
-  const [crosswind, setCrosswind] = useState(null);
+  const [runwayWind, setRunwayWind] = useState(null);
+  const [aircraft, setAircraft] = useState(DEFAULT_AIRCRAFT);
+  const [runwayRec, setRunwayRec] = useState(null);
 
   // Persisted state
-  const [airfield, setAirfield] = useState({
-    activeRunway: "10",
-    rsc: "DRY",
-    rscNotes: "",
-    barriers: { east: "DOWN", west: "DOWN" },
-    arff: "GREEN",
-  });
-  const [navaids, setNavaids] = useState({
-    mgm: "IN",
-    mxf: "IN",
-    ils10: "IN",
-    ils28: "IN",
-  });
-  const [bash, setBash] = useState({
-    KMGM: "LOW",
-    KMXF: "LOW",
-    PHCR_MOA: "LOW",
-    BHM_MOA: "LOW",
-    VR060: "LOW",
-    VR1056: "LOW",
-    ShelbyRange: "LOW",
-  });
+  const [airfield, setAirfield] = useState(initial.airfield);
+  const [navaids, setNavaids] = useState(initial.navaids);
+  const [bash, setBash] = useState(initial.bash);
+  const [rscNotesDraft, setRscNotesDraft] = useState(null); // saved on blur or Enter
+
+  const [showHistory, setShowHistory] = useState(false);
+  const [showLogin, setShowLogin] = useState(false);
+
+  // Last server revision seen; writes are conditional on it
+  const revisionRef = useRef(null);
+  const saveQueue = useRef(Promise.resolve());
+  const [conflict, setConflict] = useState(null);
 
   // Burn-in jitter
   const [jitter, setJitter] = useState({ x: 0, y: 0 });
@@ -603,48 +947,142 @@ export default function Dashboard() {
       ? process.env.REACT_APP_API_URL
       : "https://one87oss-airfield-dashboard.onrender.com";
 
+  // Runways, NAVAIDs, barriers and BASH areas for this airfield
+  const { profile, error: profileError } = useAirfield(API, ICAO);
+  const params = { airfield: ICAO };
+
+  // Controls are enabled per the logged-in operator's role
+  const auth = useAuth(API);
+  const briefing = useBriefing(API, ICAO, auth);
+  const { can } = auth;
+
   // --- Fetch functions ---
   async function fetchMetarTaf() {
     try {
-      const m = await axios.get(`${API}/api/metar?icao=${ICAO}`);
-      const t = await axios.get(`${API}/api/taf?icao=${ICAO}`);
+      const m = await axios.get(`${API}/api/metar`, { params });
+      const t = await axios.get(`${API}/api/taf`, { params });
       setMetar(m.data.raw || "");
       setTaf(t.data.raw || "");
       setLastUpdate(new Date());
     } catch (err) {
       console.error("Fetch METAR/TAF error:", err);
     }
+    fetchAlternates();
+    fetchHourlyForecast();
+  }
+
+  // Hourly temperatures for the FITS projection
+  async function fetchHourlyForecast() {
+    try {
+      const f = await axios.get(`${API}/api/forecast/hourly`, { params });
+      setHourly(f.data?.periods || []);
+    } catch (err) {
+      console.error("Fetch hourly forecast error:", err);
+    }
+  }
+
+  // Candidate alternates are refreshed with the home-field weather
+  async function fetchAlternates() {
+    try {
+      const a = await axios.get(`${API}/api/alternates`, { params });
+      setAlternates(a.data?.candidates || []);
+    } catch (err) {
+      console.error("Fetch alternates error:", err);
+    }
   }
 
   async function fetchNotams() {
     try {
-      const n = await axios.get(`${API}/api/notams?icao=${ICAO}`);
+      const n = await axios.get(`${API}/api/notams`, { params });
       setNotams(n.data?.notams || []);
+      setNotamFeed(n.data?.feed || null);
     } catch (err) {
       console.error("Fetch NOTAM error:", err);
+      setNotamFeed((feed) => ({ ...feed, stale: true, error: { message: "Backend unreachable" } }));
     }
   }
 
-  async function fetchState() {
+  const applyState = useCallback((s) => {
+    if (s.airfield) setAirfield(s.airfield);
+    if (s.navaids) setNavaids(s.navaids);
+    if (s.bash) setBash(s.bash);
+    if (s.revision !== undefined) revisionRef.current = s.revision;
+  }, []);
+
+  const fetchState = useCallback(async () => {
     try {
-      const res = await axios.get(`${API}/api/state`);
-      const s = res.data;
-      if (s.airfield) setAirfield(s.airfield);
-      if (s.navaids) setNavaids(s.navaids);
-      if (s.bash) setBash(s.bash);
+      const res = await axios.get(`${API}/api/state`, { params: { airfield: ICAO } });
+      applyState(res.data);
     } catch (err) {
       console.error("❌ Failed to fetch state:", err.message);
     }
+  }, [API, ICAO, applyState]);
+
+  async function postState(patch) {
+    const headers = { ...liveHeaders, ...auth.headers };
+    if (revisionRef.current !== null) headers["If-Match"] = `"${revisionRef.current}"`;
+    const res = await axios.post(`${API}/api/state`, patch, { params, headers });
+    revisionRef.current = res.data.state.revision;
+    return res.data.state;
   }
 
-  async function saveState(updated) {
-    try {
-      await axios.post(`${API}/api/state`, updated);
-    } catch (err) {
-      console.error("❌ Failed to save state:", err.message);
-    }
+  // Only the fields this operator changed are sent, conditional on the last
+  // revision seen. Saves are queued so rapid edits each carry a fresh revision.
+  function saveState(updated) {
+    const base = { airfield, navaids, bash };
+    const mine = diffState(base, { ...base, ...updated });
+    if (mine.length === 0) return;
+
+    saveQueue.current = saveQueue.current.then(async () => {
+      try {
+        await postState(changesToPatch(mine));
+      } catch (err) {
+        if (err.response?.status === 409) {
+          const current = err.response.data.state;
+          applyState(current);
+          const theirs = diffState(base, {
+            airfield: current.airfield,
+            navaids: current.navaids,
+            bash: current.bash,
+          });
+          setConflict({ mine, theirs });
+          return;
+        }
+        console.error("❌ Failed to save state:", err.response?.data?.error || err.message);
+        // Roll back the local toggle to what the server actually holds
+        fetchState();
+      }
+    });
   }
 
+  function reapplyConflict() {
+    const { mine } = conflict;
+    setConflict(null);
+    saveQueue.current = saveQueue.current.then(async () => {
+      try {
+        applyState(await postState(changesToPatch(mine)));
+      } catch (err) {
+        console.error("❌ Failed to re-apply changes:", err.response?.data?.error || err.message);
+        fetchState();
+      }
+    });
+  }
+
+  // --- Live state push, polling only while the socket is down ---
+  const live = useLiveUpdates(
+    API,
+    (msg) => {
+      if (msg.type === "state") applyState(msg.payload || {});
+    },
+    ICAO
+  );
+
+  useEffect(() => {
+    if (live) return;
+    const stateTimer = setInterval(fetchState, 60 * 1000); // 1 min fallback
+    return () => clearInterval(stateTimer);
+  }, [live, fetchState]);
+
   // --- Auto refresh + jitter ---
   useEffect(() => {
     fetchMetarTaf();
@@ -653,7 +1091,6 @@ export default function Dashboard() {
 
     const wxTimer = setInterval(fetchMetarTaf, 5 * 60 * 1000);   // 5 min
     const notamTimer = setInterval(fetchNotams, 15 * 60 * 1000); // 15 min
-    const stateTimer = setInterval(fetchState, 5 * 60 * 1000);   // 5 min
 
     const jitterTimer = setInterval(() => {
       setJitter({
@@ -665,42 +1102,78 @@ export default function Dashboard() {
     return () => {
       clearInterval(wxTimer);
       clearInterval(notamTimer);
-      clearInterval(stateTimer);
       clearInterval(jitterTimer);
     };
   }, []);
 
   // --- Process METAR/TAF ---
   useEffect(() => {
-    const p = parseMetar(metar);
+    const obs = decodeMetar(metar);
+    const p = formatMetar(obs);
     setParsed(p);
+    const tafObs = decodeTaf(taf);
+    setTafDecoded(tafObs);
+
+    setCat(obs ? categorize(obs) : "VFR");
+
+    const wbgtF = wbgt.trim() ? parseFloat(wbgt) : null;
+    setFits(computeFits(obs?.temperature ?? null, obs?.dewpoint ?? null, wbgtF));
+    setFitsProjection(projectFits(hourly, tafObs, obs));
+
+    const etaTime = parseEta(eta);
+    setAlternate(
+      etaTime && profile
+        ? evaluateAlternate({
+            taf: tafObs,
+            observation: obs,
+            eta: etaTime,
+            runway: airfield.activeRunway,
+            navaids,
+            approaches: profile.approaches,
+            rule: altRule,
+          })
+        : null
+    );
 
-    const visMiles = parseVisibility(p.vis);
-    const ceilFt =
-      p.ceiling && /^(BKN|OVC)\d{3}/.test(p.ceiling)
-        ? parseInt(p.ceiling.match(/\d{3}/)[0]) * 100
-        : 99999;
-    setCat(flightCat(ceilFt, visMiles));
-
-    const tempMatch = p.tempdew?.match(/(M?\d{2})\/(M?\d{2})/);
-    if (tempMatch) {
-      const tC = parseInt(tempMatch[1].replace("M", "-"));
-      setFits(computeFits(tC));
-    }
-
-    let altNeeded = false;
-    if (
-      p.ceiling &&
-      /^(BKN|OVC)\d{3}/.test(p.ceiling) &&
-      ceilFt <= 1500 &&
-      visMiles < 3
-    ) {
-      altNeeded = true;
-    }
-    setAltReq(altNeeded);
+    setRunwayWind(profile && windComponents(obs?.wind, airfield.activeRunway, profile));
+    setRunwayRec(
+      obs?.wind && profile?.runways.length > 0
+        ? recommendRunway({
+            wind: obs.wind,
+            taf: tafObs,
+            navaids,
+            barriers: airfield.barriers,
+            rsc: airfield.rsc,
+            activeRunway: airfield.activeRunway,
+            aircraft,
+            airfield: profile,
+          })
+        : null
+    );
+  }, [
+    metar,
+    taf,
+    airfield.activeRunway,
+    airfield.barriers,
+    airfield.rsc,
+    navaids,
+    eta,
+    altRule,
+    aircraft,
+    hourly,
+    wbgt,
+    profile,
+  ]);
+
+  if (!profile) return <AirfieldLoading icao={ICAO} error={profileError} />;
+
+  const runwayIds = profile.runways.map((r) => r.id);
+  const windCheck = checkWindLimits(runwayWind, aircraft, rscToRcr(airfield.rsc));
+  const tailwindAlert =
+    runwayWind &&
+    windCheck.tailwindLimit !== null &&
+    runwayWind.worst.tailwind > windCheck.tailwindLimit;
 
-    setCrosswind(computeCrosswind(p.wind, airfield.activeRunway));
-  }, [metar, taf, airfield.activeRunway]);
   return (
     <div
       className="min-h-screen bg-slate-950 text-slate-100 p-4"
@@ -709,14 +1182,16 @@ export default function Dashboard() {
       {/* Header */}
       <header className="flex flex-col items-center mb-4 text-center relative">
   {/* Logo top-left */}
-  <img
-    src="/oss-patch.png"
-    alt="187th OSS Patch"
-    className="absolute top-0 left-0 w-20 h-20 md:w-28 md:h-28 object-contain m-2"
-  />
+  {profile.logo && (
+    <img
+      src={profile.logo}
+      alt={`${profile.unit} Patch`}
+      className="absolute top-0 left-0 w-20 h-20 md:w-28 md:h-28 object-contain m-2"
+    />
+  )}
 
   <h1 className="text-xl font-bold">
-    187th Operations Support Squadron — {ICAO} Dannelly Field
+    {profile.unit} — {ICAO} {profile.name}
   </h1>
   <p className="text-lg font-semibold">Airfield Dashboard</p>
 
@@ -729,14 +1204,16 @@ export default function Dashboard() {
           day: "2-digit",
           month: "short",
           year: "numeric",
+          timeZone: profile.timezone,
         })
         .toUpperCase()
         .replace(",", "")}{" "}
       {new Date()
-        .toLocaleTimeString([], {
+        .toLocaleTimeString("en-GB", {
           hour12: false,
           hour: "2-digit",
           minute: "2-digit",
+          timeZone: profile.timezone,
         })
         .replace(":", "")}
       L
@@ -783,9 +1260,35 @@ export default function Dashboard() {
           minute: "2-digit",
         })
         .replace(":", "")}
-      L
+      L{" "}
+      <span className={live ? "text-green-400" : "text-yellow-400"}>
+        {live ? "● LIVE" : "● POLLING"}
+      </span>
     </p>
 
+    {auth.user ? (
+      <span className="mr-2">
+        👤 {auth.user.username} ({auth.user.role}){" "}
+        {can("inventory") && (
+          <a
+            href={`#/admin/inventory?airfield=${ICAO}`}
+            className="mt-1 mr-2 px-3 py-1 bg-slate-700 rounded inline-block"
+          >
+            ⚙ Inventory
+          </a>
+        )}
+        <button onClick={auth.logout} className="mt-1 px-3 py-1 bg-slate-700 rounded">
+          Logout
+        </button>
+      </span>
+    ) : (
+      <button
+        onClick={() => setShowLogin(true)}
+        className="mt-1 mr-2 px-3 py-1 bg-slate-700 rounded"
+      >
+        🔑 Login
+      </button>
+    )}
     <button
       onClick={() => {
         fetchMetarTaf();
@@ -803,24 +1306,55 @@ export default function Dashboard() {
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-stretch">
         {/* Airfield Status */}
         <section className="border border-slate-700 rounded-lg p-3 flex flex-col h-[500px]">
-          <h2 className="text-lg font-bold underline mb-2">Airfield Status</h2>
+          <h2 className="text-lg font-bold underline mb-2 flex justify-between items-center">
+            Airfield Status
+            <button
+              onClick={() => setShowHistory(true)}
+              className="px-2 py-1 bg-slate-700 rounded text-sm"
+            >
+              🕑 History
+            </button>
+          </h2>
 
           {/* Active Runway */}
           <div className="mb-2">
             <p className="font-semibold">Active Runway</p>
             <button
-              className="px-3 py-1 rounded bg-green-600"
+              className="px-3 py-1 rounded bg-green-600 disabled:opacity-50"
+              disabled={!can("airfield.activeRunway")}
               onClick={() => {
-                const newAirfield = {
-                  ...airfield,
-                  activeRunway: airfield.activeRunway === "10" ? "28" : "10",
-                };
+                const next = (runwayIds.indexOf(airfield.activeRunway) + 1) % runwayIds.length;
+                const newAirfield = { ...airfield, activeRunway: runwayIds[next] };
                 setAirfield(newAirfield);
                 saveState({ airfield: newAirfield });
               }}
             >
               {airfield.activeRunway}
             </button>
+            {runwayRec && (
+              <span
+                className={`ml-2 text-sm ${
+                  runwayRec.change ? "text-yellow-400 font-bold" : "text-slate-400"
+                }`}
+              >
+                {runwayRec.change
+                  ? `Recommend RWY ${runwayRec.runway}`
+                  : `RWY ${runwayRec.runway} recommended`}
+              </span>
+            )}
+            {runwayRec && (
+              <ul className="text-xs text-slate-400 mt-1">
+                {runwayRec.reasons.map((r) => (
+                  <li key={r}>{r}</li>
+                ))}
+              </ul>
+            )}
+            {tailwindAlert && (
+              <p className="mt-1 px-2 py-1 rounded bg-red-600 text-sm font-bold">
+                ⚠ TAILWIND {runwayWind.worst.tailwind} KT on RWY {airfield.activeRunway} exceeds{" "}
+                {aircraft} limit {windCheck.tailwindLimit} KT
+              </p>
+            )}
           </div>
 
           {/* RSC */}
@@ -834,7 +1368,8 @@ export default function Dashboard() {
                     : airfield.rsc === "WET"
                     ? "bg-red-600"
                     : "bg-slate-700"
-                }`}
+                } disabled:opacity-50`}
+                disabled={!can("airfield.rsc")}
                 onClick={() => {
                   const newAirfield = {
                     ...airfield,
@@ -854,9 +1389,14 @@ export default function Dashboard() {
               <input
                 type="text"
                 placeholder="Notes"
-                value={airfield.rscNotes}
-                onChange={(e) => {
-                  const newAirfield = { ...airfield, rscNotes: e.target.value };
+                value={rscNotesDraft ?? airfield.rscNotes}
+                readOnly={!can("airfield.rscNotes")}
+                onChange={(e) => setRscNotesDraft(e.target.value)}
+                onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+                onBlur={() => {
+                  setRscNotesDraft(null);
+                  if (rscNotesDraft === null || rscNotesDraft === airfield.rscNotes) return;
+                  const newAirfield = { ...airfield, rscNotes: rscNotesDraft };
                   setAirfield(newAirfield);
                   saveState({ airfield: newAirfield });
                 }}
@@ -869,30 +1409,22 @@ export default function Dashboard() {
           <div className="mb-2">
             <p className="font-semibold">Barriers</p>
             <div className="flex gap-2 flex-wrap">
-              {["east", "west"].map((side) => (
+              {profile.barriers.map((item) => (
                 <button
-                  key={side}
-                  className={`px-2 py-1 rounded ${
-                    airfield.barriers[side] === "UNSERVICEABLE"
-                      ? "bg-red-600"
-                      : "bg-green-600"
-                  }`}
+                  key={item.id}
+                  className={`px-2 py-1 rounded ${statusColor(airfield.barriers[item.id])} disabled:opacity-50`}
+                  disabled={!can(`airfield.barriers.${item.id}`)}
                   onClick={() => {
                     const newBarriers = {
                       ...airfield.barriers,
-                      [side]:
-                        airfield.barriers[side] === "DOWN"
-                          ? "UP"
-                          : airfield.barriers[side] === "UP"
-                          ? "UNSERVICEABLE"
-                          : "DOWN",
+                      [item.id]: nextStatus(item, airfield.barriers[item.id]),
                     };
                     const newAirfield = { ...airfield, barriers: newBarriers };
                     setAirfield(newAirfield);
                     saveState({ airfield: newAirfield });
                   }}
                 >
-                  {side.toUpperCase()} BAK-12 {airfield.barriers[side]}
+                  {item.name.toUpperCase()} {airfield.barriers[item.id]}
                 </button>
               ))}
             </div>
@@ -902,30 +1434,18 @@ export default function Dashboard() {
           <div className="mb-2">
             <p className="font-semibold">NAVAIDs</p>
             <div className="flex gap-2 flex-wrap">
-              {Object.keys(navaids).map((n) => (
+              {profile.navaids.map((item) => (
                 <button
-                  key={n}
-                  className={`px-2 py-1 rounded ${
-                    navaids[n] === "IN" ? "bg-green-600" : "bg-red-600"
-                  }`}
+                  key={item.id}
+                  className={`px-2 py-1 rounded ${statusColor(navaids[item.id])} disabled:opacity-50`}
+                  disabled={!can(`navaids.${item.id}`)}
                   onClick={() => {
-                    const updated = {
-                      ...navaids,
-                      [n]: navaids[n] === "IN" ? "OUT" : "IN",
-                    };
+                    const updated = { ...navaids, [item.id]: nextStatus(item, navaids[item.id]) };
                     setNavaids(updated);
                     saveState({ navaids: updated });
                   }}
                 >
-                  {n === "mgm"
-                    ? "MGM TACAN"
-                    : n === "mxf"
-                    ? "MXF TACAN"
-                    : n === "ils10"
-                    ? "ILS 10"
-                    : n === "ils28"
-                    ? "ILS 28"
-                    : n.toUpperCase()}
+                  {item.name}
                 </button>
               ))}
             </div>
@@ -941,7 +1461,8 @@ export default function Dashboard() {
                   : airfield.arff === "YELLOW"
                   ? "bg-yellow-500"
                   : "bg-red-600"
-              }`}
+              } disabled:opacity-50`}
+              disabled={!can("airfield.arff")}
               onClick={() => {
                 const newAirfield = {
                   ...airfield,
@@ -978,23 +1499,65 @@ export default function Dashboard() {
     >
       {cat}
     </span>
-    {altReq && (
+    {alternate?.required && (
       <span className="px-3 py-1 rounded-full text-lg font-bold bg-red-600">
         ⚠ ALT REQ
       </span>
     )}
   </div>
 
+  {/* Alternate requirement at ETA ±1h */}
+  <div className="flex items-center gap-2 text-xs mb-1">
+    <label className="text-slate-400">ETA</label>
+    <input
+      type="text"
+      value={eta}
+      placeholder="now"
+      onChange={(e) => setEta(e.target.value.toUpperCase())}
+      className={`w-16 px-1 rounded bg-slate-900 border ${
+        parseEta(eta) ? "border-slate-600" : "border-red-600"
+      }`}
+    />
+    <span className="text-slate-400">Z</span>
+    <select
+      value={altRule}
+      onChange={(e) => setAltRule(e.target.value)}
+      className="px-1 rounded bg-slate-900 border border-slate-600"
+    >
+      {Object.keys(ALTERNATE_RULES).map((r) => (
+        <option key={r} value={r}>
+          {r}
+        </option>
+      ))}
+    </select>
+    {alternate?.approach && (
+      <span className="text-slate-400">
+        Lowest: {alternate.approach.name} ({alternate.approach.ceiling}/{alternate.approach.visibility})
+      </span>
+    )}
+  </div>
+  {alternate?.reasons.length > 0 && (
+    <ul className="text-xs text-red-400 mb-1">
+      {alternate.reasons.map((r) => (
+        <li key={r.rule}>⚠ {r.message}</li>
+      ))}
+    </ul>
+  )}
+  {alternate?.required && <AlternatePanel candidates={alternates} eta={parseEta(eta)} />}
+
   {/* Crosswind diagram (mini, top-right) */}
-<CrosswindVisual wind={parsed.wind} runway={airfield.activeRunway} />
+<CrosswindVisual wind={runwayWind} runway={airfield.activeRunway} airfield={profile} />
 
 {/* Shift text down so it clears the icon */}
 <div className="grid grid-cols-2 gap-2 text-sm mb-2 mt-16">
   <div>Winds: {parsed.wind}</div>
   <div>Vis: {parsed.vis}</div>
   <div>Ceiling: {parsed.ceiling}</div>
+  <div>Sky: {parsed.sky}</div>
   <div>Altimeter: {parsed.altimeter}</div>
   <div>Temp/Dew: {parsed.tempdew}</div>
+  <div>Wx: {parsed.weather}</div>
+  {parsed.rvr && <div>RVR: {parsed.rvr}</div>}
   <div>
     FITS:{" "}
     <span
@@ -1008,12 +1571,76 @@ export default function Dashboard() {
           : "text-red-600"
       }`}
     >
-      {fits.level}{" "}
-      {Number.isFinite(fits.tempF) && `(${fits.tempF} °F Dry Bulb)`}
+      {Number.isFinite(fits.value) && `${fits.value} `}{fits.level}
     </span>
+    {Number.isFinite(fits.tempF) && (
+      <span className="ml-1 text-slate-400">
+        ({fits.tempF}/{fits.dewF ?? "--"} °F)
+      </span>
+    )}
+    {fits.wbgt && (
+      <span className="ml-1">
+        · WBGT {fits.wbgt.value} {fits.wbgt.flag}
+      </span>
+    )}
+  </div>
+  <div>
+    WBGT:{" "}
+    <input
+      type="text"
+      inputMode="decimal"
+      value={wbgt}
+      placeholder="°F"
+      onChange={(e) => setWbgt(e.target.value)}
+      className={`w-14 px-1 rounded bg-slate-900 border text-xs ${
+        !wbgt.trim() || Number.isFinite(parseFloat(wbgt)) ? "border-slate-600" : "border-red-600"
+      }`}
+    />
   </div>
 </div>
 
+  {/* Wind limits for the active runway */}
+  <div className="flex items-center gap-2 text-xs mb-1">
+    <label className="text-slate-400">Acft</label>
+    <select
+      value={aircraft}
+      onChange={(e) => setAircraft(e.target.value)}
+      className="px-1 rounded bg-slate-900 border border-slate-600"
+    >
+      {Object.keys(AIRCRAFT_LIMITS).map((a) => (
+        <option key={a} value={a}>
+          {a}
+        </option>
+      ))}
+    </select>
+    {windCheck.crosswindLimit !== null && (
+      <span className="text-slate-400">
+        XW limit {windCheck.crosswindLimit} KT (RSC {airfield.rsc}) · TW limit{" "}
+        {windCheck.tailwindLimit} KT
+      </span>
+    )}
+    {runwayWind?.variable && (
+      <span className="text-slate-400">
+        worst XW {runwayWind.worst.crosswind} / TW {runwayWind.worst.tailwind} KT
+      </span>
+    )}
+  </div>
+  {windCheck.warnings.length > 0 && (
+    <ul className="text-xs mb-1">
+      {windCheck.warnings.map((w) => (
+        <li
+          key={w.message}
+          className={w.level === "warning" ? "text-red-400 font-bold" : "text-yellow-400"}
+        >
+          ⚠ {w.message}
+        </li>
+      ))}
+    </ul>
+  )}
+
+
+  <TafTimeline taf={tafDecoded} />
+  <FitsTimeline projection={fitsProjection} />
 
   <div className="mt-2 flex-1 overflow-y-auto">
     <p className="text-xs text-slate-400">Raw METAR</p>
@@ -1030,21 +1657,8 @@ export default function Dashboard() {
 
         {/* NOTAMs */}
         <section className="border border-slate-700 rounded-lg p-3 flex flex-col h-[500px]">
-          <h2 className="text-lg font-bold underline mb-2">KMGM NOTAMs</h2>
-          {notams.length > 0 ? (
-            <ul className="space-y-2 text-sm flex-1 overflow-y-auto">
-              {notams.map((n) => (
-                <li
-                  key={n.id}
-                  className="p-2 rounded border border-slate-700 bg-slate-900"
-                >
-                  <pre className="font-mono whitespace-pre-wrap">{n.text}</pre>
-                </li> 
-              ))}
-            </ul>
-          ) : (
-            <p className="text-sm text-slate-400">No NOTAMs available.</p>
-          )}
+          <h2 className="text-lg font-bold underline mb-2">{ICAO} NOTAMs</h2>
+          <NotamList notams={notams} feed={notamFeed} briefing={briefing} />
         </section>
       </div>
 
@@ -1054,42 +1668,43 @@ export default function Dashboard() {
         <section className="border border-slate-700 rounded-lg p-3 flex flex-col h-[500px] md:col-span-1">
           <h2 className="text-lg font-bold underline mb-2">BASH Forecast</h2>
           <div className="flex flex-col gap-2">
-            {Object.keys(bash).map((loc) => (
+            {profile.bashAreas.map((item) => (
               <button
-                key={loc}
-                className={`px-3 py-1 rounded font-bold ${
-                  bash[loc] === "LOW"
-                    ? "bg-green-600"
-                    : bash[loc] === "MODERATE"
-                    ? "bg-yellow-500 text-black"
-                    : bash[loc] === "SEVERE"
-                    ? "bg-red-600"
-                    : "bg-slate-700"
-                }`}
+                key={item.id}
+                className={`px-3 py-1 rounded font-bold ${statusColor(bash[item.id])} disabled:opacity-50`}
+                disabled={!can(`bash.${item.id}`)}
                 onClick={() => {
-                  const newLevel =
-                    bash[loc] === "LOW"
-                      ? "MODERATE"
-                      : bash[loc] === "MODERATE"
-                      ? "SEVERE"
-                      : bash[loc] === "SEVERE"
-                      ? "N/A"
-                      : "LOW";
-
-                  const updated = { ...bash, [loc]: newLevel };
+                  const updated = { ...bash, [item.id]: nextStatus(item, bash[item.id]) };
                   setBash(updated);
                   saveState({ bash: updated });
                 }}
               >
-                {loc}: {bash[loc]}
+                {item.name}: {bash[item.id]}
               </button>
             ))}
           </div>
         </section>
 
         {/* Airfield Slides */}
-        <SlidesCard />
+        <SlidesCard
+          airfield={ICAO}
+          canAnnotate={can("annotations")}
+          canManage={can("slides")}
+          authHeaders={auth.headers}
+        />
       </div>
+
+      {conflict && (
+        <ConflictModal
+          conflict={conflict}
+          onReapply={reapplyConflict}
+          onDiscard={() => setConflict(null)}
+        />
+      )}
+      {showLogin && <LoginModal onLogin={auth.login} onClose={() => setShowLogin(false)} />}
+      {showHistory && (
+        <HistoryDrawer API={API} airfield={ICAO} onClose={() => setShowHistory(false)} />
+      )}
     </div>
   );
 }
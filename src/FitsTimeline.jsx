@@ -0,0 +1,35 @@
+const LEVEL_COLORS = {
+  NORMAL: "bg-green-600",
+  CAUTION: "bg-yellow-400",
+  DANGER: "bg-orange-500",
+  CANCEL: "bg-red-600",
+};
+
+// --- FITS Timeline ---
+// One cell per hour of projected FITS (see projectFits in lib/fits).
+export default function FitsTimeline({ projection }) {
+  if (!projection?.length) return null;
+
+  return (
+    <div className="mb-2">
+      <p className="text-xs text-slate-400">FITS Projection (next {projection.length}h)</p>
+      <div className="flex w-full gap-px">
+        {projection.map((h) => {
+          const hourZ = String(h.time.getUTCHours()).padStart(2, "0");
+          return (
+            <div
+              key={h.time.toISOString()}
+              className="flex-1 flex flex-col"
+              title={`${hourZ}00Z FITS ${h.value} ${h.level}`}
+            >
+              <div className={`h-3 ${LEVEL_COLORS[h.level]}`} />
+              <span className="text-[10px] text-slate-400 leading-none">
+                {h.time.getUTCHours() % 6 === 0 ? `${hourZ}Z` : ""}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,199 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { useAuth } from "./lib/auth";
+import { requestedAirfield, useAirfield } from "./lib/airfield";
+import { INVENTORY_KINDS } from "./lib/inventory";
+import AirfieldLoading from "./AirfieldLoading";
+
+// --- Inventory admin ---
+// Add, remove and rename an airfield's NAVAIDs, barriers and BASH areas.
+// Ids are the state keys, so they can only be set when an item is added;
+// statuses are edited as a comma-separated list, default first.
+
+const toDraft = (profile) =>
+  Object.fromEntries(
+    Object.keys(INVENTORY_KINDS).map((kind) => [
+      kind,
+      profile[kind].map((item) => ({ ...item, statuses: item.statuses.join(", "), saved: true })),
+    ])
+  );
+
+const fromDraft = (draft) =>
+  Object.fromEntries(
+    Object.entries(draft).map(([kind, items]) => [
+      kind,
+      items.map(({ id, name, type, statuses }) => ({
+        id: id.trim(),
+        name,
+        type,
+        statuses: statuses
+          .split(",")
+          .map((v) => v.trim().toUpperCase())
+          .filter(Boolean),
+      })),
+    ])
+  );
+
+function InventorySection({ kind, items, onChange }) {
+  const { label, types, type, statuses } = INVENTORY_KINDS[kind];
+
+  const update = (i, patch) =>
+    onChange(items.map((item, j) => (j === i ? { ...item, ...patch } : item)));
+  const remove = (i) => onChange(items.filter((_, j) => j !== i));
+  const add = () => onChange([...items, { id: "", name: "", type, statuses: statuses.join(", ") }]);
+
+  return (
+    <section className="border border-slate-700 rounded-lg p-3 mb-4">
+      <h2 className="text-lg font-bold underline mb-2">{label}</h2>
+      <datalist id={`${kind}-types`}>
+        {types.map((t) => (
+          <option key={t} value={t} />
+        ))}
+      </datalist>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-slate-400">
+            <th className="p-1">Id</th>
+            <th className="p-1">Display Name</th>
+            <th className="p-1">Type</th>
+            <th className="p-1">Statuses (default first)</th>
+            <th className="p-1" />
+          </tr>
+        </thead>
+        <tbody>
+          {items.map((item, i) => (
+            <tr key={i}>
+              <td className="p-1">
+                <input
+                  value={item.id}
+                  readOnly={item.saved}
+                  onChange={(e) => update(i, { id: e.target.value })}
+                  className="w-28 px-2 py-1 rounded bg-slate-900 border border-slate-600 read-only:opacity-60"
+                />
+              </td>
+              <td className="p-1">
+                <input
+                  value={item.name}
+                  onChange={(e) => update(i, { name: e.target.value })}
+                  className="w-full px-2 py-1 rounded bg-slate-900 border border-slate-600"
+                />
+              </td>
+              <td className="p-1">
+                <input
+                  value={item.type}
+                  list={`${kind}-types`}
+                  onChange={(e) => update(i, { type: e.target.value })}
+                  className="w-28 px-2 py-1 rounded bg-slate-900 border border-slate-600"
+                />
+              </td>
+              <td className="p-1">
+                <input
+                  value={item.statuses}
+                  onChange={(e) => update(i, { statuses: e.target.value })}
+                  className="w-full px-2 py-1 rounded bg-slate-900 border border-slate-600 font-mono"
+                />
+              </td>
+              <td className="p-1 text-right">
+                <button onClick={() => remove(i)} className="px-2 py-1 bg-red-700 rounded">
+                  ✕
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button onClick={add} className="mt-2 px-3 py-1 bg-slate-700 rounded text-sm">
+        ＋ Add
+      </button>
+    </section>
+  );
+}
+
+export default function InventoryAdmin() {
+  const ICAO = requestedAirfield();
+
+  const API =
+    (typeof process !== "undefined" && process.env?.REACT_APP_API_URL)
+      ? process.env.REACT_APP_API_URL
+      : "https://one87oss-airfield-dashboard.onrender.com";
+
+  const auth = useAuth(API);
+  const { profile, error: profileError } = useAirfield(API, ICAO);
+  const [draft, setDraft] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [status, setStatus] = useState("");
+
+  // Start over from the server copy whenever it changes
+  useEffect(() => setDraft(profile && toDraft(profile)), [profile]);
+
+  async function save() {
+    setStatus("");
+    setErrors([]);
+    try {
+      const res = await axios.put(`${API}/api/airfield/inventory`, fromDraft(draft), {
+        params: { airfield: ICAO },
+        headers: auth.headers,
+      });
+      setDraft(toDraft(res.data.airfield));
+      setStatus("✅ Saved");
+    } catch (err) {
+      const message = err.response?.data?.error || err.message;
+      setErrors(err.response?.data?.errors || [{ field: "", message }]);
+    }
+  }
+
+  if (!profile || !draft) return <AirfieldLoading icao={ICAO} error={profileError} />;
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-slate-100 p-4 max-w-4xl mx-auto">
+      <header className="flex justify-between items-center mb-4">
+        <h1 className="text-xl font-bold">
+          {ICAO} {profile.name} — Inventory
+        </h1>
+        <a href={`#/?airfield=${ICAO}`} className="px-3 py-1 bg-slate-700 rounded text-sm">
+          ← Dashboard
+        </a>
+      </header>
+
+      {!auth.can("inventory") ? (
+        <p className="text-slate-400">
+          Log in on the dashboard with an AMOPS account to edit the inventory.
+        </p>
+      ) : (
+        <>
+          {Object.keys(INVENTORY_KINDS).map((kind) => (
+            <InventorySection
+              key={kind}
+              kind={kind}
+              items={draft[kind]}
+              onChange={(items) => setDraft({ ...draft, [kind]: items })}
+            />
+          ))}
+
+          {errors.length > 0 && (
+            <ul className="mb-2 text-sm text-red-500">
+              {errors.map((e, i) => (
+                <li key={i}>
+                  {e.field && <span className="font-mono">{e.field}: </span>}
+                  {e.message}
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="flex items-center gap-2">
+            <button onClick={save} className="px-3 py-1 bg-blue-600 hover:bg-blue-500 rounded">
+              💾 Save
+            </button>
+            <button onClick={() => setDraft(toDraft(profile))} className="px-3 py-1 bg-slate-700 rounded">
+              Reset
+            </button>
+            {status && <span className="text-sm text-green-400">{status}</span>}
+            <span className="text-xs text-slate-400">
+              Removed items and statuses no longer allowed reset on save.
+            </span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
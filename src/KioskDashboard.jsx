@@ -1,11 +1,8 @@
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
 import axios from "axios";
 import { 
   Stage, 
   Layer, 
-  Rect, 
-  Arrow, 
-  Text as KText, 
   Group, 
   Label, 
   Tag, 
@@ -13,81 +10,37 @@ import {
   Transformer
 } from "react-konva";
 import { v4 as uuidv4 } from "uuid";
+import { useLiveUpdates } from "./lib/liveUpdates";
+import {
+  useSlidePages,
+  loadSlideImage,
+  scheduledSlides,
+  requestedDisplay,
+} from "./lib/slides";
+import { annotationView } from "./lib/annotations";
+import AnnotationShape from "./AnnotationShape";
+import { decodeMetar, formatMetar } from "./lib/metar";
+import { decodeTaf, highlightTaf } from "./lib/taf";
+import { categorize } from "./lib/flightCategory";
+import { evaluateAlternate } from "./lib/alternate";
+import { computeFits, projectFits } from "./lib/fits";
+import {
+  requestedAirfield,
+  defaultStatus,
+  useAirfield,
+} from "./lib/airfield";
+import { statusColor } from "./lib/inventory";
+import TafTimeline from "./TafTimeline";
+import FitsTimeline from "./FitsTimeline";
+import AlternatePanel from "./AlternatePanel";
+import NotamList from "./NotamList";
+import AirfieldLoading from "./AirfieldLoading";
 
 // --- Disable actions in kiosk mode ---
 const noop = () => {};
 
-// --- Helpers ---
-function highlightTaf(rawTaf) {
-  if (!rawTaf) return "--";
-
-  return rawTaf
-    .replace(/(BKN|OVC)(\d{3})/g, (match, layer, height) => {
-      const h = parseInt(height, 10) * 100;
-      if (h <= 1500) {
-        return `<span class="font-bold text-red-500">${layer}${height}</span>`;
-      }
-      return match;
-    })
-    .replace(/(\d{1,2}(?: \d\/\d)?SM)/g, (m) => {
-      const miles = parseVisibility(m);
-      if (!isNaN(miles) && miles < 3) {
-        return `<span class="font-bold text-red-500">${m}</span>`;
-      }
-      return m;
-    });
-}
-
-function parseMetar(raw) {
-  if (!raw) return {};
-  const wind = raw.match(/(\d{3}|VRB)(\d{2})(G\d{2})?KT/);
-  const vis = raw.match(/(\d{1,2}(?: \d\/\d)?SM)/);
-  const alt = raw.match(/A(\d{4})/);
-  const temp = raw.match(/ (M?\d{2})\/(M?\d{2}) /);
-  const ceiling = raw.match(/ (FEW|SCT|BKN|OVC)(\d{3})/);
-
-  return {
-    wind: wind ? wind[0] : "--",
-    vis: vis ? vis[1] : "--",
-    altimeter: alt ? `A${alt[1]}` : "--",
-    tempdew: temp ? temp[0].trim() : "--",
-    ceiling: ceiling ? `${ceiling[1]}${ceiling[2]}` : "SKC",
-  };
-}
-
-function parseVisibility(visStr) {
-  if (!visStr) return NaN;
-  const parts = visStr.replace("SM", "").trim().split(" ");
-  let total = 0;
-  for (const part of parts) {
-    if (part.includes("/")) {
-      const [num, denom] = part.split("/").map(Number);
-      total += num / denom;
-    } else {
-      total += Number(part);
-    }
-  }
-  return total;
-}
-
-function flightCat(ceiling, vis) {
-  if (ceiling < 500 || vis < 1) return "LIFR";
-  if (ceiling < 1000 || vis < 3) return "IFR";
-  if (ceiling < 3000 || vis < 5) return "MVFR";
-  return "VFR";
-}
-
-function computeFits(tempC) {
-  const tempF = (tempC * 9) / 5 + 32;
-  let level = "NORMAL";
-  if (tempF >= 90 && tempF <= 101) level = "CAUTION";
-  else if (tempF >= 102 && tempF <= 114) level = "DANGER";
-  else if (tempF >= 115) level = "CANCEL";
-
-  return { level, tempF: Math.round(tempF) };
-}
 // --- SlidesCard (Kiosk Read-Only) ---
-function SlidesCard() {
+function SlidesCard({ airfield }) {
   const [slides, setSlides] = useState([]);
   const [currentSlide, setCurrentSlide] = useState(0);
   const [annotations, setAnnotations] = useState({});
@@ -99,35 +52,73 @@ function SlidesCard() {
     (typeof process !== "undefined" && process.env?.REACT_APP_API_URL)
       ? process.env.REACT_APP_API_URL
       : "https://airfield-dashboard.onrender.com";
+  // This kiosk's schedule (?display=, default "kiosk"), re-checked each minute
+  const [now, setNow] = useState(new Date());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+  const pages = useSlidePages(API, airfield, scheduledSlides(slides, requestedDisplay("kiosk"), now));
+  const slide = pages[currentSlide];
+
+  // Live annotation changes
+  const live = useLiveUpdates(
+    API,
+    (msg) => {
+      if (msg.type === "annotations") setAnnotations(msg.payload?.slides || {});
+      if (msg.type === "slides") setSlides(msg.payload || []);
+    },
+    airfield
+  );
 
-  // Load slides + annotations
+  // Load slides + annotations, again on reconnect to catch missed pushes
   useEffect(() => {
-    axios.get(`${API}/api/slides`).then((res) => setSlides(res.data));
-    axios.get(`${API}/api/annotations`).then((res) =>
-      setAnnotations(res.data.slides || {})
-    );
-  }, [API]);
+    // A failed fetch keeps what is on screen until the next reconnect
+    const params = { airfield };
+    axios
+      .get(`${API}/api/slides`, { params })
+      .then((res) => setSlides(res.data))
+      .catch((err) => console.error("❌ Failed to fetch slides:", err.message));
+    axios
+      .get(`${API}/api/annotations`, { params })
+      .then((res) => setAnnotations(res.data.slides || {}))
+      .catch((err) => console.error("❌ Failed to fetch annotations:", err.message));
+  }, [API, airfield, live]);
+
+  // Keep the current slide in range when slides are deleted
+  useEffect(() => {
+    setCurrentSlide((s) => (s >= pages.length ? Math.max(0, pages.length - 1) : s));
+  }, [pages.length]);
 
-  // Load image
+  // Load image (or render the PDF page)
+  const slideFile = slide?.file;
+  const slidePage = slide?.page;
   useEffect(() => {
-    if (!slides[currentSlide]) return;
-    const img = new window.Image();
-    img.src = `${API}/slides/${slides[currentSlide]}`;
-    img.onload = () => setImageObj(img);
-  }, [slides, currentSlide]);
+    if (!slideFile) return;
+    let cancelled = false;
+    loadSlideImage(API, airfield, { file: slideFile, page: slidePage })
+      .then((img) => !cancelled && setImageObj(img))
+      .catch((err) => {
+        console.error("❌ Failed to load slide:", err.message);
+        if (!cancelled) setImageObj(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [API, airfield, slideFile, slidePage]);
 
-  // Auto-play
+  // Auto-play, each slide for its own duration
   useEffect(() => {
-    if (isPlaying && slides.length > 0) {
-      const interval = setInterval(
-        () => setCurrentSlide((s) => (s + 1) % slides.length),
-        5000
+    if (isPlaying && pages.length > 0) {
+      const timer = setTimeout(
+        () => setCurrentSlide((s) => (s + 1) % pages.length),
+        (slide?.duration || 5) * 1000
       );
-      return () => clearInterval(interval);
+      return () => clearTimeout(timer);
     }
-  }, [isPlaying, slides.length]);
+  }, [isPlaying, currentSlide, pages.length, slide?.duration]);
 
-  if (slides.length === 0) {
+  if (pages.length === 0) {
     return (
       <section className="border border-slate-700 rounded-lg p-3 flex flex-col h-[500px] md:col-span-2">
         <h2 className="text-lg font-bold underline mb-2">Airfield Slides</h2>
@@ -136,8 +127,10 @@ function SlidesCard() {
     );
   }
 
-  const file = slides[currentSlide];
-  const slideKey = file || "unknown";
+  const file = slide?.file;
+  const slideKey = slide?.key || "unknown";
+  // the slide is drawn 800px wide; annotations are in its image pixels
+  const view = imageObj && annotationView(imageObj, 0, 0, 800 / imageObj.width);
 
   const SlideContainer = ({ children }) =>
     isFullscreen ? (
@@ -187,54 +180,9 @@ function SlidesCard() {
               />
 
               {/* Existing annotations (read-only) */}
-              {annotations[slideKey]?.map((a) => {
-                if (a.type === "box") {
-                  return (
-                    <Rect
-                      key={a._id}
-                      x={a.x}
-                      y={a.y}
-                      width={a.w}
-                      height={a.h}
-                      stroke="red"
-                    />
-                  );
-                } else if (a.type === "x") {
-                  return (
-                    <KText
-                      key={a._id}
-                      x={a.x}
-                      y={a.y}
-                      text="X"
-                      fontSize={32}
-                      fill="red"
-                    />
-                  );
-                } else if (a.type === "arrow") {
-                  return (
-                    <Arrow
-                      key={a._id}
-                      points={[a.x1, a.y1, a.x2, a.y2]}
-                      stroke="green"
-                      strokeWidth={4}
-                      pointerLength={10}
-                      pointerWidth={10}
-                    />
-                  );
-                } else if (a.type === "text") {
-                  return (
-                    <KText
-                      key={a._id}
-                      x={a.x}
-                      y={a.y}
-                      text={a.text}
-                      fontSize={16}
-                      fill="white"
-                    />
-                  );
-                }
-                return null;
-              })}
+              {annotations[slideKey]?.map((a) => (
+                <AnnotationShape key={a._id} annotation={view.inImage(a)} view={view} listening={false} />
+              ))}
             </Layer>
           </Stage>
         </SlideContainer>
@@ -246,14 +194,14 @@ function SlidesCard() {
       <div className="flex flex-wrap justify-center gap-2 mt-3">
         <button
           onClick={() =>
-            setCurrentSlide((s) => (s - 1 + slides.length) % slides.length)
+            setCurrentSlide((s) => (s - 1 + pages.length) % pages.length)
           }
           className="px-3 py-1 bg-slate-700 rounded"
         >
           ⏮ Prev
         </button>
         <button
-          onClick={() => setCurrentSlide((s) => (s + 1) % slides.length)}
+          onClick={() => setCurrentSlide((s) => (s + 1) % pages.length)}
           className="px-3 py-1 bg-slate-700 rounded"
         >
           ⏭ Next
@@ -275,80 +223,112 @@ function SlidesCard() {
   );
 }
 export default function KioskDashboard() {
-  const ICAO = "KMGM";
+  const ICAO = requestedAirfield();
+  const initial = defaultStatus();
 
   // Weather
   const [metar, setMetar] = useState("");
   const [taf, setTaf] = useState("");
   const [parsed, setParsed] = useState({});
+  const [tafDecoded, setTafDecoded] = useState(null);
   const [cat, setCat] = useState("VFR");
-  const [fits, setFits] = useState({ level: "NORMAL", tempF: NaN });
-  const [altReq, setAltReq] = useState(false);
+  const [fits, setFits] = useState(computeFits(null, null));
+  const [fitsProjection, setFitsProjection] = useState([]);
+  const [hourly, setHourly] = useState([]);
+  const [alternate, setAlternate] = useState(null);
+  const [alternates, setAlternates] = useState([]);
   const [notams, setNotams] = useState([]);
+  const [notamFeed, setNotamFeed] = useState(null);
   const [lastUpdate, setLastUpdate] = useState(new Date());
 
   // Persisted state (read only)
-  const [airfield, setAirfield] = useState({
-    activeRunway: "10",
-    rsc: "DRY",
-    rscNotes: "",
-    barriers: { east: "DOWN", west: "DOWN" },
-    arff: "GREEN",
-  });
-  const [navaids, setNavaids] = useState({
-    mgm: "IN",
-    mxf: "IN",
-    ils10: "IN",
-    ils28: "IN",
-  });
-  const [bash, setBash] = useState({
-    KMGM: "LOW",
-    KMXF: "LOW",
-    PHCR_MOA: "LOW",
-    BHM_MOA: "LOW",
-    VR060: "LOW",
-    VR1056: "LOW",
-    ShelbyRange: "LOW",
-  });
+  const [airfield, setAirfield] = useState(initial.airfield);
+  const [navaids, setNavaids] = useState(initial.navaids);
+  const [bash, setBash] = useState(initial.bash);
 
   const API =
     (typeof process !== "undefined" && process.env?.REACT_APP_API_URL)
       ? process.env.REACT_APP_API_URL
       : "https://airfield-dashboard.onrender.com";
 
+  const { profile, error: profileError } = useAirfield(API, ICAO);
+  const params = { airfield: ICAO };
+
   // Fetch functions
   async function fetchMetarTaf() {
     try {
-      const m = await axios.get(`${API}/api/metar?icao=${ICAO}`);
-      const t = await axios.get(`${API}/api/taf?icao=${ICAO}`);
+      const m = await axios.get(`${API}/api/metar`, { params });
+      const t = await axios.get(`${API}/api/taf`, { params });
       setMetar(m.data.raw || "");
       setTaf(t.data.raw || "");
       setLastUpdate(new Date());
     } catch (err) {
       console.error("Fetch METAR/TAF error:", err);
     }
+    fetchAlternates();
+    fetchHourlyForecast();
+  }
+
+  // Hourly temperatures for the FITS projection
+  async function fetchHourlyForecast() {
+    try {
+      const f = await axios.get(`${API}/api/forecast/hourly`, { params });
+      setHourly(f.data?.periods || []);
+    } catch (err) {
+      console.error("Fetch hourly forecast error:", err);
+    }
+  }
+
+  // Candidate alternates are refreshed with the home-field weather
+  async function fetchAlternates() {
+    try {
+      const a = await axios.get(`${API}/api/alternates`, { params });
+      setAlternates(a.data?.candidates || []);
+    } catch (err) {
+      console.error("Fetch alternates error:", err);
+    }
   }
 
   async function fetchNotams() {
     try {
-      const n = await axios.get(`${API}/api/notams?icao=${ICAO}`);
+      const n = await axios.get(`${API}/api/notams`, { params });
       setNotams(n.data?.notams || []);
+      setNotamFeed(n.data?.feed || null);
     } catch (err) {
       console.error("Fetch NOTAM error:", err);
+      setNotamFeed((feed) => ({ ...feed, stale: true, error: { message: "Backend unreachable" } }));
     }
   }
 
-  async function fetchState() {
+  const applyState = useCallback((s) => {
+    if (s.airfield) setAirfield(s.airfield);
+    if (s.navaids) setNavaids(s.navaids);
+    if (s.bash) setBash(s.bash);
+  }, []);
+
+  const fetchState = useCallback(async () => {
     try {
-      const res = await axios.get(`${API}/api/state`);
-      const s = res.data;
-      if (s.airfield) setAirfield(s.airfield);
-      if (s.navaids) setNavaids(s.navaids);
-      if (s.bash) setBash(s.bash);
+      const res = await axios.get(`${API}/api/state`, { params: { airfield: ICAO } });
+      applyState(res.data);
     } catch (err) {
       console.error("❌ Failed to fetch state:", err.message);
     }
-  }
+  }, [API, ICAO, applyState]);
+
+  // Live state push, polling only while the socket is down
+  const live = useLiveUpdates(
+    API,
+    (msg) => {
+      if (msg.type === "state") applyState(msg.payload || {});
+    },
+    ICAO
+  );
+
+  useEffect(() => {
+    if (live) return;
+    const stateTimer = setInterval(fetchState, 60 * 1000);
+    return () => clearInterval(stateTimer);
+  }, [live, fetchState]);
 
   // Auto refresh
   useEffect(() => {
@@ -358,57 +338,56 @@ export default function KioskDashboard() {
 
     const wxTimer = setInterval(fetchMetarTaf, 5 * 60 * 1000);
     const notamTimer = setInterval(fetchNotams, 15 * 60 * 1000);
-    const stateTimer = setInterval(fetchState, 5 * 60 * 1000);
 
     return () => {
       clearInterval(wxTimer);
       clearInterval(notamTimer);
-      clearInterval(stateTimer);
     };
   }, []);
 
   // Process METAR/TAF
   useEffect(() => {
-    const p = parseMetar(metar);
+    const obs = decodeMetar(metar);
+    const p = formatMetar(obs);
     setParsed(p);
+    const tafObs = decodeTaf(taf);
+    setTafDecoded(tafObs);
+
+    setCat(obs ? categorize(obs) : "VFR");
+
+    setFits(computeFits(obs?.temperature ?? null, obs?.dewpoint ?? null));
+    setFitsProjection(projectFits(hourly, tafObs, obs));
+
+    // Kiosk evaluates an arrival now
+    setAlternate(
+      profile &&
+        evaluateAlternate({
+          taf: tafObs,
+          observation: obs,
+          eta: new Date(),
+          runway: airfield.activeRunway,
+          navaids,
+          approaches: profile.approaches,
+        })
+    );
+  }, [metar, taf, airfield.activeRunway, navaids, hourly, profile]);
 
-    const visMiles = parseVisibility(p.vis);
-    const ceilFt =
-      p.ceiling && /^(BKN|OVC)\d{3}/.test(p.ceiling)
-        ? parseInt(p.ceiling.match(/\d{3}/)[0]) * 100
-        : 99999;
-    setCat(flightCat(ceilFt, visMiles));
-
-    const tempMatch = p.tempdew?.match(/(M?\d{2})\/(M?\d{2})/);
-    if (tempMatch) {
-      const tC = parseInt(tempMatch[1].replace("M", "-"));
-      setFits(computeFits(tC));
-    }
-
-    let altNeeded = false;
-    if (
-      p.ceiling &&
-      /^(BKN|OVC)\d{3}/.test(p.ceiling) &&
-      ceilFt <= 1500 &&
-      visMiles < 3
-    ) {
-      altNeeded = true;
-    }
-    setAltReq(altNeeded);
-  }, [metar, taf, airfield.activeRunway]);
+  if (!profile) return <AirfieldLoading icao={ICAO} error={profileError} />;
 
   return (
     <div className="min-h-screen bg-slate-950 text-slate-100 p-4">
       {/* Header */}
       <header className="flex flex-col items-center mb-4 text-center relative">
-        <img
-          src="/oss-patch.png"
-          alt="187th OSS Patch"
-          className="absolute top-0 left-0 w-20 h-20 md:w-28 md:h-28 object-contain m-2"
-        />
+        {profile.logo && (
+          <img
+            src={profile.logo}
+            alt={`${profile.unit} Patch`}
+            className="absolute top-0 left-0 w-20 h-20 md:w-28 md:h-28 object-contain m-2"
+          />
+        )}
 
         <h1 className="text-xl font-bold">
-          187th Operations Support Squadron — {ICAO} Dannelly Field
+          {profile.unit} — {ICAO} {profile.name}
         </h1>
         <p className="text-lg font-semibold">Airfield Dashboard (Kiosk Mode)</p>
 
@@ -420,7 +399,10 @@ export default function KioskDashboard() {
                 hour12: false,
                 hour: "2-digit",
                 minute: "2-digit",
-              })}
+              })}{" "}
+            <span className={live ? "text-green-400" : "text-yellow-400"}>
+              {live ? "● LIVE" : "● POLLING"}
+            </span>
           </p>
         </div>
       </header>
@@ -472,17 +454,13 @@ export default function KioskDashboard() {
           <div className="mb-2">
             <p className="font-semibold">Barriers</p>
             <div className="flex gap-2 flex-wrap">
-              {["east", "west"].map((side) => (
+              {profile.barriers.map((item) => (
                 <button
-                  key={side}
-                  className={`px-2 py-1 rounded ${
-                    airfield.barriers[side] === "UNSERVICEABLE"
-                      ? "bg-red-600"
-                      : "bg-green-600"
-                  }`}
+                  key={item.id}
+                  className={`px-2 py-1 rounded ${statusColor(airfield.barriers[item.id])}`}
                   onClick={noop}
                 >
-                  {side.toUpperCase()} BAK-12 {airfield.barriers[side]}
+                  {item.name.toUpperCase()} {airfield.barriers[item.id]}
                 </button>
               ))}
             </div>
@@ -492,23 +470,13 @@ export default function KioskDashboard() {
           <div className="mb-2">
             <p className="font-semibold">NAVAIDs</p>
             <div className="flex gap-2 flex-wrap">
-              {Object.keys(navaids).map((n) => (
+              {profile.navaids.map((item) => (
                 <button
-                  key={n}
-                  className={`px-2 py-1 rounded ${
-                    navaids[n] === "IN" ? "bg-green-600" : "bg-red-600"
-                  }`}
+                  key={item.id}
+                  className={`px-2 py-1 rounded ${statusColor(navaids[item.id])}`}
                   onClick={noop}
                 >
-                  {n === "mgm"
-                    ? "MGM TACAN"
-                    : n === "mxf"
-                    ? "MXF TACAN"
-                    : n === "ils10"
-                    ? "ILS 10"
-                    : n === "ils28"
-                    ? "ILS 28"
-                    : n.toUpperCase()}
+                  {item.name}
                 </button>
               ))}
             </div>
@@ -549,19 +517,32 @@ export default function KioskDashboard() {
             >
               {cat}
             </span>
-            {altReq && (
+            {alternate?.required && (
               <span className="px-3 py-1 rounded-full text-lg font-bold bg-red-600">
                 ⚠ ALT REQ
               </span>
             )}
           </div>
+          {alternate?.reasons.length > 0 && (
+            <ul className="text-xs text-red-400 mb-2">
+              {alternate.reasons.map((r) => (
+                <li key={r.rule}>⚠ {r.message}</li>
+              ))}
+            </ul>
+          )}
+          {alternate?.required && (
+            <AlternatePanel candidates={alternates} eta={new Date()} />
+          )}
 
           <div className="grid grid-cols-2 gap-2 text-sm mb-2">
             <div>Winds: {parsed.wind}</div>
             <div>Vis: {parsed.vis}</div>
             <div>Ceiling: {parsed.ceiling}</div>
+            <div>Sky: {parsed.sky}</div>
             <div>Altimeter: {parsed.altimeter}</div>
             <div>Temp/Dew: {parsed.tempdew}</div>
+  <div>Wx: {parsed.weather}</div>
+  {parsed.rvr && <div>RVR: {parsed.rvr}</div>}
             <div>
               FITS:{" "}
               <span
@@ -575,12 +556,24 @@ export default function KioskDashboard() {
                     : "text-red-600"
                 }`}
               >
-                {fits.level}{" "}
-                {Number.isFinite(fits.tempF) && `(${fits.tempF} °F Dry Bulb)`}
+                {Number.isFinite(fits.value) && `${fits.value} `}{fits.level}
               </span>
+              {Number.isFinite(fits.tempF) && (
+                <span className="ml-1 text-slate-400">
+                  ({fits.tempF}/{fits.dewF ?? "--"} °F)
+                </span>
+              )}
+              {fits.wbgt && (
+                <span className="ml-1">
+                  · WBGT {fits.wbgt.value} {fits.wbgt.flag}
+                </span>
+              )}
             </div>
           </div>
 
+          <TafTimeline taf={tafDecoded} />
+          <FitsTimeline projection={fitsProjection} />
+
           <div className="mt-2 flex-1 overflow-y-auto">
             <p className="text-xs text-slate-400">Raw METAR</p>
             <pre className="bg-slate-900 p-2 rounded text-sm whitespace-pre-wrap break-words">
@@ -596,21 +589,8 @@ export default function KioskDashboard() {
 
         {/* NOTAMs */}
         <section className="border border-slate-700 rounded-lg p-3 flex flex-col h-[500px]">
-          <h2 className="text-lg font-bold underline mb-2">KMGM NOTAMs</h2>
-          {notams.length > 0 ? (
-            <ul className="space-y-2 text-sm flex-1 overflow-y-auto">
-              {notams.map((n) => (
-                <li
-                  key={n.id}
-                  className="p-2 rounded border border-slate-700 bg-slate-900"
-                >
-                  <pre className="font-mono whitespace-pre-wrap">{n.text}</pre>
-                </li>
-              ))}
-            </ul>
-          ) : (
-            <p className="text-sm text-slate-400">No NOTAMs available.</p>
-          )}
+          <h2 className="text-lg font-bold underline mb-2">{ICAO} NOTAMs</h2>
+          <NotamList notams={notams} feed={notamFeed} />
         </section>
       </div>
 
@@ -620,28 +600,20 @@ export default function KioskDashboard() {
         <section className="border border-slate-700 rounded-lg p-3 flex flex-col h-[500px] md:col-span-1">
           <h2 className="text-lg font-bold underline mb-2">BASH Forecast</h2>
           <div className="flex flex-col gap-2">
-            {Object.keys(bash).map((loc) => (
+            {profile.bashAreas.map((item) => (
               <button
-                key={loc}
-                className={`px-3 py-1 rounded font-bold ${
-                  bash[loc] === "LOW"
-                    ? "bg-green-600"
-                    : bash[loc] === "MODERATE"
-                    ? "bg-yellow-500 text-black"
-                    : bash[loc] === "SEVERE"
-                    ? "bg-red-600"
-                    : "bg-slate-700"
-                }`}
+                key={item.id}
+                className={`px-3 py-1 rounded font-bold ${statusColor(bash[item.id])}`}
                 onClick={noop}
               >
-                {loc}: {bash[loc]}
+                {item.name}: {bash[item.id]}
               </button>
             ))}
           </div>
         </section>
 
         {/* Slides (read-only) */}
-        <SlidesCard />
+        <SlidesCard airfield={ICAO} />
       </div>
     </div>
   );
@@ -0,0 +1,187 @@
+import { useEffect, useMemo, useState } from "react";
+import { parseNotam, groupNotams, formatCountdown, feedStatus, sourceLabel } from "./lib/notam";
+
+// --- NOTAM list ---
+// Parsed NOTAMs grouped by facility with a countdown to start or expiry.
+// Expired NOTAMs are hidden; the clock ticks each minute so they drop off
+// without a refetch. When the feed is passed a badge shows where the list
+// came from and turns red once it is stale. With a briefing (see
+// lib/briefing) each NOTAM can be acknowledged, NOTAMs new since the
+// operator's last shift are highlighted and the shift can be signed off.
+
+const STATE_STYLES = {
+  ACTIVE: "border-slate-700",
+  PENDING: "border-yellow-600 opacity-80",
+};
+
+function Countdown({ notam, timing, now }) {
+  if (timing.state === "PENDING") {
+    return <span className="text-yellow-400">Starts in {formatCountdown(timing.next - now)}</span>;
+  }
+  if (notam.permanent) return <span className="text-slate-400">PERM</span>;
+  if (!timing.next) return <span className="text-slate-400">UFN</span>;
+  return (
+    <span className="text-slate-400">
+      Expires in {formatCountdown(timing.next - now)}
+      {notam.estimated ? " (EST)" : ""}
+    </span>
+  );
+}
+
+function FeedBadge({ feed, now }) {
+  const { stale, label, detail } = feedStatus(feed, now);
+  return (
+    <p
+      title={detail}
+      className={`text-xs mb-2 px-2 py-1 rounded inline-block ${
+        stale ? "bg-red-700 text-white" : "bg-green-800 text-green-100"
+      }`}
+    >
+      {stale ? "⚠ STALE · " : "● "}
+      {label}
+    </p>
+  );
+}
+
+function BriefingBar({ briefing, ids }) {
+  const acked = ids.filter((id) => briefing.acks[id]).length;
+  const fresh = ids.filter(briefing.isNew).length;
+
+  async function signOff() {
+    const note = window.prompt(
+      `Sign off NOTAM briefing with ${acked} of ${ids.length} acknowledged? Optional note:`,
+      ""
+    );
+    if (note === null) return;
+    try {
+      await briefing.signOff(note);
+    } catch (err) {
+      alert(`Sign-off failed: ${err.response?.data?.error || err.message}`);
+    }
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs mb-2">
+      <span className={acked === ids.length ? "text-green-400" : "text-yellow-400"}>
+        ✔ {acked}/{ids.length} acknowledged
+      </span>
+      {fresh > 0 && <span className="text-blue-300">★ {fresh} new since last shift</span>}
+      <span className="text-slate-500">
+        {briefing.lastSignoff
+          ? `Last sign-off ${retrievedTime(briefing.lastSignoff.at)}`
+          : "No sign-off yet"}
+      </span>
+      <button onClick={signOff} className="ml-auto px-2 py-1 bg-blue-700 hover:bg-blue-600 rounded">
+        🖊 Sign off briefing
+      </button>
+    </div>
+  );
+}
+
+const retrievedTime = (iso) => {
+  const d = new Date(iso);
+  return `${String(d.getUTCHours()).padStart(2, "0")}${String(d.getUTCMinutes()).padStart(2, "0")}Z`;
+};
+
+/**
+ * @param {{
+ *   notams: Array<{ id: string, text: string, source?: string, retrievedAt?: string }>,
+ *   feed?: Object,
+ *   briefing?: Object,
+ * }} props
+ */
+export default function NotamList({ notams, feed, briefing }) {
+  const [now, setNow] = useState(new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const parsed = useMemo(
+    () =>
+      notams.map((n) => ({
+        ...parseNotam(n.text, n.id),
+        source: n.source || null,
+        retrievedAt: n.retrievedAt || null,
+      })),
+    [notams]
+  );
+  const { groups, expired } = groupNotams(parsed, now);
+  const badge = feed !== undefined && <FeedBadge feed={feed} now={now} />;
+  const briefed = briefing?.enabled ? briefing : null;
+
+  if (groups.length === 0) {
+    return (
+      <div>
+        {badge}
+        <p className="text-sm text-slate-400">
+          No NOTAMs available.{expired > 0 && ` ${expired} expired hidden.`}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex-1 overflow-y-auto text-sm space-y-3">
+      {badge}
+      {briefed && (
+        <BriefingBar
+          briefing={briefed}
+          ids={groups.flatMap((g) => g.notams.map(({ notam }) => notam.id))}
+        />
+      )}
+      {groups.map((group) => (
+        <div key={group.facility}>
+          <h3 className="font-semibold text-slate-300 mb-1">
+            {group.label} ({group.notams.length})
+          </h3>
+          <ul className="space-y-2">
+            {group.notams.map(({ notam, timing }) => (
+              <li
+                key={notam.id}
+                className={`p-2 rounded border bg-slate-900 ${STATE_STYLES[timing.state]} ${
+                  briefed?.isNew(notam.id) ? "ring-1 ring-blue-400" : ""
+                }`}
+              >
+                <div className="flex justify-between gap-2 text-xs mb-1">
+                  <span className="font-bold">
+                    {briefed?.isNew(notam.id) && <span className="text-blue-300">★ NEW </span>}
+                    {notam.number || notam.id}
+                    {notam.keyword && ` · ${notam.keyword}`}
+                  </span>
+                  <Countdown notam={notam} timing={timing} now={now} />
+                </div>
+                {notam.schedule && (
+                  <p className="text-xs text-blue-400 mb-1">⏱ {notam.schedule}</p>
+                )}
+                <pre className="font-mono whitespace-pre-wrap">{notam.raw}</pre>
+                {notam.source && (
+                  <p className="text-[10px] text-slate-500 mt-1">
+                    {sourceLabel(notam.source)}
+                    {notam.retrievedAt && ` · retrieved ${retrievedTime(notam.retrievedAt)}`}
+                  </p>
+                )}
+                {briefed && (
+                  <button
+                    onClick={() => briefed.acknowledge(notam.id, !briefed.acks[notam.id])}
+                    className={`mt-1 px-2 py-0.5 rounded text-xs ${
+                      briefed.acks[notam.id]
+                        ? "bg-green-800 text-green-100"
+                        : "bg-slate-700 hover:bg-slate-600"
+                    }`}
+                  >
+                    {briefed.acks[notam.id]
+                      ? `✔ Acknowledged ${retrievedTime(briefed.acks[notam.id])}`
+                      : "Acknowledge"}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+      {expired > 0 && <p className="text-xs text-slate-500">{expired} expired hidden.</p>}
+    </div>
+  );
+}
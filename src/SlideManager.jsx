@@ -0,0 +1,224 @@
+import { useState } from "react";
+import axios from "axios";
+import { liveHeaders } from "./lib/liveUpdates";
+import {
+  SLIDE_ACCEPT,
+  SLIDE_PRIORITIES,
+  isPdfSlide,
+  slideTitle,
+  slideWindow,
+  moveItem,
+} from "./lib/slides";
+
+// --- Slide manager ---
+// Upload, rename, delete, drag-to-reorder and scheduling for the slide
+// library. Every change answers with the new library, which the backend
+// also pushes to the other dashboards and kiosks.
+
+const WINDOW_BADGES = {
+  pending: ["Scheduled", "bg-yellow-700"],
+  expired: ["Expired", "bg-slate-600"],
+};
+
+// datetime-local values are local time without a zone
+function toLocalInput(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+const fromLocalInput = (value) => (value ? new Date(value).toISOString() : null);
+
+function ScheduleForm({ entry, busy, onSave, onCancel }) {
+  const [duration, setDuration] = useState(entry.duration);
+  const [activeFrom, setActiveFrom] = useState(toLocalInput(entry.activeFrom));
+  const [activeUntil, setActiveUntil] = useState(toLocalInput(entry.activeUntil));
+  const [displays, setDisplays] = useState(entry.displays.join(", "));
+  const [priority, setPriority] = useState(entry.priority);
+
+  function submit(e) {
+    e.preventDefault();
+    onSave({
+      duration: Number(duration),
+      activeFrom: fromLocalInput(activeFrom),
+      activeUntil: fromLocalInput(activeUntil),
+      displays: displays.split(/[\s,]+/).filter(Boolean),
+      priority,
+    });
+  }
+
+  const field = "px-2 py-1 rounded bg-slate-950 border border-slate-600";
+  return (
+    <form onSubmit={submit} className="grid grid-cols-2 gap-2 p-2 bg-slate-800 rounded text-xs">
+      <label className="flex flex-col">
+        Duration (s)
+        <input type="number" min="1" max="3600" value={duration} onChange={(e) => setDuration(e.target.value)} className={field} />
+      </label>
+      <label className="flex flex-col">
+        Priority
+        <select value={priority} onChange={(e) => setPriority(e.target.value)} className={field}>
+          {SLIDE_PRIORITIES.map((p) => (
+            <option key={p.priority} value={p.priority}>
+              {p.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex flex-col">
+        Active from
+        <input type="datetime-local" value={activeFrom} onChange={(e) => setActiveFrom(e.target.value)} className={field} />
+      </label>
+      <label className="flex flex-col">
+        Active until
+        <input type="datetime-local" value={activeUntil} onChange={(e) => setActiveUntil(e.target.value)} className={field} />
+      </label>
+      <label className="flex flex-col col-span-2">
+        Displays (blank = all; e.g. dashboard, kiosk, tower)
+        <input type="text" value={displays} onChange={(e) => setDisplays(e.target.value)} className={field} />
+      </label>
+      <div className="col-span-2 flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-3 py-1 bg-slate-700 rounded">
+          Cancel
+        </button>
+        <button type="submit" disabled={busy} className="px-3 py-1 bg-blue-600 hover:bg-blue-500 rounded">
+          Save
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * @param {{
+ *   API: string,
+ *   airfield: string,
+ *   slides: Object[],
+ *   current: string,
+ *   authHeaders: Object,
+ *   onChange: (slides: Object[]) => void,
+ *   onSelect: (file: string) => void,
+ * }} props
+ */
+export default function SlideManager({ API, airfield, slides, current, authHeaders, onChange, onSelect }) {
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [dragFrom, setDragFrom] = useState(null);
+  const [editing, setEditing] = useState(null); // file whose schedule is open
+  const config = { params: { airfield }, headers: { ...liveHeaders, ...authHeaders } };
+
+  async function run(request) {
+    setBusy(true);
+    setError("");
+    try {
+      const res = await request();
+      onChange(res.data?.slides || []);
+      return res.data;
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function upload(e) {
+    const files = [...e.target.files];
+    e.target.value = "";
+    if (files.length === 0) return;
+    const form = new FormData();
+    files.forEach((f) => form.append("slides", f));
+    const data = await run(() => axios.post(`${API}/api/slides`, form, config));
+    if (data?.uploaded?.length) onSelect(data.uploaded[0]);
+  }
+
+  function rename(file) {
+    const name = window.prompt("Rename slide:", slideTitle(file));
+    if (!name || name === slideTitle(file)) return;
+    run(() => axios.patch(`${API}/api/slides/${encodeURIComponent(file)}`, { name }, config));
+  }
+
+  async function schedule(file, changes) {
+    const data = await run(() =>
+      axios.patch(`${API}/api/slides/${encodeURIComponent(file)}`, changes, config)
+    );
+    if (data) setEditing(null);
+  }
+
+  function remove(file) {
+    if (!window.confirm(`Delete ${file} and its annotations?`)) return;
+    run(() => axios.delete(`${API}/api/slides/${encodeURIComponent(file)}`, config));
+  }
+
+  function drop(to) {
+    if (dragFrom === null || dragFrom === to) return setDragFrom(null);
+    const order = moveItem(slides, dragFrom, to);
+    setDragFrom(null);
+    onChange(order);
+    run(() => axios.put(`${API}/api/slides/order`, { order: order.map((e) => e.file) }, config));
+  }
+
+  return (
+    <div className="mt-3 border border-slate-700 rounded p-2 text-sm">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold">Slide Library ({slides.length})</h3>
+        <label className={`px-3 py-1 rounded cursor-pointer ${busy ? "bg-slate-600" : "bg-blue-600 hover:bg-blue-500"}`}>
+          ⬆ Upload
+          <input type="file" accept={SLIDE_ACCEPT} multiple onChange={upload} disabled={busy} className="hidden" />
+        </label>
+      </div>
+      {error && <p className="text-red-500 mb-2">{error}</p>}
+      <ul className="space-y-1 max-h-72 overflow-y-auto">
+        {slides.map((entry, i) => {
+          const { file } = entry;
+          const badge = WINDOW_BADGES[slideWindow(entry)];
+          return (
+            <li key={file}>
+              <div
+                draggable={!busy}
+                onDragStart={() => setDragFrom(i)}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={() => drop(i)}
+                className={`flex items-center gap-2 px-2 py-1 rounded border ${
+                  file === current ? "border-blue-500 bg-slate-800" : "border-slate-700 bg-slate-900"
+                } ${dragFrom === i ? "opacity-50" : ""}`}
+              >
+                <span className="cursor-move text-slate-500" title="Drag to reorder">⠿</span>
+                <button onClick={() => onSelect(file)} className="flex-1 text-left truncate">
+                  {i + 1}. {isPdfSlide(file) ? "📄" : "🖼"} {file}
+                </button>
+                <span className="text-xs text-slate-400">{entry.duration}s</span>
+                {entry.priority === "pinned" && <span className="px-1 rounded text-xs bg-red-700">📌 Pinned</span>}
+                {entry.priority === "high" && <span className="px-1 rounded text-xs bg-orange-700">High</span>}
+                {badge && <span className={`px-1 rounded text-xs ${badge[1]}`}>{badge[0]}</span>}
+                {entry.displays.length > 0 && (
+                  <span className="text-xs text-slate-400">🖥 {entry.displays.join(", ")}</span>
+                )}
+                <button
+                  onClick={() => setEditing(editing === file ? null : file)}
+                  disabled={busy}
+                  className="px-2 bg-slate-700 rounded"
+                  title="Schedule"
+                >
+                  🕒
+                </button>
+                <button onClick={() => rename(file)} disabled={busy} className="px-2 bg-slate-700 rounded">
+                  ✏
+                </button>
+                <button onClick={() => remove(file)} disabled={busy} className="px-2 bg-red-700 rounded">
+                  🗑
+                </button>
+              </div>
+              {editing === file && (
+                <ScheduleForm
+                  entry={entry}
+                  busy={busy}
+                  onSave={(changes) => schedule(file, changes)}
+                  onCancel={() => setEditing(null)}
+                />
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import {
+  ANNOTATION_SYMBOLS,
+  DASH_STYLES,
+  STYLE_COLORS,
+  OPACITIES,
+  FILL_OPACITIES,
+  STROKE_WIDTHS,
+} from "./lib/annotations";
+
+// --- Annotation style toolbar ---
+// Stroke and fill colors, opacity, line width and dash for new annotations
+// (and the selected one), plus the symbol palette while placing symbols.
+
+function Swatches({ label, value, onPick }) {
+  return (
+    <span className="flex items-center gap-1">
+      {label}
+      {STYLE_COLORS.map((color) => (
+        <button
+          key={color}
+          title={color}
+          onClick={() => onPick(color)}
+          className={`w-5 h-5 rounded border-2 ${value === color ? "border-blue-400" : "border-slate-600"}`}
+          style={{ backgroundColor: color }}
+        />
+      ))}
+    </span>
+  );
+}
+
+const percent = (v) => `${Math.round(v * 100)}%`;
+
+/**
+ * @param {{
+ *   style: import("./lib/annotations").AnnotationStyle,
+ *   onChange: (changes: Object) => void,
+ *   symbol: string|null,
+ *   onSymbol: (symbol: string) => void,
+ * }} props
+ */
+export default function StyleToolbar({ style, onChange, symbol, onSymbol }) {
+  const field = "px-1 py-0.5 rounded bg-slate-800 border border-slate-600";
+  return (
+    <div className="flex flex-wrap justify-center items-center gap-3 mt-2 text-xs">
+      <Swatches label="Stroke" value={style.stroke} onPick={(stroke) => onChange({ stroke })} />
+      <Swatches label="Fill" value={style.fill} onPick={(fill) => onChange({ fill })} />
+      <label className="flex items-center gap-1">
+        Fill
+        <select
+          value={style.fillOpacity}
+          onChange={(e) => onChange({ fillOpacity: Number(e.target.value) })}
+          className={field}
+        >
+          {FILL_OPACITIES.map((v) => (
+            <option key={v} value={v}>
+              {v === 0 ? "None" : percent(v)}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-1">
+        Opacity
+        <select value={style.opacity} onChange={(e) => onChange({ opacity: Number(e.target.value) })} className={field}>
+          {OPACITIES.map((v) => (
+            <option key={v} value={v}>
+              {percent(v)}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-1">
+        Width
+        <select
+          value={style.strokeWidth}
+          onChange={(e) => onChange({ strokeWidth: Number(e.target.value) })}
+          className={field}
+        >
+          {STROKE_WIDTHS.map((v) => (
+            <option key={v} value={v}>
+              {v}px
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-1">
+        Line
+        <select value={style.dash} onChange={(e) => onChange({ dash: e.target.value })} className={field}>
+          {Object.keys(DASH_STYLES).map((dash) => (
+            <option key={dash} value={dash}>
+              {dash}
+            </option>
+          ))}
+        </select>
+      </label>
+      {symbol && (
+        <span className="flex items-center gap-1">
+          {Object.entries(ANNOTATION_SYMBOLS).map(([key, s]) => (
+            <button
+              key={key}
+              onClick={() => onSymbol(key)}
+              className={`px-2 py-0.5 rounded ${symbol === key ? "bg-blue-600" : "bg-slate-700"}`}
+            >
+              {s.glyph} {s.label}
+            </button>
+          ))}
+        </span>
+      )}
+    </div>
+  );
+}
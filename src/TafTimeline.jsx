@@ -0,0 +1,56 @@
+import { tafTimeline } from "./lib/taf";
+import { categorize as defaultCategorize, CATEGORY_RANK } from "./lib/flightCategory";
+
+const CAT_COLORS = {
+  VFR: "bg-green-600",
+  MVFR: "bg-blue-600",
+  IFR: "bg-red-600",
+  LIFR: "bg-fuchsia-700",
+};
+
+function worstCategory(categories) {
+  return categories.reduce(
+    (worst, c) => (c && (!worst || CATEGORY_RANK[c] > CATEGORY_RANK[worst]) ? c : worst),
+    null
+  );
+}
+
+// --- TAF Timeline ---
+// One cell per hour colored by the prevailing flight category; the thin
+// stripe underneath shows the worst TEMPO/PROB category in that hour.
+export default function TafTimeline({ taf, categorize = defaultCategorize, hours = 30 }) {
+  const timeline = tafTimeline(taf, categorize, new Date(), hours);
+  if (!timeline.some((h) => h.category)) return null;
+
+  return (
+    <div className="mb-2">
+      <p className="text-xs text-slate-400">TAF Timeline (next {hours}h)</p>
+      <div className="flex w-full gap-px">
+        {timeline.map((h) => {
+          const hourZ = String(h.time.getUTCHours()).padStart(2, "0");
+          const temporary = worstCategory(h.temporary.map((t) => t.category));
+          const tip = [
+            `${String(h.time.getUTCDate()).padStart(2, "0")}/${hourZ}00Z ${h.category || "--"}`,
+            ...h.temporary.map(
+              (t) => `${t.type}${t.probability ? t.probability : ""} ${t.category}`
+            ),
+          ].join("\n");
+
+          return (
+            <div key={h.time.toISOString()} className="flex-1 flex flex-col" title={tip}>
+              <div className={`h-3 ${CAT_COLORS[h.category] || "bg-slate-800"}`} />
+              <div
+                className={`h-1 ${
+                  temporary && temporary !== h.category ? CAT_COLORS[temporary] : ""
+                }`}
+              />
+              <span className="text-[10px] text-slate-400 leading-none">
+                {h.time.getUTCHours() % 6 === 0 ? `${hourZ}Z` : ""}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
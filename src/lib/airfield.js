@@ -0,0 +1,110 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { useLiveUpdates } from "./liveUpdates";
+
+// --- Airfield configuration ---
+// Airfield profiles live in the backend's airfields.json and are fetched per
+// ICAO; pages wait for the profile rather than guess at one. Runway headings
+// are from the airport diagram; METAR/TAF winds are true, tower-reported
+// winds magnetic.
+
+/**
+ * @typedef {Object} Runway
+ * @property {string} id - "10"
+ * @property {number} magneticHeading
+ * @property {number} trueHeading
+ * @property {string} reciprocal - id of the opposite end
+ * @property {string|null} ils - NAVAID key of the ILS serving this end
+ * @property {string|null} departureBarrier - barrier key at the far (departure) end
+ */
+
+/**
+ * @typedef {Object} AirfieldProfile
+ * @property {string} icao
+ * @property {string} name
+ * @property {string} unit
+ * @property {string} timezone - IANA zone for local time
+ * @property {string|null} logo
+ * @property {Runway[]} runways
+ * @property {import("./inventory").InventoryItem[]} navaids
+ * @property {import("./inventory").InventoryItem[]} barriers
+ * @property {import("./inventory").InventoryItem[]} bashAreas
+ * @property {import("./alternate").Approach[]} approaches
+ * @property {Array<{ icao: string, approach: string }>} alternates
+ */
+
+export const DEFAULT_AIRFIELD_ID = (
+  (typeof process !== "undefined" && process.env?.REACT_APP_AIRFIELD) || "KMGM"
+).toUpperCase();
+
+/**
+ * ICAO from ?airfield= in the page URL, before or after the hash route
+ * ("/?airfield=KXYZ#/kiosk" or "/#/kiosk?airfield=KXYZ").
+ */
+export function requestedAirfield() {
+  if (typeof window === "undefined") return DEFAULT_AIRFIELD_ID;
+  const fromSearch = new URLSearchParams(window.location.search).get("airfield");
+  const fromHash = new URLSearchParams(window.location.hash.split("?")[1] || "").get("airfield");
+  return (fromSearch || fromHash || DEFAULT_AIRFIELD_ID).toUpperCase();
+}
+
+/**
+ * Status defaults for a profile, matching the backend's defaultState; empty
+ * while the profile is still loading.
+ */
+export function defaultStatus(profile = null) {
+  const defaults = (items = []) => Object.fromEntries(items.map((item) => [item.id, item.statuses[0]]));
+  return {
+    airfield: {
+      activeRunway: profile?.runways[0]?.id || "",
+      rsc: "DRY",
+      rscNotes: "",
+      barriers: defaults(profile?.barriers),
+      arff: "GREEN",
+    },
+    navaids: defaults(profile?.navaids),
+    bash: defaults(profile?.bashAreas),
+  };
+}
+
+/**
+ * Profile for `icao` from the backend, following inventory edits pushed while
+ * the page is open. `profile` is null until the backend answers; `error` is
+ * set when it could not be fetched.
+ * @returns {{ profile: AirfieldProfile|null, error: string|null }}
+ */
+export function useAirfield(api, icao) {
+  const [profile, setProfile] = useState(null);
+  const [error, setError] = useState(null);
+
+  useLiveUpdates(
+    api,
+    (msg) => {
+      if (msg.type === "airfield" && msg.payload) setProfile(msg.payload);
+    },
+    icao
+  );
+
+  useEffect(() => {
+    setProfile(null);
+    setError(null);
+    axios
+      .get(`${api}/api/airfield`, { params: { airfield: icao } })
+      .then((res) => setProfile(res.data))
+      .catch((err) => {
+        console.error("❌ Failed to fetch airfield profile:", err.message);
+        setError(err.response?.data?.error || err.message);
+      });
+  }, [api, icao]);
+
+  return { profile, error };
+}
+
+/**
+ * @param {string} id
+ * @param {AirfieldProfile} airfield
+ * @returns {Runway|null}
+ */
+export function getRunway(id, airfield) {
+  return airfield.runways.find((r) => r.id === id) || null;
+}
@@ -0,0 +1,259 @@
+import { tafConditionsAt } from "./taf";
+import { ceilingFt } from "./flightCategory";
+
+// --- Alternate-required engine ---
+// Worst forecast ceiling and visibility in the ETA ±1 hour window, checked
+// against the alternate threshold and the lowest usable approach minimums
+// for the runway given which NAVAIDs are in service. Every rule that fires
+// is returned with a reason so the UI can say why an alternate is needed.
+
+const HOUR_MS = 60 * 60 * 1000;
+const ETA_WINDOW_MS = HOUR_MS;
+
+// Ceiling (ft) and visibility (SM) below which an alternate is required
+export const ALTERNATE_RULES = {
+  "2000-3": { ceiling: 2000, visibility: 3 },
+  "1500-3": { ceiling: 1500, visibility: 3 },
+};
+
+export const DEFAULT_ALTERNATE_RULE =
+  (typeof process !== "undefined" && process.env?.REACT_APP_ALTERNATE_RULE) || "2000-3";
+
+/**
+ * A published approach from the airfield profile (backend airfields.json,
+ * the only copy of the minimums). It is usable only while every NAVAID it
+ * requires is IN.
+ * @typedef {Object} Approach
+ * @property {string} id
+ * @property {string} name - "ILS RWY 10"
+ * @property {string} runway
+ * @property {string[]} requires - NAVAID keys
+ * @property {number} ceiling - HAT ft, straight-in, Cat C
+ * @property {number} visibility - SM
+ */
+
+// Older state used booleans for NAVAID status
+const inService = (status) => status === "IN" || status === true;
+
+/**
+ * Approaches to `runway` whose NAVAIDs are all in service, lowest minimums first.
+ * @param {Approach[]} approaches
+ */
+export function usableApproaches(runway, navaids = {}, approaches = []) {
+  return approaches
+    .filter((a) => a.runway === runway && a.requires.every((n) => inService(navaids[n])))
+    .sort((a, b) => a.ceiling - b.ceiling || a.visibility - b.visibility);
+}
+
+/**
+ * ETA from "HHMM" (Zulu). Blank means now; a time more than an hour in the
+ * past is taken as tomorrow. Returns null when the entry is not a time.
+ */
+export function parseEta(hhmm, now = new Date()) {
+  if (!hhmm || !hhmm.trim()) return new Date(now);
+  const m = hhmm.trim().match(/^(\d{2}):?(\d{2})Z?$/i);
+  if (!m || +m[1] > 23 || +m[2] > 59) return null;
+
+  const eta = new Date(now);
+  eta.setUTCHours(+m[1], +m[2], 0, 0);
+  if (eta.getTime() < now.getTime() - HOUR_MS) eta.setTime(eta.getTime() + 24 * HOUR_MS);
+  return eta;
+}
+
+const zulu = (date) =>
+  `${String(date.getUTCDate()).padStart(2, "0")}/${String(date.getUTCHours()).padStart(2, "0")}${String(
+    date.getUTCMinutes()
+  ).padStart(2, "0")}Z`;
+
+const formatCeiling = (ft) => (ft === Infinity ? "none" : `${ft} ft`);
+
+// Half-hourly samples across the window plus the start of every change group
+// inside it, so an FM or TEMPO beginning off the hour is not skipped
+function sampleTimes(taf, from, to) {
+  const times = [];
+  for (let t = from.getTime(); t <= to.getTime(); t += HOUR_MS / 2) times.push(new Date(t));
+  (taf?.periods || []).forEach((p) => {
+    if (p.start > from && p.start < to) times.push(p.start);
+  });
+  return times.sort((a, b) => a - b);
+}
+
+// Lowest ceiling and visibility forecast (or observed) between `from` and
+// `to`, each with the group it came from. `covered` is false when the TAF
+// does not span the whole window.
+function worstConditions({ taf, observation, from, to, includeProb }) {
+  const worst = { ceiling: Infinity, ceilingSource: null, visibility: Infinity, visibilitySource: null };
+
+  const consider = (conditions, source) => {
+    const ceiling = ceilingFt(conditions.clouds);
+    const visibility = conditions.visibility ? conditions.visibility.miles : Infinity;
+    if (ceiling < worst.ceiling) Object.assign(worst, { ceiling, ceilingSource: source });
+    if (visibility < worst.visibility) Object.assign(worst, { visibility, visibilitySource: source });
+  };
+
+  let covered = true;
+  for (const time of sampleTimes(taf, from, to)) {
+    const at = tafConditionsAt(taf, time);
+    if (!at) {
+      covered = false;
+      continue;
+    }
+    consider(at.prevailing, `TAF ${zulu(time)}`);
+    at.temporary
+      .filter((t) => t.type === "TEMPO" || includeProb)
+      .forEach((t) =>
+        consider(t, `${t.type === "PROB" ? `PROB${t.probability}` : t.type} ${zulu(time)}`)
+      );
+  }
+  if (observation?.time && observation.time >= from && observation.time <= to) {
+    consider(observation, `METAR ${zulu(observation.time)}`);
+  }
+  return { worst, covered };
+}
+
+/**
+ * Evaluate whether an alternate is required.
+ * @param {Object} opts
+ * @param {import("./taf").Taf|null} opts.taf
+ * @param {import("./metar").Observation|null} [opts.observation] - used when observed within the window
+ * @param {Date} opts.eta
+ * @param {string} opts.runway - runway id, e.g. "10"
+ * @param {Object} opts.navaids - NAVAID id -> IN/OUT
+ * @param {Approach[]} [opts.approaches] - the airfield's published approaches; none
+ *   means no minimums are known and an alternate is required
+ * @param {string} [opts.rule] - key of ALTERNATE_RULES
+ * @param {boolean} [opts.includeProb] - count PROB groups (TEMPO always counts)
+ * @returns {{
+ *   required: boolean,
+ *   window: { from: Date, to: Date },
+ *   rule: string,
+ *   worst: { ceiling: number, ceilingSource: string|null, visibility: number, visibilitySource: string|null },
+ *   approach: Object|null,
+ *   reasons: Array<{ rule: string, message: string }>
+ * }}
+ */
+export function evaluateAlternate({
+  taf,
+  observation = null,
+  eta,
+  runway,
+  navaids,
+  approaches = [],
+  rule = DEFAULT_ALTERNATE_RULE,
+  includeProb = false,
+}) {
+  const thresholds = ALTERNATE_RULES[rule] || ALTERNATE_RULES[DEFAULT_ALTERNATE_RULE];
+  const from = new Date(eta.getTime() - ETA_WINDOW_MS);
+  const to = new Date(eta.getTime() + ETA_WINDOW_MS);
+  const { worst, covered } = worstConditions({ taf, observation, from, to, includeProb });
+  const reasons = [];
+
+  if (!covered) {
+    reasons.push({
+      rule: "NO_TAF",
+      message: `No TAF covers ${zulu(from)}–${zulu(to)}`,
+    });
+  }
+
+  if (worst.ceiling < thresholds.ceiling || worst.visibility < thresholds.visibility) {
+    const parts = [];
+    if (worst.ceiling < thresholds.ceiling) {
+      parts.push(`ceiling ${formatCeiling(worst.ceiling)} (${worst.ceilingSource})`);
+    }
+    if (worst.visibility < thresholds.visibility) {
+      parts.push(`vis ${worst.visibility} SM (${worst.visibilitySource})`);
+    }
+    reasons.push({
+      rule,
+      message: `${parts.join(", ")} below ${rule} (${thresholds.ceiling} ft / ${thresholds.visibility} SM)`,
+    });
+  }
+
+  const approach = usableApproaches(runway, navaids, approaches)[0] || null;
+  if (!approaches?.length) {
+    reasons.push({
+      rule: "NO_APPROACH",
+      message: "No approach minimums known for this airfield",
+    });
+  } else if (!approach) {
+    reasons.push({
+      rule: "NO_APPROACH",
+      message: `No usable approach to RWY ${runway} with current NAVAID status`,
+    });
+  } else if (worst.ceiling < approach.ceiling || worst.visibility < approach.visibility) {
+    reasons.push({
+      rule: "BELOW_MINIMUMS",
+      message: `Forecast below ${approach.name} minimums (${approach.ceiling} ft / ${approach.visibility} SM)`,
+    });
+  }
+
+  return {
+    required: reasons.length > 0,
+    window: { from, to },
+    rule,
+    worst,
+    approach,
+    reasons,
+  };
+}
+
+// Weather an alternate itself must have at ETA ±1h (ft / SM)
+export const ALTERNATE_MINIMUMS = {
+  precision: { ceiling: 600, visibility: 2 },
+  nonprecision: { ceiling: 800, visibility: 2 },
+};
+
+/**
+ * Whether a candidate alternate meets alternate minimums for its approach
+ * type at `eta`. `margin` is how far the worst forecast sits above the
+ * tighter of the two limits, as a fraction of that limit.
+ * @param {Object} opts
+ * @param {string} opts.icao
+ * @param {"precision"|"nonprecision"} [opts.approach]
+ * @param {import("./taf").Taf|null} opts.taf
+ * @param {import("./metar").Observation|null} [opts.observation]
+ * @param {Date} opts.eta
+ */
+export function evaluateCandidate({
+  icao,
+  approach = "nonprecision",
+  taf,
+  observation = null,
+  eta,
+  includeProb = false,
+}) {
+  const minimums = ALTERNATE_MINIMUMS[approach] || ALTERNATE_MINIMUMS.nonprecision;
+  const from = new Date(eta.getTime() - ETA_WINDOW_MS);
+  const to = new Date(eta.getTime() + ETA_WINDOW_MS);
+  const { worst, covered } = worstConditions({ taf, observation, from, to, includeProb });
+  const reasons = [];
+
+  if (!taf || !covered) reasons.push(`No TAF covering ${zulu(from)}–${zulu(to)}`);
+  if (worst.ceiling < minimums.ceiling) {
+    reasons.push(`Ceiling ${formatCeiling(worst.ceiling)} (${worst.ceilingSource}) below ${minimums.ceiling} ft`);
+  }
+  if (worst.visibility < minimums.visibility) {
+    reasons.push(`Vis ${worst.visibility} SM (${worst.visibilitySource}) below ${minimums.visibility} SM`);
+  }
+
+  return {
+    icao,
+    approach,
+    minimums,
+    meets: reasons.length === 0,
+    worst,
+    margin: Math.min(
+      (worst.ceiling - minimums.ceiling) / minimums.ceiling,
+      (worst.visibility - minimums.visibility) / minimums.visibility
+    ),
+    reasons,
+  };
+}
+
+// Fields that meet minimums first, then by margin; ties keep list order
+export function rankCandidates(results) {
+  return results
+    .map((r, order) => ({ ...r, order }))
+    .sort((a, b) => b.meets - a.meets || b.margin - a.margin || a.order - b.order)
+    .map(({ order, ...r }) => r);
+}
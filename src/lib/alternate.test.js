@@ -0,0 +1,76 @@
+import { usableApproaches, parseEta, evaluateAlternate, evaluateCandidate, rankCandidates } from "./alternate";
+import { decodeTaf } from "./taf";
+
+const NOW = new Date("2026-10-19T18:00:00Z");
+const APPROACHES = [
+  { id: "ILS10", name: "ILS RWY 10", runway: "10", requires: ["ils10"], ceiling: 200, visibility: 0.5 },
+  { id: "RNAV10", name: "RNAV (GPS) RWY 10", runway: "10", requires: [], ceiling: 400, visibility: 1 },
+];
+const taf = (body) => decodeTaf(`TAF KMGM 191720Z 1918/2024 ${body}`, NOW);
+
+describe("usableApproaches", () => {
+  test("drops approaches whose NAVAIDs are out", () => {
+    expect(usableApproaches("10", { ils10: "IN" }, APPROACHES).map((a) => a.id)).toEqual(["ILS10", "RNAV10"]);
+    expect(usableApproaches("10", { ils10: "OUT" }, APPROACHES).map((a) => a.id)).toEqual(["RNAV10"]);
+  });
+});
+
+describe("parseEta", () => {
+  test("blank is now; an hour or more past is tomorrow", () => {
+    expect(parseEta("", NOW)).toEqual(NOW);
+    expect(parseEta("1930Z", NOW).toISOString()).toBe("2026-10-19T19:30:00.000Z");
+    expect(parseEta("19:30Z", NOW).toISOString()).toBe("2026-10-19T19:30:00.000Z");
+    expect(parseEta("1600", NOW).toISOString()).toBe("2026-10-20T16:00:00.000Z");
+    expect(parseEta("2570", NOW)).toBeNull();
+  });
+});
+
+describe("evaluateAlternate", () => {
+  const base = { eta: new Date("2026-10-19T20:00:00Z"), runway: "10", navaids: { ils10: "IN" }, approaches: APPROACHES };
+
+  test("not required in good weather", () => {
+    const result = evaluateAlternate({ ...base, taf: taf("22012KT P6SM SCT035") });
+    expect(result.required).toBe(false);
+    expect(result.approach.id).toBe("ILS10");
+  });
+
+  test("a TEMPO inside the ETA window sets the worst ceiling", () => {
+    const result = evaluateAlternate({ ...base, taf: taf("22012KT P6SM SCT035 TEMPO 1920/1922 BKN015") });
+    expect(result.required).toBe(true);
+    expect(result.worst).toMatchObject({ ceiling: 1500, ceilingSource: "TEMPO 19/2000Z" });
+    expect(result.reasons.map((r) => r.rule)).toEqual(["2000-3"]);
+  });
+
+  test("below the minimums of the best approach left in service", () => {
+    const result = evaluateAlternate({
+      ...base,
+      navaids: { ils10: "OUT" },
+      taf: taf("22012KT 1/2SM FG OVC003"),
+    });
+    expect(result.approach.id).toBe("RNAV10");
+    expect(result.reasons.map((r) => r.rule)).toContain("BELOW_MINIMUMS");
+  });
+
+  test("an airfield without published approaches has no minimums to fall back on", () => {
+    const result = evaluateAlternate({ ...base, approaches: undefined, taf: taf("22012KT P6SM SCT035") });
+    expect(result.required).toBe(true);
+    expect(result.approach).toBeNull();
+    expect(result.reasons).toEqual([{ rule: "NO_APPROACH", message: "No approach minimums known for this airfield" }]);
+  });
+
+  test("no TAF covering the window", () => {
+    const result = evaluateAlternate({ ...base, eta: new Date("2026-10-21T06:00:00Z"), taf: taf("22012KT P6SM SCT035") });
+    expect(result.reasons.map((r) => r.rule)).toContain("NO_TAF");
+  });
+});
+
+describe("candidates", () => {
+  test("ranked by whether they meet minimums, then margin", () => {
+    const eta = new Date("2026-10-19T20:00:00Z");
+    const good = evaluateCandidate({ icao: "KBHM", approach: "precision", taf: taf("4SM BKN030"), eta });
+    const better = evaluateCandidate({ icao: "KCSG", approach: "precision", taf: taf("P6SM BKN060"), eta });
+    const bad = evaluateCandidate({ icao: "KMXF", approach: "precision", taf: taf("1SM BR OVC004"), eta });
+    expect(bad.meets).toBe(false);
+    expect(rankCandidates([bad, good, better]).map((c) => c.icao)).toEqual(["KCSG", "KBHM", "KMXF"]);
+  });
+});
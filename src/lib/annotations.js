@@ -0,0 +1,160 @@
+// --- Slide annotations ---
+// Annotation types, their styles and the symbol palette. Positions are in
+// slide image pixels; shapes with several points keep them flat as
+// [x1, y1, x2, y2, ...]. Annotations saved before styles existed carry no
+// style and draw in their original fixed colors. The stroke color is used
+// for outlines, lines and text; the fill color for the inside of boxes,
+// circles and areas.
+
+/**
+ * @typedef {Object} AnnotationStyle
+ * @property {string} stroke - hex color
+ * @property {string} fill - hex color
+ * @property {number} opacity - whole shape, 0-1
+ * @property {number} fillOpacity - fill only, 0-1
+ * @property {number} strokeWidth - image pixels
+ * @property {"solid"|"dashed"|"dotted"} dash
+ *
+ * @typedef {Object} Annotation
+ * @property {string} _id
+ * @property {"box"|"x"|"arrow"|"text"|"line"|"polygon"|"circle"|"freehand"|"symbol"} type
+ * @property {number} [x]
+ * @property {number} [y]
+ * @property {number} [w] - box
+ * @property {number} [h] - box
+ * @property {number} [r] - circle radius
+ * @property {number} [x1] - arrow
+ * @property {number} [y1]
+ * @property {number} [x2]
+ * @property {number} [y2]
+ * @property {number[]} [points] - line, polygon, freehand
+ * @property {string} [text]
+ * @property {string} [symbol] - key of ANNOTATION_SYMBOLS
+ * @property {number} [size] - symbol and text font size
+ * @property {AnnotationStyle} [style]
+ */
+
+export const ANNOTATION_TOOLS = [
+  { tool: "x", label: "❌ X" },
+  { tool: "box", label: "⬛ Box" },
+  { tool: "circle", label: "⚪ Circle" },
+  { tool: "arrow", label: "➡️ Arrow" },
+  { tool: "line", label: "〰 Line" },
+  { tool: "polygon", label: "⬠ Area" },
+  { tool: "freehand", label: "✏️ Pen" },
+  { tool: "text", label: "📝 Text" },
+  { tool: "symbol", label: "🔣 Symbol" },
+];
+
+export const ANNOTATION_SYMBOLS = {
+  crane: { glyph: "🏗", label: "CRANE", color: "#facc15" },
+  barricade: { glyph: "🚧", label: "BARRICADE", color: "#f97316" },
+  cone: { glyph: "▲", label: "CONE", color: "#fb923c" },
+  fod: { glyph: "⚠", label: "FOD", color: "#ef4444" },
+  wildlife: { glyph: "🦅", label: "WILDLIFE", color: "#a3e635" },
+};
+
+// In stroke widths, so patterns keep their look at any thickness
+export const DASH_STYLES = {
+  solid: null,
+  dashed: [3, 2],
+  dotted: [0.01, 2],
+};
+
+export const STYLE_COLORS = ["#ef4444", "#f97316", "#facc15", "#22c55e", "#3b82f6", "#ffffff", "#000000"];
+export const OPACITIES = [1, 0.75, 0.5, 0.25];
+export const FILL_OPACITIES = [0, 0.15, 0.3, 0.5, 0.75];
+export const STROKE_WIDTHS = [1, 2, 3, 4, 6, 8];
+
+export const DEFAULT_STYLE = {
+  stroke: "#ef4444",
+  fill: "#ef4444",
+  opacity: 1,
+  fillOpacity: 0.3,
+  strokeWidth: 3,
+  dash: "solid",
+};
+
+// What pre-style annotations looked like
+const LEGACY_STYLES = {
+  box: { stroke: "#ff0000", strokeWidth: 1, fillOpacity: 0 },
+  x: { stroke: "#ff0000" },
+  arrow: { stroke: "#008000", strokeWidth: 4 },
+  text: { stroke: "#ffffff" },
+};
+
+/** @returns {AnnotationStyle} */
+export function annotationStyle(a) {
+  return { ...DEFAULT_STYLE, ...(a.style ? {} : LEGACY_STYLES[a.type]), ...a.style };
+}
+
+/** "#ef4444" + 0.3 -> "rgba(239, 68, 68, 0.3)" */
+export function withAlpha(hex, alpha) {
+  const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || "");
+  if (!m) return hex;
+  const [r, g, b] = m.slice(1).map((h) => parseInt(h, 16));
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+/**
+ * Maps slide image pixels to stage pixels for an image drawn at
+ * (offsetX, offsetY) and `scale`. inImage reads positions of annotations
+ * saved in stage pixels, before positions were kept in image pixels (any
+ * position past the image edge).
+ */
+export function annotationView(image, offsetX, offsetY, scale) {
+  const migrate = (val, axis) => {
+    if (typeof val !== "number") return val;
+    return val < (axis === "x" ? image.width : image.height)
+      ? val
+      : (val - (axis === "x" ? offsetX : offsetY)) / scale;
+  };
+  return {
+    scale,
+    stageX: (x) => offsetX + x * scale,
+    stageY: (y) => offsetY + y * scale,
+    stagePoints: (points) => points.map((v, i) => (i % 2 === 0 ? offsetX : offsetY) + v * scale),
+    toImage: (pos) => ({ x: (pos.x - offsetX) / scale, y: (pos.y - offsetY) / scale }),
+    inImage: (a) => {
+      const moved = {};
+      ["x", "x1", "x2"].forEach((k) => k in a && (moved[k] = migrate(a[k], "x")));
+      ["y", "y1", "y2"].forEach((k) => k in a && (moved[k] = migrate(a[k], "y")));
+      return { ...a, ...moved };
+    },
+  };
+}
+
+/** Shapes whose position lives in their points rather than x/y. */
+export const hasPoints = (a) => ["line", "polygon", "freehand"].includes(a.type);
+
+/** Moves an annotation by (dx, dy) image pixels, returning the changed fields. */
+export function translateAnnotation(a, dx, dy) {
+  if (hasPoints(a)) return { points: a.points.map((v, i) => v + (i % 2 === 0 ? dx : dy)) };
+  if (a.type === "arrow") return { x1: a.x1 + dx, y1: a.y1 + dy, x2: a.x2 + dx, y2: a.y2 + dy };
+  return { x: a.x + dx, y: a.y + dy };
+}
+
+/**
+ * Rounds points to a tenth of a pixel and drops any closer than `tolerance`
+ * to the previous one, e.g. the repeated point a double-click adds when
+ * finishing a line, keeping freehand strokes small to save.
+ */
+export function simplifyPoints(points, tolerance = 2) {
+  const out = [];
+  for (let i = 0; i < points.length; i += 2) {
+    const n = out.length;
+    if (n >= 2 && Math.hypot(points[i] - out[n - 2], points[i + 1] - out[n - 1]) < tolerance) continue;
+    out.push(Math.round(points[i] * 10) / 10, Math.round(points[i + 1] * 10) / 10);
+  }
+  return out;
+}
+
+/** Whether a finished draft has enough to it to keep. */
+export function isCompleteDraft(d) {
+  if (d.type === "line" || d.type === "freehand") return d.points.length >= 4;
+  if (d.type === "polygon") return d.points.length >= 6;
+  if (d.type === "circle") return d.r > 1;
+  if (d.type === "box") return Math.abs(d.w) > 1 && Math.abs(d.h) > 1;
+  if (d.type === "arrow") return Math.hypot(d.x2 - d.x1, d.y2 - d.y1) > 1;
+  return true;
+}
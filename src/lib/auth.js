@@ -0,0 +1,58 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+
+// --- Operator login ---
+// Mirrors the backend rule: a permission path also covers everything below it.
+export function hasPermission(permissions, field) {
+  return (permissions || []).some((p) => field === p || field.startsWith(`${p}.`));
+}
+
+const STORAGE_KEY = "auth";
+
+function loadSession() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+export function useAuth(API) {
+  const [session, setSession] = useState(loadSession);
+  const token = session?.token;
+
+  const logout = () => {
+    localStorage.removeItem(STORAGE_KEY);
+    setSession(null);
+  };
+
+  // Drop a stored token the backend no longer accepts (expired, user removed)
+  useEffect(() => {
+    if (!token) return;
+    axios
+      .get(`${API}/api/me`, { headers: { Authorization: `Bearer ${token}` } })
+      .then((res) => setSession((s) => ({ ...s, user: res.data })))
+      .catch((err) => {
+        if (err.response?.status !== 401) return;
+        localStorage.removeItem(STORAGE_KEY);
+        setSession(null);
+      });
+  }, [API, token]);
+
+  const login = async (username, password) => {
+    const res = await axios.post(`${API}/api/login`, { username, password });
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(res.data));
+    setSession(res.data);
+    return res.data.user;
+  };
+
+  const user = session?.user || null;
+
+  return {
+    user,
+    login,
+    logout,
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    can: (field) => hasPermission(user?.permissions, field),
+  };
+}
@@ -0,0 +1,55 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+
+// --- NOTAM briefing ---
+// The logged-in operator's NOTAM acknowledgments and shift sign-offs. A NOTAM
+// is "new" when it was not active at the operator's last sign-off; before
+// their first sign-off nothing is flagged.
+
+export function useBriefing(API, airfield, auth) {
+  const [acks, setAcks] = useState({});
+  const [lastSignoff, setLastSignoff] = useState(null);
+  const username = auth.user?.username;
+  const authorization = auth.headers.Authorization;
+  const config = { params: { airfield }, headers: auth.headers };
+
+  useEffect(() => {
+    setAcks({});
+    setLastSignoff(null);
+    if (!username) return;
+    axios
+      .get(`${API}/api/notams/briefing`, { params: { airfield }, headers: { Authorization: authorization } })
+      .then((res) => {
+        setAcks(res.data?.acks || {});
+        setLastSignoff(res.data?.lastSignoff || null);
+      })
+      .catch((err) => console.error("❌ Failed to fetch NOTAM briefing:", err.message));
+  }, [API, airfield, username, authorization]);
+
+  async function acknowledge(id, acknowledged = true) {
+    try {
+      const res = await axios.post(`${API}/api/notams/ack`, { id, acknowledged }, config);
+      setAcks(res.data?.acks || {});
+    } catch (err) {
+      console.error("❌ Failed to acknowledge NOTAM:", err.message);
+    }
+  }
+
+  async function signOff(note = "") {
+    const res = await axios.post(`${API}/api/notams/signoff`, { note }, config);
+    setAcks(res.data?.acks || {});
+    setLastSignoff(res.data?.signoff || null);
+    return res.data?.signoff;
+  }
+
+  const seenAtSignoff = new Set((lastSignoff?.notams || []).map((n) => n.id));
+
+  return {
+    enabled: Boolean(username),
+    acks,
+    lastSignoff,
+    isNew: (id) => Boolean(lastSignoff) && !seenAtSignoff.has(id),
+    acknowledge,
+    signOff,
+  };
+}
@@ -0,0 +1,68 @@
+import { useRef, useState } from "react";
+
+// --- Undo / redo ---
+// A bounded stack of edits for one editing session. Each entry records
+// whatever the caller needs to apply it both ways; for slide annotations
+// that is the slide's annotation list before and after the edit, so undoing
+// touches only that slide and leaves other editors' work alone. Edits are
+// recorded, undone and redone only once the server has taken them, so the
+// stacks never get ahead of what is saved. While one undo or redo is being
+// saved, further ones are ignored: they would see the same top entry.
+
+const MAX_EDITS = 100;
+
+export function useEditHistory(limit = MAX_EDITS) {
+  const [done, setDone] = useState([]);
+  const [undone, setUndone] = useState([]);
+  const pending = useRef(false);
+
+  // Runs `apply(entry)` for the top of `from`; moves it to `to` once saved
+  async function move(from, setFrom, setTo, apply) {
+    const entry = from[from.length - 1];
+    if (!entry || pending.current) return false;
+    pending.current = true;
+    try {
+      if (!(await apply(entry))) return false;
+      setFrom((stack) => stack.filter((e) => e !== entry));
+      setTo((stack) => [...stack, entry]);
+      return true;
+    } finally {
+      pending.current = false;
+    }
+  }
+
+  return {
+    canUndo: done.length > 0,
+    canRedo: undone.length > 0,
+    record(entry) {
+      setDone((stack) => [...stack, entry].slice(-limit));
+      setUndone([]);
+    },
+    /**
+     * Reverts the latest edit with `revert(entry)`, which resolves to whether
+     * it was saved; only then does the edit move to the redo stack.
+     */
+    undo(revert) {
+      return move(done, setDone, setUndone, revert);
+    },
+    /** Reapplies the latest undone edit the same way. */
+    redo(reapply) {
+      return move(undone, setUndone, setDone, reapply);
+    },
+    reset() {
+      setDone([]);
+      setUndone([]);
+    },
+  };
+}
+
+/** Ctrl/⌘+Z, Ctrl/⌘+Shift+Z or Ctrl+Y; null for other keys and while typing. */
+export function undoShortcut(e) {
+  const target = e.target;
+  if (target?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName)) return null;
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return null;
+  const key = e.key.toLowerCase();
+  if (key === "z") return e.shiftKey ? "redo" : "undo";
+  if (key === "y" && !e.shiftKey) return "redo";
+  return null;
+}
@@ -0,0 +1,66 @@
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import { useEditHistory, undoShortcut } from "./editHistory";
+
+// Renders the hook and keeps the latest value it returned
+function renderHistory() {
+  const result = {};
+  function Probe() {
+    Object.assign(result, useEditHistory());
+    return null;
+  }
+  const root = createRoot(document.createElement("div"));
+  act(() => root.render(<Probe />));
+  return { result, unmount: () => act(() => root.unmount()) };
+}
+
+beforeAll(() => {
+  global.IS_REACT_ACT_ENVIRONMENT = true;
+});
+
+describe("useEditHistory", () => {
+  test("two undos back to back revert the latest edit once", async () => {
+    const { result, unmount } = renderHistory();
+    act(() => {
+      result.record({ key: "a", before: [], after: [1] });
+      result.record({ key: "a", before: [1], after: [1, 2] });
+    });
+
+    const reverted = [];
+    let save;
+    const revert = (entry) => {
+      reverted.push(entry.after);
+      return new Promise((resolve) => (save = resolve));
+    };
+    let first, second;
+    act(() => {
+      first = result.undo(revert);
+      second = result.undo(revert);
+    });
+    await act(async () => save(true));
+
+    expect(await first).toBe(true);
+    expect(await second).toBe(false);
+    expect(reverted).toEqual([[1, 2]]);
+    expect(result.canUndo).toBe(true);
+    expect(result.canRedo).toBe(true);
+    unmount();
+  });
+
+  test("an edit the server rejected stays on the undo stack", async () => {
+    const { result, unmount } = renderHistory();
+    act(() => result.record({ key: "a", before: [], after: [1] }));
+    await act(async () => expect(await result.undo(async () => false)).toBe(false));
+    expect(result.canUndo).toBe(true);
+    expect(result.canRedo).toBe(false);
+    unmount();
+  });
+});
+
+describe("undoShortcut", () => {
+  test("ignored while typing", () => {
+    expect(undoShortcut({ key: "z", ctrlKey: true, target: { tagName: "DIV" } })).toBe("undo");
+    expect(undoShortcut({ key: "Z", ctrlKey: true, shiftKey: true, target: {} })).toBe("redo");
+    expect(undoShortcut({ key: "z", ctrlKey: true, target: { tagName: "INPUT" } })).toBeNull();
+  });
+});
@@ -0,0 +1,133 @@
+import fitsTable from "../data/fitsTable.json";
+
+// --- Fighter Index of Thermal Stress ---
+// FITS from dry-bulb and dewpoint via the lookup table in data/fitsTable.json
+// (°F, 2° steps). An entered WBGT reading is reported alongside with its
+// heat-stress flag; it does not replace the FITS value.
+
+/**
+ * @typedef {Object} Fits
+ * @property {number} value - FITS °F, NaN when temperature is unknown
+ * @property {"NORMAL"|"CAUTION"|"DANGER"|"CANCEL"} level
+ * @property {number} tempF
+ * @property {number|null} dewF
+ * @property {{ value: number, flag: string }|null} wbgt
+ */
+
+// Lower bound (°F) of each level, highest first
+export const FITS_LEVELS = [
+  { level: "CANCEL", min: 115 },
+  { level: "DANGER", min: 102 },
+  { level: "CAUTION", min: 90 },
+  { level: "NORMAL", min: -Infinity },
+];
+
+// WBGT (°F) heat-stress flags, highest first
+export const WBGT_FLAGS = [
+  { flag: "BLACK", min: 90 },
+  { flag: "RED", min: 88 },
+  { flag: "YELLOW", min: 85 },
+  { flag: "GREEN", min: 80 },
+  { flag: "WHITE", min: -Infinity },
+];
+
+const TABLE_STEP = 2;
+const toF = (c) => (c * 9) / 5 + 32;
+
+export function fitsLevel(value) {
+  if (!Number.isFinite(value)) return "NORMAL";
+  return FITS_LEVELS.find((l) => value >= l.min).level;
+}
+
+export function wbgtFlag(wbgtF) {
+  return WBGT_FLAGS.find((f) => wbgtF >= f.min).flag;
+}
+
+// Table value at the nearest grid point, clamped to the table's range. The
+// table stops where dewpoint would exceed temperature.
+function lookup(tempF, dewF) {
+  const temps = Object.keys(fitsTable).map(Number);
+  const clamp = (v, list) => Math.min(Math.max(v, list[0]), list[list.length - 1]);
+  const t = clamp(Math.round(tempF / TABLE_STEP) * TABLE_STEP, temps);
+  const row = fitsTable[t];
+  const dews = Object.keys(row).map(Number);
+  const d = clamp(Math.round(dewF / TABLE_STEP) * TABLE_STEP, dews);
+  return row[d];
+}
+
+/**
+ * FITS for a dry-bulb/dewpoint pair in °C (as decoded from a METAR).
+ * Below the table's lowest temperature FITS is taken as the dry bulb.
+ * @param {number|null} tempC
+ * @param {number|null} dewC - unknown dewpoint uses the table's driest column
+ * @param {number|null} [wbgtF] - measured WBGT, °F
+ * @returns {Fits}
+ */
+export function computeFits(tempC, dewC, wbgtF = null) {
+  const wbgt = Number.isFinite(wbgtF) ? { value: wbgtF, flag: wbgtFlag(wbgtF) } : null;
+  if (!Number.isFinite(tempC)) {
+    return { value: NaN, level: "NORMAL", tempF: NaN, dewF: null, wbgt };
+  }
+
+  const tempF = Math.round(toF(tempC));
+  const dewF = Number.isFinite(dewC) ? Math.round(toF(dewC)) : null;
+  const minTemp = Math.min(...Object.keys(fitsTable).map(Number));
+  const value = tempF < minTemp ? tempF : lookup(tempF, dewF ?? -Infinity);
+  return { value, level: fitsLevel(value), tempF, dewF, wbgt };
+}
+
+/**
+ * Hourly FITS projection. Uses the backend's hourly forecast when present,
+ * otherwise interpolates from the current observation through the TAF's
+ * TX/TN groups holding the current dewpoint. Returns [] when neither is
+ * available.
+ * @param {Array<{ time: string, temperatureF: number, dewpointF: number|null }>} hourly
+ * @param {import("./taf").Taf|null} taf
+ * @param {import("./metar").Observation|null} observation
+ * @param {Date} [from]
+ * @param {number} [hours]
+ * @returns {Array<{ time: Date, value: number, level: string }>}
+ */
+export function projectFits(hourly, taf, observation, from = new Date(), hours = 18) {
+  const dewC = observation?.dewpoint ?? null;
+  const end = from.getTime() + hours * 60 * 60 * 1000;
+  const toC = (f) => ((f - 32) * 5) / 9;
+
+  if (hourly?.length) {
+    return hourly
+      .map((h) => ({ ...h, time: new Date(h.time) }))
+      .filter((h) => h.time.getTime() + 60 * 60 * 1000 > from.getTime() && h.time.getTime() < end)
+      .map((h) => {
+        const fits = computeFits(
+          toC(h.temperatureF),
+          h.dewpointF !== null ? toC(h.dewpointF) : dewC
+        );
+        return { time: h.time, value: fits.value, level: fits.level };
+      });
+  }
+
+  let points = [...(taf?.temperatures || [])].sort((a, b) => a.time - b.time);
+  if (Number.isFinite(observation?.temperature) && observation.time) {
+    points = [
+      { celsius: observation.temperature, time: observation.time },
+      ...points.filter((p) => p.time > observation.time),
+    ];
+  }
+  if (points.length < 2) return [];
+
+  const projection = [];
+  const start = new Date(from);
+  start.setUTCMinutes(0, 0, 0);
+  for (let t = start.getTime(); t < end; t += 60 * 60 * 1000) {
+    const next = points.findIndex((p) => p.time.getTime() > t);
+    if (next <= 0) continue; // outside the observed-to-TX/TN span
+    const a = points[next - 1];
+    const b = points[next];
+    const frac = (t - a.time.getTime()) / (b.time.getTime() - a.time.getTime());
+    // Half-cosine between min and max approximates the diurnal curve
+    const tempC = a.celsius + (b.celsius - a.celsius) * (1 - Math.cos(Math.PI * frac)) / 2;
+    const fits = computeFits(tempC, dewC === null ? null : Math.min(dewC, tempC));
+    projection.push({ time: new Date(t), value: fits.value, level: fits.level });
+  }
+  return projection;
+}
@@ -0,0 +1,75 @@
+import { computeFits, projectFits, fitsLevel, wbgtFlag } from "./fits";
+import fitsTable from "../data/fitsTable.json";
+import { decodeTaf } from "./taf";
+
+describe("computeFits", () => {
+  test("looks up the nearest table point for a METAR temperature/dewpoint", () => {
+    // 32/24 °C -> 90/75 °F -> row 90, column 76
+    const fits = computeFits(32, 24);
+    expect(fits).toMatchObject({ tempF: 90, dewF: 75, value: fitsTable["90"]["76"] });
+    expect(fits.level).toBe(fitsLevel(fitsTable["90"]["76"]));
+  });
+
+  test("humidity raises FITS at the same dry bulb", () => {
+    expect(computeFits(32, 24).value).toBeGreaterThan(computeFits(32, 10).value);
+  });
+
+  test("below the table FITS is the dry bulb", () => {
+    expect(computeFits(10, 5)).toMatchObject({ value: 50, level: "NORMAL" });
+  });
+
+  test("unknown temperature", () => {
+    expect(computeFits(null, null).level).toBe("NORMAL");
+    expect(computeFits(null, null).value).toBeNaN();
+  });
+
+  test("a WBGT reading is reported with its flag, not in place of FITS", () => {
+    const fits = computeFits(32, 24, 88.5);
+    expect(fits.wbgt).toEqual({ value: 88.5, flag: "RED" });
+    expect(fits.value).toBe(fitsTable["90"]["76"]);
+  });
+});
+
+describe("levels", () => {
+  test.each([
+    [89, "NORMAL"],
+    [90, "CAUTION"],
+    [102, "DANGER"],
+    [115, "CANCEL"],
+  ])("FITS %s is %s", (value, level) => expect(fitsLevel(value)).toBe(level));
+
+  test("WBGT flags", () => {
+    expect(wbgtFlag(79.9)).toBe("WHITE");
+    expect(wbgtFlag(90)).toBe("BLACK");
+  });
+});
+
+describe("projectFits", () => {
+  const from = new Date("2026-10-19T12:00:00Z");
+
+  test("uses the hourly forecast when there is one", () => {
+    const hourly = [
+      { time: "2026-10-19T12:00:00Z", temperatureF: 90, dewpointF: 76 },
+      { time: "2026-10-19T13:00:00Z", temperatureF: 100, dewpointF: 80 },
+    ];
+    expect(projectFits(hourly, null, null, from).map((p) => p.value)).toEqual([
+      fitsTable["90"]["76"],
+      fitsTable["100"]["80"],
+    ]);
+  });
+
+  test("otherwise runs from the observation through the TAF TX/TN groups", () => {
+    const taf = decodeTaf("TAF KMGM 191100Z 1912/2012 22008KT P6SM SKC TX36/1920Z TN22/2011Z", from);
+    const observation = { temperature: 26, dewpoint: 20, time: new Date("2026-10-19T11:53:00Z") };
+    const projection = projectFits([], taf, observation, from, 10);
+    const values = projection.map((p) => p.value);
+    expect(projection).toHaveLength(10);
+    expect(projection[8].time.toISOString()).toBe("2026-10-19T20:00:00.000Z");
+    expect(projection[8].value).toBe(Math.max(...values));
+    expect(projection[8].value).toBeGreaterThan(projection[0].value);
+  });
+
+  test("nothing to project from", () => {
+    expect(projectFits([], null, null, from)).toEqual([]);
+  });
+});
@@ -0,0 +1,64 @@
+// --- Ceiling + flight category ---
+// One place for the ceiling rule and category thresholds so the METAR badge,
+// ALT REQ check, TAF timeline and TAF highlighting never disagree.
+
+// A row applies when ceiling or visibility is below its limits (at or below
+// with `inclusive`). Rows are checked worst-first; nothing matching is VFR.
+export const CATEGORY_STANDARDS = {
+  // AIM 7-1-7: MVFR is 1,000-3,000 ft and/or 3-5 SM inclusive
+  FAA: [
+    { category: "LIFR", ceiling: 500, visibility: 1 },
+    { category: "IFR", ceiling: 1000, visibility: 3 },
+    { category: "MVFR", ceiling: 3000, visibility: 5, inclusive: true },
+  ],
+  USAF: [
+    { category: "LIFR", ceiling: 200, visibility: 0.5 },
+    { category: "IFR", ceiling: 1000, visibility: 3 },
+    { category: "MVFR", ceiling: 3000, visibility: 5 },
+  ],
+};
+
+export const DEFAULT_STANDARD =
+  (typeof process !== "undefined" && process.env?.REACT_APP_FLIGHT_CATEGORY_STANDARD) ||
+  "FAA";
+
+export const CATEGORY_RANK = { VFR: 0, MVFR: 1, IFR: 2, LIFR: 3 };
+
+/**
+ * Ceiling in feet: the lowest BKN, OVC or VV layer. FEW/SCT never form a
+ * ceiling, and CLR/SKC/NSC (an empty layer list) give Infinity. An obscured
+ * sky with unknown vertical visibility (VV///) counts as 0 ft.
+ */
+export function ceilingFt(clouds) {
+  const bases = (clouds || [])
+    .filter((c) => ["BKN", "OVC", "VV"].includes(c.cover))
+    .map((c) => (c.base === null ? (c.cover === "VV" ? 0 : null) : c.base))
+    .filter((b) => b !== null);
+  return bases.length ? Math.min(...bases) : Infinity;
+}
+
+// The layer that sets the ceiling, for display
+export function ceilingLayer(clouds) {
+  const ceiling = ceilingFt(clouds);
+  if (ceiling === Infinity) return null;
+  return clouds.find(
+    (c) => ["BKN", "OVC", "VV"].includes(c.cover) && (c.base ?? 0) === ceiling
+  );
+}
+
+export function flightCategory(ceiling, visibility, standard = DEFAULT_STANDARD) {
+  const rows = CATEGORY_STANDARDS[standard] || CATEGORY_STANDARDS.FAA;
+  for (const row of rows) {
+    const below = (value, limit) => (row.inclusive ? value <= limit : value < limit);
+    if (below(ceiling, row.ceiling) || below(visibility, row.visibility)) return row.category;
+  }
+  return "VFR";
+}
+
+// Category for anything with { clouds, visibility }: a decoded METAR or a
+// TAF forecast period. Unreported visibility does not lower the category.
+export function categorize(conditions, standard = DEFAULT_STANDARD) {
+  if (!conditions) return null;
+  const vis = conditions.visibility ? conditions.visibility.miles : Infinity;
+  return flightCategory(ceilingFt(conditions.clouds), vis, standard);
+}
@@ -0,0 +1,44 @@
+import { ceilingFt, ceilingLayer, flightCategory, categorize } from "./flightCategory";
+import { decodeMetar } from "./metar";
+
+const clouds = (raw) => decodeMetar(`KMGM 191853Z 00000KT 10SM ${raw} 20/10 A3000`).clouds;
+
+describe("ceilingFt", () => {
+  test("the lowest BKN/OVC/VV layer, not the first", () => {
+    expect(ceilingFt(clouds("FEW005 SCT008 OVC030 BKN012"))).toBe(1200);
+    expect(ceilingLayer(clouds("FEW005 SCT008 OVC030 BKN012")).raw).toBe("BKN012");
+  });
+
+  test("FEW/SCT and clear skies give no ceiling", () => {
+    expect(ceilingFt(clouds("FEW005 SCT008"))).toBe(Infinity);
+    expect(ceilingFt([])).toBe(Infinity);
+  });
+
+  test("unknown vertical visibility counts as 0 ft", () => {
+    expect(ceilingFt(clouds("VV///"))).toBe(0);
+  });
+});
+
+describe("flightCategory", () => {
+  test.each([
+    [Infinity, 10, "VFR"],
+    [3000, 10, "MVFR"],
+    [900, 10, "IFR"],
+    [400, 10, "LIFR"],
+    [Infinity, 0.75, "LIFR"],
+  ])("FAA ceiling %s ft, visibility %s SM -> %s", (ceiling, vis, category) => {
+    expect(flightCategory(ceiling, vis, "FAA")).toBe(category);
+  });
+
+  test("USAF standard has exclusive MVFR limits and lower LIFR", () => {
+    expect(flightCategory(3000, 10, "USAF")).toBe("VFR");
+    expect(flightCategory(400, 10, "USAF")).toBe("IFR");
+  });
+});
+
+describe("categorize", () => {
+  test("unreported visibility does not lower the category", () => {
+    expect(categorize({ clouds: clouds("BKN040"), visibility: null }, "FAA")).toBe("VFR");
+    expect(categorize(decodeMetar("KMGM 190553Z 00000KT M1/4SM FG VV002 18/18 A3001"), "FAA")).toBe("LIFR");
+  });
+});
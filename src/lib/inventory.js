@@ -0,0 +1,55 @@
+// --- NAVAID / barrier / BASH inventory ---
+// Items come from the airfield profile, each with the statuses it allows.
+// The first status is the default and buttons step through them in order.
+// Mirrors INVENTORY_KINDS in backend/airfields.js.
+
+/**
+ * @typedef {Object} InventoryItem
+ * @property {string} id
+ * @property {string} name
+ * @property {string} type
+ * @property {string[]} statuses
+ */
+
+export const INVENTORY_KINDS = {
+  navaids: {
+    label: "NAVAIDs",
+    type: "NAVAID",
+    types: ["TACAN", "VORTAC", "VOR", "ILS", "LOC", "NDB"],
+    statuses: ["IN", "OUT"],
+  },
+  barriers: {
+    label: "Barriers",
+    type: "BAK-12",
+    types: ["BAK-12", "BAK-14", "MA-1A", "61QS11"],
+    statuses: ["DOWN", "UP", "UNSERVICEABLE"],
+  },
+  bashAreas: {
+    label: "BASH Areas",
+    type: "AREA",
+    types: ["AIRFIELD", "MOA", "ROUTE", "RANGE"],
+    statuses: ["LOW", "MODERATE", "SEVERE", "N/A"],
+  },
+};
+
+// Button colors for the built-in statuses; anything else is neutral
+const STATUS_COLORS = {
+  IN: "bg-green-600",
+  OUT: "bg-red-600",
+  DOWN: "bg-green-600",
+  UP: "bg-green-600",
+  UNSERVICEABLE: "bg-red-600",
+  LOW: "bg-green-600",
+  MODERATE: "bg-yellow-500 text-black",
+  SEVERE: "bg-red-600",
+};
+
+export function statusColor(status) {
+  return STATUS_COLORS[status] || "bg-slate-700";
+}
+
+/** The status after `current` for `item`, wrapping to the first. */
+export function nextStatus(item, current) {
+  const { statuses } = item;
+  return statuses[(statuses.indexOf(current) + 1) % statuses.length];
+}
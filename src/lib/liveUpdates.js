@@ -0,0 +1,105 @@
+import { useEffect, useRef, useState } from "react";
+import { v4 as uuidv4 } from "uuid";
+
+// --- Live updates over WebSocket ---
+// One socket per backend and airfield, shared by every component that
+// subscribes to it.
+// Writes carry our client id so we can ignore the echo of our own changes.
+export const CLIENT_ID = uuidv4();
+export const liveHeaders = { "X-Client-Id": CLIENT_ID };
+
+const RETRY_MIN = 1000;
+const RETRY_MAX = 30 * 1000;
+
+const channels = {};
+
+function socketUrl(api, airfield) {
+  const url = `${api.replace(/^http/, "ws").replace(/\/$/, "")}/ws`;
+  return airfield ? `${url}?airfield=${encodeURIComponent(airfield)}` : url;
+}
+
+function getChannel(api, airfield) {
+  const key = `${api}|${airfield || ""}`;
+  if (channels[key]) return channels[key];
+
+  const channel = {
+    socket: null,
+    connected: false,
+    retryDelay: RETRY_MIN,
+    retryTimer: null,
+    listeners: new Set(),
+    statusListeners: new Set(),
+  };
+
+  const setConnected = (connected) => {
+    channel.connected = connected;
+    channel.statusListeners.forEach((fn) => fn(connected));
+  };
+
+  const connect = () => {
+    const socket = new WebSocket(socketUrl(api, airfield));
+    channel.socket = socket;
+
+    socket.onopen = () => {
+      channel.retryDelay = RETRY_MIN;
+      setConnected(true);
+    };
+    socket.onmessage = (e) => {
+      let msg;
+      try {
+        msg = JSON.parse(e.data);
+      } catch {
+        return;
+      }
+      if (msg.origin && msg.origin === CLIENT_ID) return;
+      channel.listeners.forEach((fn) => fn(msg));
+    };
+    socket.onclose = () => {
+      setConnected(false);
+      if (channel.listeners.size === 0) return;
+      channel.retryTimer = setTimeout(connect, channel.retryDelay);
+      channel.retryDelay = Math.min(channel.retryDelay * 2, RETRY_MAX);
+    };
+    socket.onerror = () => socket.close();
+  };
+
+  channel.connect = connect;
+  channel.close = () => {
+    clearTimeout(channel.retryTimer);
+    channel.socket?.close();
+    delete channels[key];
+  };
+
+  channels[key] = channel;
+  connect();
+  return channel;
+}
+
+/**
+ * Subscribe to pushed `{ type, payload }` messages from the backend for one
+ * airfield (the backend's default when omitted). Returns whether the socket is currently connected so callers can fall
+ * back to polling while it is down.
+ */
+export function useLiveUpdates(api, onMessage, airfield) {
+  const handlerRef = useRef(onMessage);
+  handlerRef.current = onMessage;
+  const [connected, setConnected] = useState(false);
+
+  useEffect(() => {
+    if (!api || typeof WebSocket === "undefined") return;
+
+    const channel = getChannel(api, airfield);
+    const listener = (msg) => handlerRef.current?.(msg);
+    channel.listeners.add(listener);
+    channel.statusListeners.add(setConnected);
+    setConnected(channel.connected);
+
+    return () => {
+      channel.listeners.delete(listener);
+      channel.statusListeners.delete(setConnected);
+      if (channel.listeners.size === 0) channel.close();
+    };
+  }, [api, airfield]);
+
+  return connected;
+}
@@ -0,0 +1,389 @@
+import { ceilingLayer } from "./flightCategory";
+
+// --- METAR / SPECI decoder ---
+// Shared by every dashboard. Handles US (SM, inHg) and ICAO (metres, hPa)
+// formats; anything it cannot place is kept in `unparsed` rather than dropped.
+
+/**
+ * @typedef {Object} Wind
+ * @property {number|null} direction - degrees true, null when VRB
+ * @property {boolean} variable - VRB direction
+ * @property {number} speed
+ * @property {number|null} gust
+ * @property {string} unit - KT, MPS or KMH
+ * @property {number|null} varFrom - dddVddd range
+ * @property {number|null} varTo
+ * @property {string} raw
+ *
+ * @typedef {Object} Visibility
+ * @property {number} miles - statute miles (metric reports converted)
+ * @property {boolean} lessThan - M prefix
+ * @property {boolean} greaterThan - P prefix or 9999
+ * @property {string} raw
+ *
+ * @typedef {Object} CloudLayer
+ * @property {"FEW"|"SCT"|"BKN"|"OVC"|"VV"} cover
+ * @property {number|null} base - feet AGL, null when ///
+ * @property {"CB"|"TCU"|null} type
+ * @property {string} raw
+ *
+ * @typedef {Object} Observation
+ * @property {string} raw
+ * @property {"METAR"|"SPECI"} type
+ * @property {string|null} station
+ * @property {Date|null} time
+ * @property {boolean} auto
+ * @property {boolean} cor
+ * @property {boolean} nil
+ * @property {Wind|null} wind
+ * @property {Visibility|null} visibility
+ * @property {boolean} cavok
+ * @property {Array<{runway: string, min: number, max: number, lessThan: boolean, greaterThan: boolean, trend: string|null, raw: string}>} rvr
+ * @property {Array<{intensity: string, descriptor: string|null, phenomena: string[], description: string, raw: string}>} weather
+ * @property {CloudLayer[]} clouds
+ * @property {"CLR"|"SKC"|"NSC"|"NCD"|null} skyClear
+ * @property {number|null} temperature - °C
+ * @property {number|null} dewpoint - °C
+ * @property {{ inHg: number, hPa: number, raw: string }|null} altimeter
+ * @property {Object} remarks
+ * @property {string[]} unparsed
+ */
+
+const METERS_PER_MILE = 1609.344;
+
+export const WX_CODES = {
+  "-": "light",
+  "+": "heavy",
+  VC: "in the vicinity",
+  MI: "shallow",
+  PR: "partial",
+  BC: "patches",
+  DR: "low drifting",
+  BL: "blowing",
+  SH: "showers",
+  TS: "thunderstorm",
+  FZ: "freezing",
+  DZ: "drizzle",
+  RA: "rain",
+  SN: "snow",
+  SG: "snow grains",
+  IC: "ice crystals",
+  PL: "ice pellets",
+  GR: "hail",
+  GS: "small hail",
+  UP: "unknown precipitation",
+  BR: "mist",
+  FG: "fog",
+  FU: "smoke",
+  VA: "volcanic ash",
+  DU: "dust",
+  SA: "sand",
+  HZ: "haze",
+  PY: "spray",
+  PO: "dust whirls",
+  SQ: "squalls",
+  FC: "funnel cloud",
+  SS: "sandstorm",
+  DS: "duststorm",
+};
+
+const WIND_RE = /^(\d{3}|VRB|\/{3})(\d{2,3}|\/{2})(?:G(\d{2,3}))?(KT|MPS|KMH)$/;
+const WIND_VAR_RE = /^(\d{3})V(\d{3})$/;
+const VIS_SM_RE = /^(M|P)?(\d{1,2}|\d\/\d{1,2}|\d{1,2}\/\d{1,2})SM$/;
+const VIS_METRIC_RE = /^(\d{4})(NDV)?$/;
+const RVR_RE = /^R(\d{2}[LCR]?)\/(M|P)?(\d{4})(?:V(M|P)?(\d{4}))?(FT)?(?:\/?([UDN]))?$/;
+const WX_RE = /^(-|\+|VC)?(MI|PR|BC|DR|BL|SH|TS|FZ)?((?:DZ|RA|SN|SG|IC|PL|GR|GS|UP|BR|FG|FU|VA|DU|SA|HZ|PY|PO|SQ|FC|SS|DS)*)$/;
+const CLOUD_RE = /^(FEW|SCT|BKN|OVC|VV)(\d{3}|\/{3})(CB|TCU|\/{3})?$/;
+const TEMP_RE = /^(M?\d{2})\/(M?\d{2})?$/;
+const ALT_RE = /^([AQ])(\d{4})$/;
+
+// "M05" -> -5
+function signedTemp(text) {
+  if (!text) return null;
+  return text.startsWith("M") ? -parseInt(text.slice(1), 10) : parseInt(text, 10);
+}
+
+// "1/2" -> 0.5, "10" -> 10
+function fraction(text) {
+  if (text.includes("/")) {
+    const [num, denom] = text.split("/").map(Number);
+    return denom ? num / denom : NaN;
+  }
+  return Number(text);
+}
+
+/**
+ * Parse a statute-mile visibility such as "10SM", "1 1/2SM", "M1/4SM" or
+ * "P6SM" to a number of miles (NaN when it cannot be read).
+ */
+export function parseVisibility(visStr) {
+  if (!visStr) return NaN;
+  const parts = visStr.replace("SM", "").replace(/^[MP]/, "").trim().split(/\s+/);
+  return parts.reduce((total, part) => total + fraction(part), 0);
+}
+
+/**
+ * Resolve a DDHHMM group to a UTC Date near `ref`. Reports only carry the
+ * day of month, so a day well ahead of today belongs to the previous month
+ * and one well behind it to the next.
+ */
+export function dayTimeToDate(day, hour, minute, ref = new Date()) {
+  let best = null;
+  for (const offset of [-1, 0, 1]) {
+    const date = new Date(
+      Date.UTC(ref.getUTCFullYear(), ref.getUTCMonth() + offset, day, hour, minute)
+    );
+    // Skip months without that day (31 Feb would roll into March)
+    if (date.getUTCDate() !== day) continue;
+    if (!best || Math.abs(date - ref) < Math.abs(best - ref)) best = date;
+  }
+  return best;
+}
+
+export function decodeWind(token) {
+  const m = token.match(WIND_RE);
+  if (!m) return null;
+  const toKt = m[4] === "MPS" ? 1.94384 : m[4] === "KMH" ? 0.539957 : 1;
+  const speed = m[2].startsWith("/") ? null : Math.round(parseInt(m[2], 10) * toKt);
+  return {
+    direction: /^\d{3}$/.test(m[1]) ? parseInt(m[1], 10) : null,
+    variable: m[1] === "VRB",
+    speed,
+    gust: m[3] ? Math.round(parseInt(m[3], 10) * toKt) : null,
+    unit: m[4],
+    varFrom: null,
+    varTo: null,
+    raw: token,
+  };
+}
+
+export function decodeWeather(token) {
+  const m = token.match(WX_RE);
+  if (!m || (!m[2] && !m[3])) return null;
+  const phenomena = m[3] ? m[3].match(/.{2}/g) : [];
+  const intensity = m[1] || "";
+  const words = [
+    intensity && WX_CODES[intensity] !== "in the vicinity" ? WX_CODES[intensity] : null,
+    m[2] ? WX_CODES[m[2]] : null,
+    ...phenomena.map((p) => WX_CODES[p]),
+    intensity === "VC" ? WX_CODES.VC : null,
+  ].filter(Boolean);
+  return {
+    intensity,
+    descriptor: m[2] || null,
+    phenomena,
+    description: words.join(" "),
+    raw: token,
+  };
+}
+
+export function decodeCloud(token) {
+  const m = token.match(CLOUD_RE);
+  if (!m) return null;
+  return {
+    cover: m[1],
+    base: m[2].startsWith("/") ? null : parseInt(m[2], 10) * 100,
+    type: m[3] && !m[3].startsWith("/") ? m[3] : null,
+    raw: token,
+  };
+}
+
+// --- Remarks (US RMK section) ---
+function decodeRemarks(tokens) {
+  const text = tokens.join(" ");
+  const remarks = {
+    raw: text,
+    station: null,
+    seaLevelPressure: null,
+    peakWind: null,
+    windShift: null,
+    lightning: [],
+    temperature: null,
+    dewpoint: null,
+    maintenance: false,
+  };
+
+  const station = text.match(/\b(AO1|AO2)A?\b/);
+  if (station) remarks.station = station[1];
+
+  const slp = text.match(/\bSLP(\d{3})\b/);
+  if (slp) {
+    const tenths = parseInt(slp[1], 10);
+    remarks.seaLevelPressure = (tenths < 500 ? 10000 + tenths : 9000 + tenths) / 10;
+  }
+
+  const pk = text.match(/\bPK WND (\d{3})(\d{2,3})\/(\d{2})?(\d{2})\b/);
+  if (pk) {
+    remarks.peakWind = {
+      direction: parseInt(pk[1], 10),
+      speed: parseInt(pk[2], 10),
+      hour: pk[3] ? parseInt(pk[3], 10) : null,
+      minute: parseInt(pk[4], 10),
+    };
+  }
+
+  const wshft = text.match(/\bWSHFT (\d{2})?(\d{2})( FROPA)?\b/);
+  if (wshft) {
+    remarks.windShift = {
+      hour: wshft[1] ? parseInt(wshft[1], 10) : null,
+      minute: parseInt(wshft[2], 10),
+      frontalPassage: !!wshft[3],
+    };
+  }
+
+  // e.g. "OCNL LTGICCG OHD", "LTG DSNT NE-S", "FRQ LTGCG VC E"
+  const ltgRe = /(?:\b(OCNL|FRQ|CONS) )?\bLTG([A-Z]*)((?: (?:DSNT|VC|OHD|ALQDS|AND|[NESW]{1,2}(?:-[NESW]{1,2})?)\b)*)/g;
+  let ltg;
+  while ((ltg = ltgRe.exec(text))) {
+    remarks.lightning.push({
+      frequency: ltg[1] || null,
+      types: ltg[2] ? ltg[2].match(/IC|CC|CG|CA/g) || [] : [],
+      location: ltg[3].trim() || null,
+      raw: ltg[0].trim(),
+    });
+  }
+
+  // Hourly temperature to tenths: T01830122 = 18.3 / 12.2
+  const t = text.match(/\bT([01])(\d{3})(?:([01])(\d{3}))?\b/);
+  if (t) {
+    remarks.temperature = (t[1] === "1" ? -1 : 1) * parseInt(t[2], 10) / 10;
+    if (t[3]) remarks.dewpoint = (t[3] === "1" ? -1 : 1) * parseInt(t[4], 10) / 10;
+  }
+
+  remarks.maintenance = /\$$/.test(text);
+  return remarks;
+}
+
+/**
+ * Decode a raw METAR or SPECI into an Observation. Returns null for empty
+ * input; a report the decoder cannot read still comes back with `raw` set.
+ * @returns {Observation|null}
+ */
+export function decodeMetar(raw, ref = new Date()) {
+  if (!raw || !raw.trim()) return null;
+
+  const text = raw.trim().replace(/=$/, "");
+  const [body, rmk] = text.split(/\sRMK\s/);
+  const tokens = body.split(/\s+/);
+
+  const obs = {
+    raw: text,
+    type: "METAR",
+    station: null,
+    time: null,
+    auto: false,
+    cor: false,
+    nil: false,
+    wind: null,
+    visibility: null,
+    cavok: false,
+    rvr: [],
+    weather: [],
+    clouds: [],
+    skyClear: null,
+    temperature: null,
+    dewpoint: null,
+    altimeter: null,
+    remarks: decodeRemarks(rmk ? rmk.split(/\s+/) : []),
+    unparsed: [],
+  };
+
+  let i = 0;
+  if (tokens[i] === "METAR" || tokens[i] === "SPECI") obs.type = tokens[i++];
+  if (/^[A-Z][A-Z0-9]{3}$/.test(tokens[i])) obs.station = tokens[i++];
+
+  const time = tokens[i]?.match(/^(\d{2})(\d{2})(\d{2})Z$/);
+  if (time) {
+    obs.time = dayTimeToDate(+time[1], +time[2], +time[3], ref);
+    i++;
+  }
+
+  for (; i < tokens.length; i++) {
+    const tok = tokens[i];
+    const next = tokens[i + 1];
+    let m;
+
+    if (tok === "AUTO") obs.auto = true;
+    else if (tok === "COR" || tok === "CCA") obs.cor = true;
+    else if (tok === "NIL") obs.nil = true;
+    else if (!obs.wind && WIND_RE.test(tok)) obs.wind = decodeWind(tok);
+    else if (obs.wind && (m = tok.match(WIND_VAR_RE))) {
+      obs.wind.varFrom = parseInt(m[1], 10);
+      obs.wind.varTo = parseInt(m[2], 10);
+      obs.wind.raw += ` ${tok}`;
+    } else if (tok === "CAVOK") {
+      obs.cavok = true;
+      obs.visibility = { miles: 6, lessThan: false, greaterThan: true, raw: tok };
+    } else if (!obs.visibility && /^\d$/.test(tok) && next && /^\d\/\d{1,2}SM$/.test(next)) {
+      // Whole + fraction split across two tokens: "1 1/2SM"
+      obs.visibility = {
+        miles: parseInt(tok, 10) + fraction(next.replace("SM", "")),
+        lessThan: false,
+        greaterThan: false,
+        raw: `${tok} ${next}`,
+      };
+      i++;
+    } else if (!obs.visibility && (m = tok.match(VIS_SM_RE))) {
+      obs.visibility = {
+        miles: fraction(m[2]),
+        lessThan: m[1] === "M",
+        greaterThan: m[1] === "P",
+        raw: tok,
+      };
+    } else if (!obs.visibility && !obs.clouds.length && (m = tok.match(VIS_METRIC_RE))) {
+      const meters = parseInt(m[1], 10);
+      obs.visibility = {
+        miles: meters === 9999 ? 6.2 : Math.round((meters / METERS_PER_MILE) * 100) / 100,
+        lessThan: false,
+        greaterThan: meters === 9999,
+        raw: tok,
+      };
+    } else if ((m = tok.match(RVR_RE))) {
+      const min = parseInt(m[3], 10);
+      obs.rvr.push({
+        runway: m[1],
+        min,
+        max: m[5] ? parseInt(m[5], 10) : min,
+        lessThan: m[2] === "M",
+        greaterThan: (m[5] ? m[4] : m[2]) === "P",
+        unit: m[6] ? "FT" : "M",
+        trend: m[7] || null,
+        raw: tok,
+      });
+    } else if (["CLR", "SKC", "NSC", "NCD"].includes(tok)) obs.skyClear = tok;
+    else if ((m = decodeCloud(tok))) obs.clouds.push(m);
+    else if ((m = tok.match(TEMP_RE))) {
+      obs.temperature = signedTemp(m[1]);
+      obs.dewpoint = signedTemp(m[2]);
+    } else if ((m = tok.match(ALT_RE))) {
+      const value = parseInt(m[2], 10);
+      const inHg = m[1] === "A" ? value / 100 : Math.round((value / 33.8639) * 100) / 100;
+      const hPa = m[1] === "Q" ? value : Math.round(inHg * 33.8639);
+      obs.altimeter = { inHg, hPa, raw: tok };
+    } else if ((m = decodeWeather(tok))) obs.weather.push(m);
+    else obs.unparsed.push(tok);
+  }
+
+  // Tenths from the T group are more precise than the body temp/dew
+  if (obs.remarks.temperature !== null) obs.temperature = obs.remarks.temperature;
+  if (obs.remarks.dewpoint !== null) obs.dewpoint = obs.remarks.dewpoint;
+
+  return obs;
+}
+
+// Short display strings for the weather card
+export function formatMetar(obs) {
+  if (!obs) return {};
+  const temp = (t) => (t === null ? "--" : Math.round(t));
+  return {
+    wind: obs.wind?.raw || "--",
+    vis: obs.visibility?.raw || "--",
+    altimeter: obs.altimeter?.raw || "--",
+    tempdew:
+      obs.temperature === null ? "--" : `${temp(obs.temperature)}/${temp(obs.dewpoint)} °C`,
+    ceiling: ceilingLayer(obs.clouds)?.raw || "NONE",
+    sky: obs.clouds.map((c) => c.raw).join(" ") || obs.skyClear || "--",
+    weather: obs.weather.map((w) => w.raw).join(" ") || "--",
+    rvr: obs.rvr.map((r) => r.raw).join(" "),
+  };
+}
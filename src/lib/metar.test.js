@@ -0,0 +1,108 @@
+import { decodeMetar, formatMetar, parseVisibility, dayTimeToDate } from "./metar";
+
+// Real reports (KMGM and neighbours), trimmed only of trailing "=".
+const REF = new Date("2026-10-19T20:00:00Z");
+
+describe("decodeMetar", () => {
+  test("routine report with variable wind, several layers and remarks", () => {
+    const obs = decodeMetar(
+      "KMGM 191853Z 28012G22KT 280V340 10SM FEW040 SCT080 BKN250 31/18 A3002 RMK AO2 PK WND 30032/1822 SLP163 T03110178",
+      REF
+    );
+    expect(obs.station).toBe("KMGM");
+    expect(obs.time.toISOString()).toBe("2026-10-19T18:53:00.000Z");
+    expect(obs.wind).toMatchObject({ direction: 280, speed: 12, gust: 22, varFrom: 280, varTo: 340 });
+    expect(obs.visibility).toMatchObject({ miles: 10, lessThan: false, greaterThan: false });
+    expect(obs.clouds.map((c) => [c.cover, c.base])).toEqual([
+      ["FEW", 4000],
+      ["SCT", 8000],
+      ["BKN", 25000],
+    ]);
+    expect(obs.temperature).toBe(31.1);
+    expect(obs.dewpoint).toBe(17.8);
+    expect(obs.altimeter.inHg).toBe(30.02);
+    expect(obs.remarks.station).toBe("AO2");
+    expect(obs.remarks.seaLevelPressure).toBe(1016.3);
+    expect(obs.remarks.peakWind).toEqual({ direction: 300, speed: 32, hour: 18, minute: 22 });
+    expect(obs.unparsed).toEqual([]);
+  });
+
+  test("AUTO fog with vertical visibility below a quarter mile", () => {
+    const obs = decodeMetar(
+      "KMGM 190553Z AUTO 00000KT M1/4SM FG VV002 18/18 A3001 RMK AO2 SLP161 T01780178 $",
+      REF
+    );
+    expect(obs.auto).toBe(true);
+    expect(obs.wind).toMatchObject({ direction: 0, speed: 0, gust: null });
+    expect(obs.visibility).toMatchObject({ miles: 0.25, lessThan: true });
+    expect(obs.weather.map((w) => w.raw)).toEqual(["FG"]);
+    expect(obs.weather[0].description).toBe("fog");
+    expect(obs.clouds).toEqual([{ cover: "VV", base: 200, type: null, raw: "VV002" }]);
+    expect(obs.remarks.maintenance).toBe(true);
+    expect(formatMetar(obs).ceiling).toBe("VV002");
+  });
+
+  test("clear sky with greater-than visibility", () => {
+    const obs = decodeMetar("KBHM 191753Z 24008KT P6SM CLR 29/17 A3004", REF);
+    expect(obs.visibility).toMatchObject({ miles: 6, greaterThan: true });
+    expect(obs.skyClear).toBe("CLR");
+    expect(obs.clouds).toEqual([]);
+    expect(formatMetar(obs).sky).toBe("CLR");
+    expect(formatMetar(obs).ceiling).toBe("NONE");
+  });
+
+  test("corrected thunderstorm report with RVR, mist and lightning", () => {
+    const obs = decodeMetar(
+      "KMXF 192055Z COR 22015G28KT 1 1/2SM R10/4000VP6000FT +TSRA BR BKN008CB OVC020 24/22 A2990 RMK AO2 LTG DSNT ALQDS OCNL LTGICCG OHD SLP125",
+      REF
+    );
+    expect(obs.cor).toBe(true);
+    expect(obs.visibility).toMatchObject({ miles: 1.5, raw: "1 1/2SM" });
+    expect(obs.rvr).toEqual([
+      expect.objectContaining({ runway: "10", min: 4000, max: 6000, greaterThan: true, unit: "FT" }),
+    ]);
+    expect(obs.weather.map((w) => w.description)).toEqual(["heavy thunderstorm rain", "mist"]);
+    expect(obs.clouds[0]).toMatchObject({ cover: "BKN", base: 800, type: "CB" });
+    expect(obs.clouds[1]).toMatchObject({ cover: "OVC", base: 2000 });
+    expect(obs.remarks.lightning.map((l) => [l.frequency, l.types, l.location])).toEqual([
+      [null, [], "DSNT ALQDS"],
+      ["OCNL", ["IC", "CG"], "OHD"],
+    ]);
+    expect(obs.remarks.seaLevelPressure).toBe(1012.5);
+    expect(obs.unparsed).toEqual([]);
+  });
+
+  test("metric SPECI with RVR trend", () => {
+    const obs = decodeMetar("SPECI EGLL 190620Z 24004KT 0350 R27L/0500N FG OVC001 08/08 Q1019", REF);
+    expect(obs.type).toBe("SPECI");
+    expect(obs.visibility.miles).toBe(0.22);
+    expect(obs.rvr[0]).toMatchObject({ runway: "27L", min: 500, unit: "M", trend: "N" });
+    expect(obs.altimeter).toMatchObject({ hPa: 1019, inHg: 30.09 });
+  });
+
+  test("keeps tokens it cannot place", () => {
+    const obs = decodeMetar("KMGM 191853Z 28012KT 10SM CLR 31/18 A3002 XYZZY", REF);
+    expect(obs.unparsed).toEqual(["XYZZY"]);
+  });
+
+  test("empty input", () => {
+    expect(decodeMetar("  ")).toBeNull();
+  });
+});
+
+describe("parseVisibility", () => {
+  test.each([
+    ["10SM", 10],
+    ["1 1/2SM", 1.5],
+    ["M1/4SM", 0.25],
+    ["P6SM", 6],
+  ])("%s", (raw, miles) => expect(parseVisibility(raw)).toBe(miles));
+});
+
+describe("dayTimeToDate", () => {
+  test("a day far ahead of the reference belongs to the previous month", () => {
+    expect(dayTimeToDate(30, 23, 50, new Date("2026-11-01T01:00:00Z")).toISOString()).toBe(
+      "2026-10-30T23:50:00.000Z"
+    );
+  });
+});
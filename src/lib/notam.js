@@ -0,0 +1,342 @@
+// --- NOTAM parser ---
+// Decodes FAA domestic ("!MGM 09/012 MGM RWY 10/28 CLSD 2409151200-
+// 2409152000") and ICAO ("A1234/24 NOTAMN Q) ... A) ... B) ... E) ...")
+// NOTAMs into one model. Anything that matches neither keeps its text and is
+// categorized by keyword search. All times are UTC.
+
+/**
+ * @typedef {"RWY"|"TWY"|"NAV"|"OBST"|"SVC"|"OTHER"} NotamFacility
+ *
+ * @typedef {Object} QLine
+ * @property {string} fir
+ * @property {string} code - five-letter Q-code, e.g. "QMRLC"
+ * @property {string} subject - e.g. "MR" (runway)
+ * @property {string} condition - e.g. "LC" (closed)
+ * @property {string} traffic
+ * @property {string} purpose
+ * @property {string} scope
+ * @property {number} lower - flight level
+ * @property {number} upper - flight level
+ * @property {string|null} coordinates
+ *
+ * @typedef {Object} Notam
+ * @property {string} id
+ * @property {"DOMESTIC"|"ICAO"|"UNKNOWN"} format
+ * @property {string|null} number - "09/012", "A1234/24"
+ * @property {"N"|"R"|"C"} action - new, replacement or cancellation
+ * @property {string|null} replaces - number of the NOTAM replaced or cancelled
+ * @property {string|null} location
+ * @property {string|null} keyword - domestic keyword ("RWY", "NAV", "OBST", ...)
+ * @property {NotamFacility} facility
+ * @property {QLine|null} qLine
+ * @property {Date|null} start - null when in effect on issue (WIE) or unknown
+ * @property {Date|null} end - null when permanent, UFN or unknown
+ * @property {boolean} permanent
+ * @property {boolean} estimated - end time is an estimate (EST)
+ * @property {string|null} schedule - e.g. "DLY 1200-2000"
+ * @property {string} text - condition text (item E for ICAO)
+ * @property {string} raw
+ */
+
+export const NOTAM_FACILITIES = [
+  { facility: "RWY", label: "Runways" },
+  { facility: "TWY", label: "Taxiways / Aprons" },
+  { facility: "NAV", label: "NAVAIDs / Procedures" },
+  { facility: "OBST", label: "Obstacles" },
+  { facility: "SVC", label: "Services" },
+  { facility: "OTHER", label: "Other" },
+];
+
+// Domestic keywords by facility
+const KEYWORD_FACILITY = {
+  RWY: "RWY",
+  TWY: "TWY",
+  APRON: "TWY",
+  NAV: "NAV",
+  IAP: "NAV",
+  SID: "NAV",
+  STAR: "NAV",
+  ODP: "NAV",
+  OBST: "OBST",
+  SVC: "SVC",
+  COM: "SVC",
+  AD: "SVC",
+};
+
+// Q-code subjects (second and third letters) by facility; two-letter
+// entries override the first-letter group
+const Q_SUBJECT_FACILITY = {
+  MX: "TWY",
+  MA: "TWY",
+  MN: "TWY",
+  MK: "TWY",
+  MP: "TWY",
+  LX: "TWY",
+  OB: "OBST",
+  OL: "OBST",
+  M: "RWY",
+  L: "RWY",
+  I: "NAV",
+  N: "NAV",
+  G: "NAV",
+  P: "NAV",
+  F: "SVC",
+  S: "SVC",
+  C: "SVC",
+};
+
+// Domestic keyword equivalent of a Q-code subject
+const Q_SUBJECT_KEYWORD = {
+  MX: "TWY",
+  MA: "APRON",
+  MN: "APRON",
+  PI: "IAP",
+  PD: "SID",
+  PA: "STAR",
+  O: "OBST",
+  M: "RWY",
+  L: "AD",
+  I: "NAV",
+  N: "NAV",
+  G: "NAV",
+  F: "AD",
+  S: "SVC",
+  C: "COM",
+  A: "AIRSPACE",
+  R: "AIRSPACE",
+  W: "AIRSPACE",
+};
+
+const lookupSubject = (table, subject) => table[subject] || table[subject[0]] || null;
+
+// Keyword search for text that is in neither format
+const TEXT_FACILITY = [
+  [/\b(RWY|RUNWAY)\b/, "RWY"],
+  [/\b(TWY|TAXIWAY|APRON|RAMP)\b/, "TWY"],
+  [/\b(ILS|LOC|GS|VOR|VORTAC|TACAN|NDB|GPS|RNAV|IAP|SID|STAR|NAV)\b/, "NAV"],
+  [/\b(OBST|OBSTRUCTION|CRANE|TOWER)\b/, "OBST"],
+  [/\b(SVC|FUEL|ATIS|TWR|COM|ARFF|PPR)\b/, "SVC"],
+];
+
+const DAY = "(?:MON|TUE|WED|THU|FRI|SAT|SUN)";
+const DAYS = `${DAY}(?:-${DAY})?(?:\\s*,?\\s*${DAY}(?:-${DAY})?)*`;
+const SCHEDULE_RE = new RegExp(
+  `\\b((?:DLY|DAILY|${DAYS})\\s+\\d{4}-\\d{4}(?:\\s*,?\\s*\\d{4}-\\d{4})*)(?=\\s|$)`
+);
+
+/** "2409151200" (YYMMDDHHMM, UTC) to a Date, or null. */
+export function parseNotamTime(value) {
+  const m = /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(value || "");
+  if (!m) return null;
+  const [, yy, mo, dd, hh, mi] = m.map(Number);
+  if (mo < 1 || mo > 12 || dd < 1 || dd > 31 || hh > 24 || mi > 59) return null;
+  return new Date(Date.UTC(2000 + yy, mo - 1, dd, hh, mi));
+}
+
+// Effective times from "start", "end" and an optional EST marker
+function effective(start, end, est) {
+  return {
+    start: parseNotamTime(start),
+    end: parseNotamTime(end),
+    permanent: end === "PERM",
+    estimated: Boolean(est),
+  };
+}
+
+function parseQLine(value) {
+  const m =
+    /^([A-Z]{4})\/(Q([A-Z]{2})([A-Z]{2}))\/([A-Z]*)\/([A-Z]*)\/([A-Z]*)\/(\d{3})\/(\d{3})(?:\/(\S+))?/.exec(
+      value.replace(/\s+/g, "")
+    );
+  if (!m) return null;
+  return {
+    fir: m[1],
+    code: m[2],
+    subject: m[3],
+    condition: m[4],
+    traffic: m[5],
+    purpose: m[6],
+    scope: m[7],
+    lower: Number(m[8]),
+    upper: Number(m[9]),
+    coordinates: m[10] || null,
+  };
+}
+
+function parseIcao(raw) {
+  const header = /\b([A-Z]\d{4}\/\d{2})\s+NOTAM([NRC])(?:\s+([A-Z]\d{4}\/\d{2}))?/.exec(raw);
+
+  // Items run from their "X)" label to the next label
+  const items = {};
+  const itemRe = /(?:^|\s)([QA-G])\)\s*([\s\S]*?)(?=\s[QA-G]\)\s|$)/g;
+  let m;
+  while ((m = itemRe.exec(raw))) items[m[1]] = m[2].trim();
+
+  const qLine = items.Q ? parseQLine(items.Q) : null;
+  const [, endTime, est] = /^(\d{10}|PERM|UFN)\s*(EST)?/.exec(items.C || "") || [];
+  const startTime = /^\d{10}/.exec(items.B || "")?.[0];
+
+  return {
+    format: "ICAO",
+    number: header?.[1] || null,
+    action: header?.[2] || "N",
+    replaces: header?.[3] || null,
+    location: items.A?.split(/\s+/)[0] || null,
+    keyword: qLine ? lookupSubject(Q_SUBJECT_KEYWORD, qLine.subject) : null,
+    facility: (qLine && lookupSubject(Q_SUBJECT_FACILITY, qLine.subject)) || null,
+    qLine,
+    ...effective(startTime, endTime, est),
+    schedule: items.D || null,
+    text: items.E || raw,
+  };
+}
+
+function parseDomestic(raw) {
+  const m = /^!([A-Z0-9]{3,4})\s+(\d{1,2}\/\d{1,4})\s+([A-Z0-9]{3,4})\s+([A-Z]+)\s+([\s\S]*)$/.exec(raw);
+  if (!m) return null;
+  const [, account, number, location, keyword, rest] = m;
+
+  let body = rest.replace(/\s*CREATED:[\s\S]*$/i, "").trim();
+  const times = /\s*(\d{10}|WIE)-(\d{10}|PERM|UFN)(EST)?\s*$/.exec(body);
+  if (times) body = body.slice(0, times.index).trim();
+  const schedule = SCHEDULE_RE.exec(body)?.[1].trim() || null;
+
+  return {
+    format: "DOMESTIC",
+    number: account === "FDC" ? `FDC ${number}` : number,
+    action: "N",
+    replaces: null,
+    location,
+    keyword,
+    facility: KEYWORD_FACILITY[keyword] || null,
+    qLine: null,
+    ...effective(times?.[1], times?.[2], times?.[3]),
+    schedule,
+    text: body,
+  };
+}
+
+/**
+ * Parse one NOTAM. `id` defaults to the NOTAM number.
+ * @param {string} raw
+ * @param {string} [id]
+ * @returns {Notam}
+ */
+export function parseNotam(raw, id) {
+  const text = (raw || "").trim();
+  // Scraped NOTAMs may repeat their id on a line of its own before the body
+  const lines = text.split("\n");
+  const body = lines.length > 1 && lines[0].trim() === id ? lines.slice(1).join("\n").trim() : text;
+
+  const parsed =
+    (/\bNOTAM[NRC]\b|\bQ\)\s*[A-Z]{4}\//.test(body) && parseIcao(body)) ||
+    (body.startsWith("!") && parseDomestic(body.replace(/\s+/g, " "))) ||
+    {
+      format: "UNKNOWN",
+      number: null,
+      action: "N",
+      replaces: null,
+      location: null,
+      keyword: null,
+      facility: null,
+      qLine: null,
+      start: null,
+      end: null,
+      permanent: false,
+      estimated: false,
+      schedule: SCHEDULE_RE.exec(body)?.[1].trim() || null,
+      text: body,
+    };
+
+  const facility =
+    parsed.facility || TEXT_FACILITY.find(([re]) => re.test(parsed.text))?.[1] || "OTHER";
+  return { ...parsed, id: id || parsed.number || text.slice(0, 20), facility, raw: text };
+}
+
+/**
+ * Where a NOTAM stands at `now`: PENDING before its start, EXPIRED after its
+ * end, otherwise ACTIVE. `next` is the start (pending) or end (active) time
+ * to count down to, null when there is none.
+ */
+export function notamTiming(notam, now = new Date()) {
+  if (notam.start && notam.start > now) return { state: "PENDING", next: notam.start };
+  if (notam.end && notam.end <= now) return { state: "EXPIRED", next: null };
+  return { state: "ACTIVE", next: notam.end };
+}
+
+/** "2d 4h", "3h 05m", "12m" */
+export function formatCountdown(ms) {
+  const minutes = Math.max(0, Math.floor(ms / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${String(mins).padStart(2, "0")}m`;
+  return `${mins}m`;
+}
+
+/**
+ * Group parsed NOTAMs by facility in NOTAM_FACILITIES order, dropping
+ * expired ones. Within a group active NOTAMs come first, soonest to expire
+ * first, then pending ones by start.
+ * @returns {{ groups: Array<{ facility: string, label: string, notams: Array<{ notam: Notam, timing: Object }> }>, expired: number }}
+ */
+export function groupNotams(notams, now = new Date()) {
+  const timed = notams.map((notam) => ({ notam, timing: notamTiming(notam, now) }));
+  const current = timed.filter((n) => n.timing.state !== "EXPIRED");
+  const order = (n) => [n.timing.state === "ACTIVE" ? 0 : 1, n.timing.next?.getTime() ?? Infinity];
+
+  const groups = NOTAM_FACILITIES.map(({ facility, label }) => ({
+    facility,
+    label,
+    notams: current
+      .filter((n) => n.notam.facility === facility)
+      .sort((a, b) => {
+        const [sa, ta] = order(a);
+        const [sb, tb] = order(b);
+        return sa - sb || ta - tb;
+      }),
+  })).filter((g) => g.notams.length > 0);
+
+  return { groups, expired: timed.length - current.length };
+}
+
+// --- Feed status ---
+// /api/notams reports the feed behind the list. The backend decides whether
+// the feed itself is stale; the client also goes stale when it has not heard
+// from the backend for NOTAM_STALE_MS.
+
+export const NOTAM_STALE_MS = 30 * 60 * 1000;
+
+export const NOTAM_SOURCE_LABELS = {
+  solace: "SWIM",
+  replay: "SWIM replay",
+  "fns-initial-load": "FNS initial load",
+  ourairports: "OurAirports",
+  "notams.faa.gov": "FAA NOTAM Search",
+};
+
+export const sourceLabel = (source) => NOTAM_SOURCE_LABELS[source] || source || "Unknown";
+
+/**
+ * Badge state for a feed.
+ * @param {{ source: string, updatedAt: string|null, stale: boolean, error: { message: string }|null, checkedAt: string }|null} feed
+ * @returns {{ stale: boolean, label: string, detail: string }}
+ */
+export function feedStatus(feed, now = new Date()) {
+  if (!feed) return { stale: true, label: "No feed", detail: "NOTAM feed status unknown" };
+  const checkedAge = now - new Date(feed.checkedAt || 0);
+  const stale = Boolean(feed.stale) || checkedAge > NOTAM_STALE_MS;
+  const updated = feed.updatedAt
+    ? `updated ${formatCountdown(now - new Date(feed.updatedAt))} ago`
+    : "no data yet";
+  const detail = [
+    `${sourceLabel(feed.source)} ${feed.state || ""}`.trim(),
+    updated,
+    checkedAge > NOTAM_STALE_MS && `backend last reached ${formatCountdown(checkedAge)} ago`,
+    feed.error?.message && `last error: ${feed.error.message}`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  return { stale, label: `${sourceLabel(feed.source)} · ${updated}`, detail };
+}
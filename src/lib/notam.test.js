@@ -0,0 +1,108 @@
+import { parseNotam, parseNotamTime, notamTiming, formatCountdown, groupNotams, feedStatus } from "./notam";
+
+const NOW = new Date("2026-10-19T18:00:00Z");
+
+describe("parseNotam", () => {
+  test("domestic runway closure with schedule", () => {
+    const n = parseNotam("!MGM 10/012 MGM RWY 10/28 CLSD DLY 1200-2000 2610191200-2610252000EST");
+    expect(n).toMatchObject({
+      format: "DOMESTIC",
+      id: "10/012",
+      location: "MGM",
+      keyword: "RWY",
+      facility: "RWY",
+      schedule: "DLY 1200-2000",
+      text: "10/28 CLSD DLY 1200-2000",
+      estimated: true,
+      permanent: false,
+    });
+    expect(n.start.toISOString()).toBe("2026-10-19T12:00:00.000Z");
+    expect(n.end.toISOString()).toBe("2026-10-25T20:00:00.000Z");
+  });
+
+  test("domestic NOTAM in effect on issue until further notice", () => {
+    const n = parseNotam("!FDC 6/4321 MGM NAV ILS RWY 10 GP OUT OF SERVICE WIE-UFN");
+    expect(n).toMatchObject({ number: "FDC 6/4321", facility: "NAV", start: null, end: null });
+  });
+
+  test("ICAO replacement with a Q-line", () => {
+    const n = parseNotam(
+      "A1234/26 NOTAMR A1200/26 Q) KZHU/QMRLC/IV/NBO/A/000/999/3221N08619W005 A) KMGM B) 2610191200 C) PERM E) RWY 10/28 CLSD"
+    );
+    expect(n).toMatchObject({
+      format: "ICAO",
+      number: "A1234/26",
+      action: "R",
+      replaces: "A1200/26",
+      location: "KMGM",
+      facility: "RWY",
+      permanent: true,
+      end: null,
+      text: "RWY 10/28 CLSD",
+    });
+    expect(n.qLine).toMatchObject({ code: "QMRLC", subject: "MR", condition: "LC", lower: 0, upper: 999 });
+  });
+
+  test("free text falls back to keyword search", () => {
+    const n = parseNotam("CRANE 150FT AGL 1NM E OF AIRFIELD", "local-1");
+    expect(n).toMatchObject({ format: "UNKNOWN", id: "local-1", facility: "OBST" });
+  });
+});
+
+describe("parseNotamTime", () => {
+  test("rejects malformed values", () => {
+    expect(parseNotamTime("2613011200")).toBeNull();
+    expect(parseNotamTime("WIE")).toBeNull();
+  });
+});
+
+describe("timing and grouping", () => {
+  const at = (start, end) => ({
+    facility: "RWY",
+    start: start && new Date(start),
+    end: end && new Date(end),
+  });
+
+  test("pending, active and expired", () => {
+    expect(notamTiming(at("2026-10-20T00:00:00Z", null), NOW).state).toBe("PENDING");
+    expect(notamTiming(at(null, "2026-10-19T20:00:00Z"), NOW)).toEqual({
+      state: "ACTIVE",
+      next: new Date("2026-10-19T20:00:00Z"),
+    });
+    expect(notamTiming(at(null, "2026-10-19T17:00:00Z"), NOW).state).toBe("EXPIRED");
+  });
+
+  test("active soonest-to-expire first, then pending; expired counted", () => {
+    const later = at(null, "2026-10-22T00:00:00Z");
+    const sooner = at(null, "2026-10-20T00:00:00Z");
+    const pending = at("2026-10-19T19:00:00Z", null);
+    const { groups, expired } = groupNotams([pending, later, at(null, "2026-10-19T00:00:00Z"), sooner], NOW);
+    expect(expired).toBe(1);
+    expect(groups.map((g) => g.facility)).toEqual(["RWY"]);
+    expect(groups[0].notams.map((n) => n.notam)).toEqual([sooner, later, pending]);
+  });
+
+  test("formatCountdown", () => {
+    expect(formatCountdown((2 * 24 + 4) * 3600000)).toBe("2d 4h");
+    expect(formatCountdown(185 * 60000)).toBe("3h 05m");
+    expect(formatCountdown(-1)).toBe("0m");
+  });
+});
+
+describe("feedStatus", () => {
+  test("stale when the backend has not been heard from", () => {
+    const feed = {
+      source: "solace",
+      state: "connected",
+      updatedAt: "2026-10-19T17:50:00Z",
+      checkedAt: "2026-10-19T17:00:00Z",
+      stale: false,
+      error: null,
+    };
+    const status = feedStatus(feed, NOW);
+    expect(status.stale).toBe(true);
+    expect(status.label).toBe("SWIM · updated 10m ago");
+    expect(status.detail).toContain("backend last reached 1h 00m ago");
+    expect(feedStatus(null).stale).toBe(true);
+  });
+});
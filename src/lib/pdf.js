@@ -0,0 +1,48 @@
+import * as pdfjsLib from "pdfjs-dist/legacy/build/pdf";
+
+// --- PDF slides ---
+// PDFs are rendered in the browser with pdf.js, one canvas per page. Loaded
+// documents are cached by URL; forgetPdf drops one when its file is deleted
+// or replaced.
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL(
+  "pdfjs-dist/legacy/build/pdf.worker.min.js",
+  import.meta.url
+).toString();
+
+const RENDER_WIDTH = 1600; // px; sharp enough for fullscreen
+const documents = new Map(); // url -> Promise<PDFDocumentProxy>
+
+function loadPdf(url) {
+  if (!documents.has(url)) {
+    const loading = pdfjsLib.getDocument(url).promise;
+    loading.catch(() => documents.delete(url));
+    documents.set(url, loading);
+  }
+  return documents.get(url);
+}
+
+export function forgetPdf(url) {
+  documents.get(url)?.then((doc) => doc.destroy()).catch(() => {});
+  documents.delete(url);
+}
+
+export async function pdfPageCount(url) {
+  return (await loadPdf(url)).numPages;
+}
+
+/**
+ * Renders one page (1-based) to a canvas RENDER_WIDTH wide, usable anywhere
+ * an image is (KonvaImage, drawImage).
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export async function renderPdfPage(url, page) {
+  const pdfPage = await (await loadPdf(url)).getPage(page);
+  const base = pdfPage.getViewport({ scale: 1 });
+  const viewport = pdfPage.getViewport({ scale: Math.min(RENDER_WIDTH / base.width, 4) });
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(viewport.width);
+  canvas.height = Math.round(viewport.height);
+  await pdfPage.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+  return canvas;
+}
@@ -0,0 +1,117 @@
+import { tafConditionsAt } from "./taf";
+import { windComponents, AIRCRAFT_LIMITS, DEFAULT_AIRCRAFT } from "./wind";
+
+// --- Runway-in-use recommendation ---
+// Scores each runway end on current and forecast tailwind, ILS status,
+// departure-end barrier and runway surface, and recommends the lowest.
+// Calm or near-equal winds keep the active runway so it does not flap.
+
+const HOUR_MS = 60 * 60 * 1000;
+const FORECAST_HOURS = 3;
+
+// Penalty points; a tailwind beyond the limit outweighs everything else
+const WEIGHTS = {
+  tailwindKt: 2,
+  wetTailwindKt: 3,
+  forecastTailwindKt: 1,
+  ilsOut: 5,
+  barrierUnserviceable: 10,
+  overLimit: 100,
+};
+const MIN_ADVANTAGE = 3;
+
+/**
+ * @param {Object} opts
+ * @param {import("./metar").Wind|null} opts.wind - current observed wind
+ * @param {import("./taf").Taf|null} [opts.taf]
+ * @param {Object} opts.navaids - { ils10, ils28, ... } as IN/OUT
+ * @param {Object} opts.barriers - { east, west } as UP/DOWN/UNSERVICEABLE
+ * @param {string} opts.rsc - DRY/WET/N/A
+ * @param {string} opts.activeRunway
+ * @param {import("./airfield").AirfieldProfile} opts.airfield
+ * @param {string} [opts.aircraft]
+ * @param {Date} [opts.now]
+ * @returns {{
+ *   runway: string,
+ *   change: boolean,
+ *   reasons: string[],
+ *   scores: Array<{ runway: string, score: number, tailwind: number, forecastTailwind: number, notes: string[] }>
+ * }}
+ */
+export function recommendRunway({
+  wind,
+  taf = null,
+  navaids = {},
+  barriers = {},
+  rsc,
+  activeRunway,
+  aircraft = DEFAULT_AIRCRAFT,
+  now = new Date(),
+  airfield,
+}) {
+  const tailwindLimit = AIRCRAFT_LIMITS[aircraft]?.tailwind ?? 10;
+
+  // Prevailing forecast winds for the next few hours
+  const forecastWinds = [];
+  for (let h = 1; h <= FORECAST_HOURS; h++) {
+    const at = tafConditionsAt(taf, new Date(now.getTime() + h * HOUR_MS));
+    if (at?.prevailing.wind) forecastWinds.push(at.prevailing.wind);
+  }
+
+  const scores = airfield.runways.map((rwy) => {
+    const notes = [];
+    let score = 0;
+
+    const current = windComponents(wind, rwy.id, airfield);
+    const tailwind = current ? current.worst.tailwind : 0;
+    if (tailwind > 0) {
+      score += tailwind * (rsc === "WET" ? WEIGHTS.wetTailwindKt : WEIGHTS.tailwindKt);
+      notes.push(`${tailwind} kt tailwind${rsc === "WET" ? " on a wet runway" : ""}`);
+    }
+    if (tailwind > tailwindLimit) {
+      score += WEIGHTS.overLimit;
+      notes.push(`tailwind beyond ${aircraft} limit ${tailwindLimit} kt`);
+    }
+
+    const forecastTailwind = Math.max(
+      0,
+      ...forecastWinds.map((w) => windComponents(w, rwy.id, airfield)?.worst.tailwind ?? 0)
+    );
+    if (forecastTailwind > 0) {
+      score += forecastTailwind * WEIGHTS.forecastTailwindKt;
+      notes.push(`${forecastTailwind} kt tailwind forecast next ${FORECAST_HOURS}h`);
+    }
+
+    if (rwy.ils && navaids[rwy.ils] === "OUT") {
+      score += WEIGHTS.ilsOut;
+      notes.push(`ILS ${rwy.id} OUT`);
+    }
+    if (rwy.departureBarrier && barriers[rwy.departureBarrier] === "UNSERVICEABLE") {
+      score += WEIGHTS.barrierUnserviceable;
+      notes.push(`${rwy.departureBarrier} (departure-end) barrier unserviceable`);
+    }
+
+    return { runway: rwy.id, score, tailwind, forecastTailwind, notes };
+  });
+
+  const active = scores.find((s) => s.runway === activeRunway) || scores[0];
+  const best = scores.reduce((a, b) => (b.score < a.score ? b : a), active);
+  const change = best !== active && active.score - best.score >= MIN_ADVANTAGE;
+  const runway = change ? best.runway : active.runway;
+
+  const reasons = change
+    ? [
+        `RWY ${active.runway}: ${active.notes.join(", ")}`,
+        best.notes.length
+          ? `RWY ${best.runway}: ${best.notes.join(", ")}`
+          : `RWY ${best.runway}: no penalties`,
+      ]
+    : [
+        active.notes.length
+          ? `RWY ${active.runway}: ${active.notes.join(", ")}`
+          : `RWY ${active.runway}: no tailwind, ILS and barrier available`,
+        ...(best !== active ? [`RWY ${best.runway} not enough better to change`] : []),
+      ];
+
+  return { runway, change, reasons, scores };
+}
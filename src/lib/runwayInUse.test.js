@@ -0,0 +1,54 @@
+import { recommendRunway } from "./runwayInUse";
+import { decodeWind } from "./metar";
+import { decodeTaf } from "./taf";
+
+// Runways from the KMGM profile in backend/airfields.json
+const KMGM = {
+  runways: [
+    { id: "10", magneticHeading: 96, trueHeading: 93, reciprocal: "28", ils: "ils10", departureBarrier: "east" },
+    { id: "28", magneticHeading: 276, trueHeading: 273, reciprocal: "10", ils: "ils28", departureBarrier: "west" },
+  ],
+};
+const NOW = new Date("2026-10-19T18:00:00Z");
+const base = {
+  navaids: { ils10: "IN", ils28: "IN" },
+  barriers: { east: "UP", west: "UP" },
+  rsc: "DRY",
+  activeRunway: "10",
+  now: NOW,
+  airfield: KMGM,
+};
+
+describe("recommendRunway", () => {
+  test("changes to the runway without a tailwind", () => {
+    const rec = recommendRunway({ ...base, wind: decodeWind("28012KT") });
+    expect(rec.runway).toBe("28");
+    expect(rec.change).toBe(true);
+    expect(rec.reasons[0]).toBe("RWY 10: 12 kt tailwind, tailwind beyond F-16 limit 10 kt");
+  });
+
+  test("calm wind keeps the active runway", () => {
+    const rec = recommendRunway({ ...base, wind: decodeWind("00000KT") });
+    expect(rec).toMatchObject({ runway: "10", change: false });
+    expect(rec.reasons).toEqual(["RWY 10: no tailwind, ILS and barrier available"]);
+  });
+
+  test("an unserviceable departure-end barrier outweighs a light tailwind", () => {
+    const rec = recommendRunway({
+      ...base,
+      wind: decodeWind("28004KT"),
+      barriers: { east: "UP", west: "UNSERVICEABLE" },
+    });
+    expect(rec.runway).toBe("10");
+    expect(rec.scores.find((s) => s.runway === "28").notes).toContain(
+      "west (departure-end) barrier unserviceable"
+    );
+  });
+
+  test("a forecast tailwind counts before it arrives", () => {
+    const taf = decodeTaf("TAF KMGM 191720Z 1918/2024 00000KT P6SM SKC FM191900 28015KT P6SM SKC", NOW);
+    const rec = recommendRunway({ ...base, wind: decodeWind("00000KT"), taf });
+    expect(rec.runway).toBe("28");
+    expect(rec.scores.find((s) => s.runway === "10").forecastTailwind).toBe(15);
+  });
+});
@@ -0,0 +1,158 @@
+import { useEffect, useState } from "react";
+import { pdfPageCount, renderPdfPage, forgetPdf } from "./pdf";
+
+// --- Slide library ---
+// Slides are PNG/JPG images or PDFs served from /slides/<ICAO>/<file>. Each
+// PDF page is a slide of its own, in page order at the PDF's place in the
+// library. Annotations are keyed by slide: the file name for an image,
+// "<file>#<page>" for a PDF page.
+//
+// /api/slides lists every slide with its schedule; each display picks the
+// ones active now that are meant for it (scheduledSlides).
+
+export const SLIDE_ACCEPT = ".png,.jpg,.jpeg,.pdf";
+
+export const SLIDE_PRIORITIES = [
+  { priority: "normal", label: "Normal" },
+  { priority: "high", label: "High (leads the rotation)" },
+  { priority: "pinned", label: "Pinned (only pinned slides show)" },
+];
+
+/**
+ * @typedef {Object} SlideEntry
+ * @property {string} file
+ * @property {number} duration - seconds on screen
+ * @property {string|null} activeFrom - ISO time
+ * @property {string|null} activeUntil - ISO time
+ * @property {string[]} displays - display names; empty shows everywhere
+ * @property {"normal"|"high"|"pinned"} priority
+ */
+
+/**
+ * This display's name from ?display= in the page URL (before or after the
+ * hash route), else `fallback`.
+ */
+export function requestedDisplay(fallback) {
+  if (typeof window === "undefined") return fallback;
+  const fromSearch = new URLSearchParams(window.location.search).get("display");
+  const fromHash = new URLSearchParams(window.location.hash.split("?")[1] || "").get("display");
+  return (fromSearch || fromHash || fallback).toLowerCase();
+}
+
+/** Where a slide stands at `now`: "pending", "active" or "expired". */
+export function slideWindow(entry, now = new Date()) {
+  if (entry.activeFrom && new Date(entry.activeFrom) > now) return "pending";
+  if (entry.activeUntil && new Date(entry.activeUntil) <= now) return "expired";
+  return "active";
+}
+
+export const showsOn = (entry, display) =>
+  !entry.displays?.length || entry.displays.includes(display);
+
+/**
+ * The slides `display` shows at `now`, in rotation order: only the pinned
+ * ones when any is active, otherwise high-priority slides first, each group
+ * in library order.
+ * @param {SlideEntry[]} entries
+ * @returns {SlideEntry[]}
+ */
+export function scheduledSlides(entries, display, now = new Date()) {
+  const live = entries.filter((e) => showsOn(e, display) && slideWindow(e, now) === "active");
+  const pinned = live.filter((e) => e.priority === "pinned");
+  if (pinned.length > 0) return pinned;
+  return [
+    ...live.filter((e) => e.priority === "high"),
+    ...live.filter((e) => e.priority !== "high"),
+  ];
+}
+
+export const isPdfSlide = (file) => /\.pdf$/i.test(file || "");
+
+export const slideUrl = (API, airfield, file) =>
+  `${API}/slides/${airfield}/${encodeURIComponent(file)}`;
+
+/** File name without its extension, for display and renaming. */
+export const slideTitle = (file) => (file || "").replace(/\.[^.]+$/, "");
+
+/** Moves the item at `from` to `to`, returning a new array. */
+export function moveItem(list, from, to) {
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+/**
+ * @typedef {Object} SlidePage
+ * @property {string} key - annotation key
+ * @property {string} file
+ * @property {number} duration - seconds on screen
+ * @property {number|null} page - 1-based PDF page, null for images
+ * @property {number|null} pages - page count of the PDF, null until known
+ */
+
+/**
+ * One entry per image and per PDF page; every page of a PDF shows for the
+ * PDF's duration. A PDF whose page count is not known yet shows as its
+ * first page.
+ * @param {SlideEntry[]} entries
+ * @param {Object<string, number>} pageCounts - file -> pages
+ * @returns {SlidePage[]}
+ */
+export function expandSlides(entries, pageCounts = {}) {
+  return entries.flatMap(({ file, duration }) => {
+    if (!isPdfSlide(file)) return [{ key: file, file, duration, page: null, pages: null }];
+    const pages = pageCounts[file] || null;
+    return Array.from({ length: pages || 1 }, (_, i) => ({
+      key: `${file}#${i + 1}`,
+      file,
+      duration,
+      page: i + 1,
+      pages,
+    }));
+  });
+}
+
+/** Slide pages for a list of slides, counting PDF pages as the PDFs load. */
+export function useSlidePages(API, airfield, entries) {
+  const [pageCounts, setPageCounts] = useState({});
+  // One string for the file list so the effect runs only when it changes
+  const fileKey = entries.map((e) => e.file).join("\n");
+
+  useEffect(() => {
+    const files = fileKey ? fileKey.split("\n") : [];
+    // Drop counts (and cached documents) for files that are gone
+    setPageCounts((counts) => {
+      const kept = {};
+      Object.entries(counts).forEach(([file, n]) => {
+        if (files.includes(file)) kept[file] = n;
+        else forgetPdf(slideUrl(API, airfield, file));
+      });
+      return kept;
+    });
+
+    files.filter(isPdfSlide).forEach((file) => {
+      pdfPageCount(slideUrl(API, airfield, file))
+        .then((n) => setPageCounts((counts) => ({ ...counts, [file]: n })))
+        .catch((err) => console.error(`❌ Failed to load ${file}:`, err.message));
+    });
+  }, [API, airfield, fileKey]);
+
+  return expandSlides(entries, pageCounts);
+}
+
+/**
+ * The drawable for a slide: a loaded Image, or a canvas for a PDF page.
+ * @param {SlidePage} slide
+ * @returns {Promise<HTMLImageElement|HTMLCanvasElement>}
+ */
+export function loadSlideImage(API, airfield, slide) {
+  const url = slideUrl(API, airfield, slide.file);
+  if (slide.page) return renderPdfPage(url, slide.page);
+  return new Promise((resolve, reject) => {
+    const img = new window.Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Failed to load ${slide.file}`));
+    img.src = url;
+  });
+}
@@ -0,0 +1,31 @@
+// --- State diff helpers (same field paths as the backend history log) ---
+const isObj = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+// Leaf-level { field, oldValue, newValue } changes between two state trees
+export function diffState(prev, next, prefix = "") {
+  const changes = [];
+  const keys = new Set([...Object.keys(prev || {}), ...Object.keys(next || {})]);
+  for (const key of keys) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    const a = prev?.[key];
+    const b = next?.[key];
+    if (isObj(a) || isObj(b)) {
+      changes.push(...diffState(isObj(a) ? a : {}, isObj(b) ? b : {}, field));
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push({ field, oldValue: a ?? null, newValue: b ?? null });
+    }
+  }
+  return changes;
+}
+
+// Build a partial update that sets only the given changed fields
+export function changesToPatch(changes) {
+  const patch = {};
+  for (const { field, newValue } of changes) {
+    const keys = field.split(".");
+    let node = patch;
+    keys.slice(0, -1).forEach((k) => (node = node[k] = node[k] || {}));
+    node[keys[keys.length - 1]] = newValue;
+  }
+  return patch;
+}
@@ -0,0 +1,295 @@
+import {
+  dayTimeToDate,
+  decodeWind,
+  decodeWeather,
+  decodeCloud,
+  parseVisibility,
+} from "./metar";
+import { flightCategory, categorize as defaultCategorize } from "./flightCategory";
+
+// --- TAF decoder ---
+// Splits a TAF into validity-bounded change groups and answers "what is
+// forecast at time t" by layering FM, BECMG and TEMPO/PROB groups.
+
+/**
+ * @typedef {Object} ForecastConditions
+ * @property {import("./metar").Wind|null} wind
+ * @property {import("./metar").Visibility|null} visibility
+ * @property {Array} weather
+ * @property {import("./metar").CloudLayer[]|null} clouds - null when the group leaves sky unchanged
+ * @property {string|null} skyClear
+ *
+ * @typedef {ForecastConditions & {
+ *   type: "BASE"|"FM"|"BECMG"|"TEMPO"|"PROB",
+ *   probability: number|null,
+ *   start: Date,
+ *   end: Date,
+ *   raw: string
+ * }} ForecastPeriod
+ *
+ * @typedef {Object} Taf
+ * @property {string} raw
+ * @property {string|null} station
+ * @property {boolean} amended
+ * @property {boolean} corrected
+ * @property {Date|null} issued
+ * @property {Date|null} validFrom
+ * @property {Date|null} validTo
+ * @property {Array<{ type: "max"|"min", celsius: number, time: Date }>} temperatures - TX/TN groups
+ * @property {ForecastPeriod[]} periods
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// DD/HH with the TAF convention that hour 24 is midnight at the end of DD
+function tafTime(day, hour, minute, ref) {
+  if (hour === 24) {
+    const date = dayTimeToDate(day, 0, minute, ref);
+    return new Date(date.getTime() + 24 * HOUR_MS);
+  }
+  return dayTimeToDate(day, hour, minute, ref);
+}
+
+function parseRange(token, ref) {
+  const m = token?.match(/^(\d{2})(\d{2})\/(\d{2})(\d{2})$/);
+  if (!m) return null;
+  return [tafTime(+m[1], +m[2], 0, ref), tafTime(+m[3], +m[4], 0, ref)];
+}
+
+function emptyConditions() {
+  return { wind: null, visibility: null, weather: [], clouds: null, skyClear: null };
+}
+
+function decodeElements(tokens, period) {
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    const next = tokens[i + 1];
+    let m;
+
+    if (!period.wind && (m = decodeWind(tok))) period.wind = m;
+    else if (tok === "CAVOK") {
+      period.visibility = { miles: 6, lessThan: false, greaterThan: true, raw: tok };
+      period.skyClear = tok;
+      period.clouds = [];
+    } else if (/^\d$/.test(tok) && next && /^\d\/\dSM$/.test(next)) {
+      period.visibility = {
+        miles: parseVisibility(`${tok} ${next}`),
+        lessThan: false,
+        greaterThan: false,
+        raw: `${tok} ${next}`,
+      };
+      i++;
+    } else if ((m = tok.match(/^(M|P)?(\d{1,2}|\d\/\d{1,2})SM$/))) {
+      period.visibility = {
+        miles: parseVisibility(tok),
+        lessThan: m[1] === "M",
+        greaterThan: m[1] === "P",
+        raw: tok,
+      };
+    } else if ((m = tok.match(/^(\d{4})$/)) && !period.clouds) {
+      const meters = parseInt(m[1], 10);
+      period.visibility = {
+        miles: meters === 9999 ? 6.2 : Math.round((meters / 1609.344) * 100) / 100,
+        lessThan: false,
+        greaterThan: meters === 9999,
+        raw: tok,
+      };
+    } else if (["SKC", "CLR", "NSC"].includes(tok)) {
+      period.skyClear = tok;
+      period.clouds = [];
+    } else if ((m = decodeCloud(tok))) {
+      period.clouds = [...(period.clouds || []), m];
+    } else if (tok === "NSW") period.weather = [];
+    else if ((m = decodeWeather(tok))) period.weather.push(m);
+  }
+  return period;
+}
+
+/**
+ * Decode a raw TAF (single or multi-line). `ref` anchors the day-of-month
+ * groups and defaults to now.
+ * @returns {Taf|null}
+ */
+export function decodeTaf(raw, ref = new Date()) {
+  if (!raw || !raw.trim() || /\bNIL\b/.test(raw)) return null;
+
+  const tokens = raw.trim().replace(/=$/, "").split(/\s+/);
+  const taf = {
+    raw: raw.trim(),
+    station: null,
+    amended: false,
+    corrected: false,
+    issued: null,
+    validFrom: null,
+    validTo: null,
+    temperatures: [],
+    periods: [],
+  };
+
+  let i = 0;
+  if (tokens[i] === "TAF") i++;
+  while (tokens[i] === "AMD" || tokens[i] === "COR") {
+    if (tokens[i] === "AMD") taf.amended = true;
+    else taf.corrected = true;
+    i++;
+  }
+  if (/^[A-Z][A-Z0-9]{3}$/.test(tokens[i])) taf.station = tokens[i++];
+
+  const issued = tokens[i]?.match(/^(\d{2})(\d{2})(\d{2})Z$/);
+  if (issued) {
+    taf.issued = dayTimeToDate(+issued[1], +issued[2], +issued[3], ref);
+    i++;
+  }
+  const validity = parseRange(tokens[i], taf.issued || ref);
+  if (!validity) return taf;
+  [taf.validFrom, taf.validTo] = validity;
+  const anchor = taf.issued || taf.validFrom;
+  i++;
+
+  taf.temperatures = tokens
+    .map((t) => t.match(/^T([XN])(M)?(\d{2})\/(\d{2})(\d{2})Z$/))
+    .filter(Boolean)
+    .map((m) => ({
+      type: m[1] === "X" ? "max" : "min",
+      celsius: (m[2] ? -1 : 1) * parseInt(m[3], 10),
+      time: tafTime(+m[4], +m[5], 0, anchor),
+    }));
+
+  // Split the remaining tokens into change groups
+  const groups = [{ type: "BASE", probability: null, start: taf.validFrom, end: null, tokens: [] }];
+  while (i < tokens.length) {
+    const tok = tokens[i];
+    let m;
+    if ((m = tok.match(/^FM(\d{2})(\d{2})(\d{2})$/))) {
+      groups.push({
+        type: "FM",
+        probability: null,
+        start: tafTime(+m[1], +m[2], +m[3], anchor),
+        end: null,
+        tokens: [tok],
+      });
+      i++;
+    } else if (tok === "BECMG" || tok === "TEMPO" || /^PROB\d{2}$/.test(tok)) {
+      const group = { type: tok, probability: null, tokens: [tok] };
+      if (tok.startsWith("PROB")) {
+        group.type = "PROB";
+        group.probability = parseInt(tok.slice(4), 10);
+        if (tokens[i + 1] === "TEMPO") group.tokens.push(tokens[++i]);
+      }
+      const range = parseRange(tokens[i + 1], anchor);
+      if (range) {
+        [group.start, group.end] = range;
+        group.tokens.push(tokens[++i]);
+      }
+      groups.push(group);
+      i++;
+    } else {
+      groups[groups.length - 1].tokens.push(tok);
+      i++;
+    }
+  }
+
+  // Prevailing groups (BASE/FM) run until the next one starts
+  const prevailing = groups.filter((g) => g.type === "BASE" || g.type === "FM");
+  prevailing.forEach((g, idx) => {
+    g.end = prevailing[idx + 1]?.start || taf.validTo;
+  });
+
+  taf.periods = groups
+    .filter((g) => g.start && g.end)
+    .map(({ tokens: groupTokens, ...g }) =>
+      decodeElements(
+        groupTokens.filter((t) => !/^(FM\d{6}|BECMG|TEMPO|PROB\d{2}|\d{4}\/\d{4})$/.test(t)),
+        { ...g, ...emptyConditions(), raw: groupTokens.join(" ") }
+      )
+    );
+  return taf;
+}
+
+// Elements a change group specifies replace the ones it layers over
+function overlay(base, change) {
+  return {
+    wind: change.wind || base.wind,
+    visibility: change.visibility || base.visibility,
+    weather: change.weather.length || change.raw.includes("NSW") ? change.weather : base.weather,
+    clouds: change.clouds || base.clouds,
+    skyClear: change.clouds ? change.skyClear : base.skyClear,
+  };
+}
+
+/**
+ * Forecast at `time`: the prevailing conditions (BASE/FM with any BECMG
+ * already begun) plus each TEMPO/PROB overlay in effect.
+ * @returns {{ prevailing: ForecastConditions, temporary: Array<ForecastConditions & { type: string, probability: number|null }> }|null}
+ */
+export function tafConditionsAt(taf, time) {
+  if (!taf || !taf.validFrom || time < taf.validFrom || time >= taf.validTo) return null;
+
+  const base = [...taf.periods]
+    .reverse()
+    .find((p) => (p.type === "BASE" || p.type === "FM") && p.start <= time);
+  if (!base) return null;
+
+  let prevailing = overlay(emptyConditions(), base);
+  taf.periods
+    .filter((p) => p.type === "BECMG" && p.start >= base.start && p.start <= time && p.start < base.end)
+    .forEach((p) => (prevailing = overlay(prevailing, p)));
+
+  const temporary = taf.periods
+    .filter((p) => (p.type === "TEMPO" || p.type === "PROB") && p.start <= time && time < p.end)
+    .map((p) => ({ type: p.type, probability: p.probability, ...overlay(prevailing, p) }));
+
+  return { prevailing, temporary };
+}
+
+/**
+ * One entry per hour starting at the top of the hour containing `from`.
+ * `categorize(conditions)` turns a set of conditions into a category label.
+ */
+export function tafTimeline(taf, categorize = defaultCategorize, from = new Date(), hours = 30) {
+  if (!taf) return [];
+  const start = new Date(from);
+  start.setUTCMinutes(0, 0, 0);
+
+  const timeline = [];
+  for (let h = 0; h < hours; h++) {
+    const time = new Date(start.getTime() + h * HOUR_MS);
+    const conditions = tafConditionsAt(taf, time);
+    timeline.push({
+      time,
+      conditions,
+      category: conditions ? categorize(conditions.prevailing) : null,
+      temporary: conditions
+        ? conditions.temporary.map((t) => ({ ...t, category: categorize(t) }))
+        : [],
+    });
+  }
+  return timeline;
+}
+
+const CATEGORY_TEXT = {
+  MVFR: "text-blue-400",
+  IFR: "text-red-500",
+  LIFR: "text-fuchsia-500",
+};
+
+// Raw TAF as HTML with each ceiling layer and visibility colored by the
+// category it alone would produce (VFR values are left plain)
+export function highlightTaf(rawTaf, standard) {
+  if (!rawTaf) return "--";
+  const wrap = (text, category) =>
+    CATEGORY_TEXT[category]
+      ? `<span class="font-bold ${CATEGORY_TEXT[category]}">${text}</span>`
+      : text;
+
+  return rawTaf
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\b(BKN|OVC|VV)(\d{3})(?:CB|TCU)?\b/g, (m, cover, height) =>
+      wrap(m, flightCategory(parseInt(height, 10) * 100, Infinity, standard))
+    )
+    .replace(/(?:\b\d )?\b[MP]?\d{1,2}(?:\/\d{1,2})?SM\b/g, (m) =>
+      wrap(m, flightCategory(Infinity, parseVisibility(m), standard))
+    );
+}
@@ -0,0 +1,83 @@
+import { decodeTaf, tafConditionsAt, tafTimeline, highlightTaf } from "./taf";
+
+const REF = new Date("2026-10-19T18:00:00Z");
+const at = (iso) => new Date(iso);
+
+const KMGM_TAF = [
+  "TAF AMD KMGM 191720Z 1918/2024 22012G20KT P6SM SCT035 BKN250",
+  "TEMPO 1920/1923 3SM TSRA BKN025CB",
+  "FM200200 18006KT P6SM BKN015",
+  "BECMG 2008/2010 OVC006",
+  "PROB30 2012/2016 1/2SM FG VV002",
+  "FM201800 27010KT P6SM SKC TX30/2020Z TN17/2011Z",
+].join("\n");
+
+describe("decodeTaf", () => {
+  const taf = decodeTaf(KMGM_TAF, REF);
+
+  test("header, validity and temperatures", () => {
+    expect(taf.station).toBe("KMGM");
+    expect(taf.amended).toBe(true);
+    expect(taf.issued.toISOString()).toBe("2026-10-19T17:20:00.000Z");
+    expect(taf.validFrom.toISOString()).toBe("2026-10-19T18:00:00.000Z");
+    expect(taf.validTo.toISOString()).toBe("2026-10-21T00:00:00.000Z");
+    expect(taf.temperatures.map((t) => [t.type, t.celsius])).toEqual([
+      ["max", 30],
+      ["min", 17],
+    ]);
+  });
+
+  test("change groups in order, prevailing groups ending at the next one", () => {
+    expect(taf.periods.map((p) => p.type)).toEqual(["BASE", "TEMPO", "FM", "BECMG", "PROB", "FM"]);
+    expect(taf.periods[0].end.toISOString()).toBe("2026-10-20T02:00:00.000Z");
+    expect(taf.periods[4].probability).toBe(30);
+    expect(taf.periods[1].clouds[0]).toMatchObject({ cover: "BKN", base: 2500, type: "CB" });
+  });
+
+  test("NIL TAF", () => {
+    expect(decodeTaf("TAF KMGM 191720Z NIL")).toBeNull();
+  });
+});
+
+describe("tafConditionsAt", () => {
+  const taf = decodeTaf(KMGM_TAF, REF);
+
+  test("TEMPO overlays the prevailing conditions", () => {
+    const { prevailing, temporary } = tafConditionsAt(taf, at("2026-10-19T21:00:00Z"));
+    expect(prevailing.wind.speed).toBe(12);
+    expect(temporary).toHaveLength(1);
+    expect(temporary[0].visibility.miles).toBe(3);
+    expect(temporary[0].weather[0].raw).toBe("TSRA");
+  });
+
+  test("BECMG applies once begun", () => {
+    expect(tafConditionsAt(taf, at("2026-10-20T05:00:00Z")).prevailing.clouds[0].base).toBe(1500);
+    expect(tafConditionsAt(taf, at("2026-10-20T09:00:00Z")).prevailing.clouds[0].base).toBe(600);
+  });
+
+  test("outside the validity period", () => {
+    expect(tafConditionsAt(taf, at("2026-10-21T01:00:00Z"))).toBeNull();
+  });
+});
+
+describe("tafTimeline", () => {
+  test("hourly categories from the top of the hour", () => {
+    const taf = decodeTaf(KMGM_TAF, REF);
+    const timeline = tafTimeline(taf, undefined, at("2026-10-20T13:25:00Z"), 6);
+    expect(timeline[0].time.toISOString()).toBe("2026-10-20T13:00:00.000Z");
+    expect(timeline[0].category).toBe("IFR");
+    expect(timeline[0].temporary[0].category).toBe("LIFR");
+    expect(timeline[5].category).toBe("VFR");
+    expect(timeline[5].conditions.prevailing.skyClear).toBe("SKC");
+  });
+});
+
+describe("highlightTaf", () => {
+  test("colors ceiling layers, convective ones included, and visibility", () => {
+    const html = highlightTaf("TEMPO 1920/1923 3SM TSRA OVC008CB BKN012TCU FEW020 BKN040", "FAA");
+    expect(html).toContain('<span class="font-bold text-red-500">OVC008CB</span>');
+    expect(html).toContain('<span class="font-bold text-blue-400">BKN012TCU</span>');
+    expect(html).toContain('<span class="font-bold text-blue-400">3SM</span>');
+    expect(html).toContain(" FEW020 BKN040");
+  });
+});
@@ -0,0 +1,153 @@
+import { getRunway } from "./airfield";
+
+// --- Runway wind components ---
+// Head/tail and cross components for a runway from a decoded wind group,
+// with gusts and the worst case across VRB or dddVddd direction ranges.
+// Crosswind is positive from the right; headwind negative means tailwind.
+
+/**
+ * @typedef {Object} Components
+ * @property {number} headwind - kt, negative is tailwind
+ * @property {number} crosswind - kt, positive from the right
+ *
+ * @typedef {Object} WindComponents
+ * @property {string} runway
+ * @property {number} heading - heading the components were taken against
+ * @property {number|null} direction - wind direction, null when VRB
+ * @property {Components} steady
+ * @property {Components|null} gust
+ * @property {{ crosswind: number, tailwind: number }} worst - magnitudes, gusts and direction range included
+ * @property {boolean} variable - VRB or a dddVddd range widened the worst case
+ */
+
+// Each aircraft's crosswind limit by RCR (highest minRcr the runway meets
+// applies) and its tailwind limit, in knots. From the flight manuals;
+// verify before changing.
+export const AIRCRAFT_LIMITS = {
+  "F-16": {
+    crosswind: [
+      { minRcr: 23, limit: 25 },
+      { minRcr: 16, limit: 20 },
+      { minRcr: 12, limit: 15 },
+      { minRcr: 0, limit: 10 },
+    ],
+    tailwind: 10,
+  },
+  "F-35A": {
+    crosswind: [
+      { minRcr: 23, limit: 30 },
+      { minRcr: 12, limit: 20 },
+      { minRcr: 0, limit: 10 },
+    ],
+    tailwind: 10,
+  },
+};
+
+export const DEFAULT_AIRCRAFT =
+  (typeof process !== "undefined" && process.env?.REACT_APP_AIRCRAFT) || "F-16";
+
+// Runway condition as RCR when only the RSC state is known
+const RCR_BY_RSC = { DRY: 23, WET: 12 };
+
+export function rscToRcr(rsc) {
+  return RCR_BY_RSC[rsc] ?? RCR_BY_RSC.DRY;
+}
+
+const round = (n) => Math.round(n) || 0; // no -0 in the UI
+
+// Wind from `direction` at `speed` against a runway heading
+export function components(direction, speed, heading) {
+  const rel = ((direction - heading) * Math.PI) / 180;
+  return {
+    headwind: round(speed * Math.cos(rel)),
+    crosswind: round(speed * Math.sin(rel)),
+  };
+}
+
+// Every whole degree from `from` clockwise to `to`
+function directionRange(from, to) {
+  const dirs = [];
+  const span = (to - from + 360) % 360;
+  for (let d = 0; d <= span; d++) dirs.push((from + d) % 360);
+  return dirs;
+}
+
+/**
+ * Components of a decoded wind for a runway.
+ * @param {import("./metar").Wind|null} wind
+ * @param {string} runwayId
+ * @param {import("./airfield").AirfieldProfile} airfield
+ * @param {{ reference?: "true"|"magnetic" }} [opts]
+ * @returns {WindComponents|null}
+ */
+export function windComponents(wind, runwayId, airfield, { reference = "true" } = {}) {
+  const runway = getRunway(runwayId, airfield);
+  if (!runway || !wind || wind.speed === null) return null;
+  const heading = reference === "magnetic" ? runway.magneticHeading : runway.trueHeading;
+  const peak = wind.gust ?? wind.speed;
+
+  // VRB means any direction: the full speed can be across or behind
+  if (wind.variable || wind.direction === null) {
+    return {
+      runway: runway.id,
+      heading,
+      direction: null,
+      steady: { headwind: 0, crosswind: 0 },
+      gust: null,
+      worst: { crosswind: peak, tailwind: peak },
+      variable: true,
+    };
+  }
+
+  const dirs =
+    wind.varFrom !== null && wind.varTo !== null
+      ? directionRange(wind.varFrom, wind.varTo)
+      : [wind.direction];
+  const worst = { crosswind: 0, tailwind: 0 };
+  dirs.forEach((d) => {
+    const c = components(d, peak, heading);
+    worst.crosswind = Math.max(worst.crosswind, Math.abs(c.crosswind));
+    worst.tailwind = Math.max(worst.tailwind, -c.headwind);
+  });
+
+  return {
+    runway: runway.id,
+    heading,
+    direction: wind.direction,
+    steady: components(wind.direction, wind.speed, heading),
+    gust: wind.gust ? components(wind.direction, wind.gust, heading) : null,
+    worst,
+    variable: dirs.length > 1,
+  };
+}
+
+/**
+ * Compare worst-case components with an aircraft's limits at the runway's
+ * RCR. Exceedances are "warning"; a tailwind within limits is "caution".
+ * @returns {{ crosswindLimit: number|null, tailwindLimit: number|null, warnings: Array<{ level: "warning"|"caution", message: string }> }}
+ */
+export function checkWindLimits(wind, aircraft = DEFAULT_AIRCRAFT, rcr = RCR_BY_RSC.DRY) {
+  const limits = AIRCRAFT_LIMITS[aircraft];
+  if (!wind || !limits) return { crosswindLimit: null, tailwindLimit: null, warnings: [] };
+
+  const crosswindLimit = limits.crosswind.find((row) => rcr >= row.minRcr).limit;
+  const warnings = [];
+  if (wind.worst.crosswind > crosswindLimit) {
+    warnings.push({
+      level: "warning",
+      message: `Crosswind ${wind.worst.crosswind} kt exceeds ${aircraft} limit ${crosswindLimit} kt (RCR ${rcr})`,
+    });
+  }
+  if (wind.worst.tailwind > limits.tailwind) {
+    warnings.push({
+      level: "warning",
+      message: `Tailwind ${wind.worst.tailwind} kt exceeds ${aircraft} limit ${limits.tailwind} kt on RWY ${wind.runway}`,
+    });
+  } else if (wind.worst.tailwind > 0) {
+    warnings.push({
+      level: "caution",
+      message: `Tailwind component ${wind.worst.tailwind} kt on RWY ${wind.runway}`,
+    });
+  }
+  return { crosswindLimit, tailwindLimit: limits.tailwind, warnings };
+}
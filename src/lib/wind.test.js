@@ -0,0 +1,73 @@
+import { components, windComponents, checkWindLimits, rscToRcr } from "./wind";
+import { decodeWind } from "./metar";
+
+// Runways from the KMGM profile in backend/airfields.json
+const KMGM = {
+  runways: [
+    { id: "10", magneticHeading: 96, trueHeading: 93, reciprocal: "28", ils: "ils10", departureBarrier: "east" },
+    { id: "28", magneticHeading: 276, trueHeading: 273, reciprocal: "10", ils: "ils28", departureBarrier: "west" },
+  ],
+};
+
+const wind = (raw, range) => {
+  const w = decodeWind(raw);
+  if (range) [w.varFrom, w.varTo] = range;
+  return w;
+};
+
+describe("components", () => {
+  test("straight down the runway, across it and behind it", () => {
+    expect(components(90, 20, 90)).toEqual({ headwind: 20, crosswind: 0 });
+    expect(components(180, 20, 90)).toEqual({ headwind: 0, crosswind: 20 });
+    expect(components(0, 20, 90)).toEqual({ headwind: 0, crosswind: -20 });
+    expect(components(270, 20, 90)).toEqual({ headwind: -20, crosswind: 0 });
+  });
+});
+
+describe("windComponents", () => {
+  test("steady and gust components against the true heading", () => {
+    const c = windComponents(wind("28012G22KT"), "10", KMGM);
+    expect(c.heading).toBe(93);
+    expect(c.steady).toEqual({ headwind: -12, crosswind: -1 });
+    expect(c.gust).toEqual({ headwind: -22, crosswind: -3 });
+    expect(c.worst).toEqual({ crosswind: 3, tailwind: 22 });
+    expect(c.variable).toBe(false);
+  });
+
+  test("magnetic reference uses the magnetic heading", () => {
+    expect(windComponents(wind("28010KT"), "28", KMGM, { reference: "magnetic" }).heading).toBe(276);
+  });
+
+  test("a dddVddd range widens the worst crosswind", () => {
+    const c = windComponents(wind("28015KT", [240, 330]), "28", KMGM);
+    expect(c.steady.crosswind).toBe(2);
+    expect(c.worst.crosswind).toBe(13);
+    expect(c.variable).toBe(true);
+  });
+
+  test("VRB counts the full speed as crosswind and tailwind", () => {
+    expect(windComponents(wind("VRB05G12KT"), "10", KMGM).worst).toEqual({ crosswind: 12, tailwind: 12 });
+  });
+
+  test("unknown runway or missing wind", () => {
+    expect(windComponents(wind("28010KT"), "36", KMGM)).toBeNull();
+    expect(windComponents(null, "10", KMGM)).toBeNull();
+  });
+});
+
+describe("checkWindLimits", () => {
+  test("crosswind limit follows the runway condition", () => {
+    const c = windComponents(wind("01018KT"), "10", KMGM);
+    expect(checkWindLimits(c, "F-16", rscToRcr("DRY")).warnings).toEqual([]);
+    const wet = checkWindLimits(c, "F-16", rscToRcr("WET"));
+    expect(wet.crosswindLimit).toBe(15);
+    expect(wet.warnings[0]).toMatchObject({ level: "warning" });
+  });
+
+  test("a tailwind within limits is a caution", () => {
+    const c = windComponents(wind("28006KT"), "10", KMGM);
+    expect(checkWindLimits(c, "F-16").warnings).toEqual([
+      { level: "caution", message: "Tailwind component 6 kt on RWY 10" },
+    ]);
+  });
+});